@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['vite.config.js', 'plugins/**/*.js', '**/*.test.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
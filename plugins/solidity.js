@@ -0,0 +1,101 @@
+// Solidity compile pipeline
+// This Vite plugin compiles the .sol files imported by the app with solc-js, on dev and build, so the ABI and
+// bytecode always match the contract source instead of being copied by hand:
+//
+//   import { abi, bytecode } from './SimpleStorage.sol';
+//
+// A .sol module exports 'abi' and 'bytecode' of the contract named after the file (or of its only contract),
+// and one { abi, bytecode } object per contract it defines. Compiler errors fail the build, and show the
+// error overlay on the dev server; warnings are printed.
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import solc from 'solc';
+
+// Default compiler settings
+const DEFAULT_SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+};
+
+// Source unit name of a file: its path from the project root, as solc resolves imports against it
+const toSourceName = (root, file) => path.relative(root, file).split(path.sep).join('/');
+
+// Compile a Solidity file
+// This function compiles 'file' and the files it imports with the bundled solc-js compiler.
+// Imports are resolved from the project root, then from node_modules (e.g. '@openzeppelin/contracts/...').
+// Returns the contracts of 'file' by name, the compiler errors and warnings, and every file read.
+export const compileSolidity = (file, { root = process.cwd(), settings = DEFAULT_SETTINGS } = {}) => {
+  const sourceName = toSourceName(root, file);
+  const dependencies = [file];
+
+  const findImports = (importPath) => {
+    for (const candidate of [path.resolve(root, importPath), path.resolve(root, 'node_modules', importPath)]) {
+      if (existsSync(candidate)) {
+        dependencies.push(candidate);
+        return { contents: readFileSync(candidate, 'utf8') };
+      }
+    }
+    return { error: `File not found: ${importPath}` };
+  };
+
+  const input = {
+    language: 'Solidity',
+    sources: { [sourceName]: { content: readFileSync(file, 'utf8') } },
+    settings: {
+      ...settings,
+      outputSelection: { [sourceName]: { '*': ['abi', 'evm.bytecode.object'] } },
+    },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const diagnostics = output.errors || [];
+
+  const contracts = {};
+  for (const [name, contract] of Object.entries((output.contracts && output.contracts[sourceName]) || {})) {
+    contracts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  }
+
+  return {
+    contracts,
+    errors: diagnostics.filter((diagnostic) => diagnostic.severity === 'error'),
+    warnings: diagnostics.filter((diagnostic) => diagnostic.severity !== 'error'),
+    dependencies,
+  };
+};
+
+// Solidity plugin
+// 'settings' replaces the default solc settings (optimizer, evmVersion, ...); the output selection is set by the plugin.
+export default function solidity({ settings = DEFAULT_SETTINGS } = {}) {
+  let root = process.cwd();
+
+  return {
+    name: 'solidity',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    transform(_code, id) {
+      const file = id.split('?')[0];
+      if (!file.endsWith('.sol')) return null;
+
+      const { contracts, errors, warnings, dependencies } = compileSolidity(file, { root, settings });
+
+      // Recompile when an imported file changes, not only the entry file
+      dependencies.forEach((dependency) => this.addWatchFile(dependency));
+      warnings.forEach((warning) => this.warn(warning.formattedMessage));
+      if (errors.length > 0) {
+        this.error(`Solidity compilation failed:\n${errors.map((error) => error.formattedMessage).join('\n')}`);
+      }
+
+      const names = Object.keys(contracts);
+      const fileName = path.basename(file, '.sol');
+      const main = contracts[fileName] || (names.length === 1 ? contracts[names[0]] : null);
+
+      const lines = names.map((name) => `export const ${name} = ${JSON.stringify(contracts[name])};`);
+      if (main) {
+        lines.push(`export const abi = ${JSON.stringify(main.abi)};`);
+        lines.push(`export const bytecode = ${JSON.stringify(main.bytecode)};`);
+      }
+      return { code: lines.join('\n'), map: null };
+    },
+  };
+}
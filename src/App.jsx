@@ -1,238 +1,173 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { ethers } from 'ethers';
 import './DApp.css';
+import ActivityFeed from './components/ActivityFeed';
+import ContractSwitcher from './components/ContractSwitcher';
+import ContractConsole from './components/ContractConsole';
+import PendingTransactions from './components/PendingTransactions';
+import TransactionPreview from './components/TransactionPreview';
+import MessageHistory from './components/MessageHistory';
+import AdminPanel from './components/AdminPanel';
+import SandboxToolbar from './components/SandboxToolbar';
+import SessionGate from './components/SessionGate';
+import SessionStatus from './components/SessionStatus';
+import LocaleSwitcher from './components/LocaleSwitcher';
+import HistoryExport from './components/HistoryExport';
+import NotificationCenter from './components/NotificationCenter';
+import NotificationToasts from './components/NotificationToasts';
+import OwnerGuard from './components/OwnerGuard';
+import TransactionDetails from './components/TransactionDetails';
+import AddressActivity from './components/AddressActivity';
+import TreasuryProposals from './components/TreasuryProposals';
+import TokenDeposits from './components/TokenDeposits';
+import Link from './components/Link';
 import {
-  isMetaMaskInstalled,
-  connectWallet,
-  checkNetwork,
-  switchToSepolia,
-  getMessage,
   storeMessage,
+  signStoreMessage,
   deposit,
-  withdraw,
-  getBalance,
-  getContractOwner,
-  listenForAccountChanges,
-  listenForNetworkChanges
+  withdrawDeposit,
+  transferOwnership,
+  acceptOwnership,
+  renounceOwnership,
+  getContractData
 } from './utils/ethereum';
+import { formatAddress } from './utils/format';
+import { getRelayer } from './utils/relayer';
+import { useWallet } from './hooks/useWallet';
+import { useI18n } from './hooks/useI18n';
+import { useNotifications } from './hooks/useNotifications';
+import { useContractRead } from './hooks/useContractRead';
+import { useContractWrite } from './hooks/useContractWrite';
+import { useRoute } from './hooks/useRoute';
+import { buildPath, DEFAULT_ROUTE } from './utils/router';
+import { DEFAULT_CHAIN_ID, getNetwork, getSupportedNetworks } from './contract/networks';
+
+// Views listed in the navigation, in order (the admin view only for the owner and the nominated owner)
+const NAV_ROUTES = ['messages', 'treasury', 'admin', 'activity', 'console'];
 
 // The main App component for the DApp
 // This component handles the user interface and interactions with the blockchain.
+// The wallet session comes from WalletProvider; contract data is loaded through useContractRead,
+// which reloads it on every account or network change and after every write.
+// Every text comes from the i18n catalogues, in the locale chosen in the locale switcher.
+// Each view has its own path (see utils/router.js), so views, transactions and accounts can be linked to.
 function App() {
-  // State variables
-  // These variables store the current state of the application, such as the connected account, network status, and contract data.
-  const [account, setAccount] = useState(null); // Stores the connected wallet address
-  const [isOwner, setIsOwner] = useState(false); // Indicates if the connected account is the contract owner
-  const [isCorrectNetwork, setIsCorrectNetwork] = useState(false); // Checks if the user is on the Sepolia network
+  const {
+    wallets,
+    wallet,
+    account,
+    chainId,
+    isCorrectNetwork,
+    displayedChainId,
+    contractAddress,
+    loading,
+    pendingWrite,
+    readVersion,
+    contractError,
+    setLoading,
+    setPendingWrite,
+    ensureConnected,
+    refreshReads,
+    connect,
+    changeWallet,
+    switchNetwork
+  } = useWallet();
+  const { t, formatEth, describeError } = useI18n();
+  const { notify, notifyError } = useNotifications();
+  const { write } = useContractWrite();
+  const route = useRoute();
+
+  // Contract data
+  // Owner, pending owner, balance, message count and the account's deposits, read in one batch on every new block.
+  // The last values read are cached, so they show (marked as stale) as soon as the page loads.
+  const { data: contractData, stale: contractStale } = useContractRead(getContractData, null, {
+    watchBlocks: true,
+    cache: 'contractData'
+  });
+  const contractOwner = contractData ? contractData.owner : null; // Contract owner address
+  const pendingOwner = contractData ? contractData.pendingOwner : null; // Address nominated in a pending ownership transfer
+  const contractBalance = contractData ? contractData.balance : '0'; // Contract's ETH balance
+  const userDeposits = contractData ? contractData.deposits : '0'; // ETH deposited by the connected account
+  const messageCount = contractData ? contractData.messageCount : 0; // Number of stored messages
+  const contractProblem = contractError ? describeError(contractError) : null; // Missing contract, in the user's language
+
+  // Form state
+  const [targetChainId, setTargetChainId] = useState(DEFAULT_CHAIN_ID); // Network selected in the network picker
   const [message, setMessage] = useState(''); // Stores the input message to be sent to the contract
-  const [storedMessage, setStoredMessage] = useState(''); // Stores the message retrieved from the contract
   const [depositAmount, setDepositAmount] = useState(''); // Stores the ETH amount to deposit
-  const [contractBalance, setContractBalance] = useState('0'); // Stores the contract's ETH balance
-  const [status, setStatus] = useState({ type: '', message: '' }); // Displays status messages to the user
-  const [loading, setLoading] = useState(false); // Indicates if an operation is in progress
-
-  // useEffect hook
-  // This hook runs when the component is mounted and initializes the DApp.
-  useEffect(() => {
-    const init = async () => {
-      if (!isMetaMaskInstalled()) {
-        // If MetaMask is not installed, show an error message.
-        setStatus({
-          type: 'error',
-          message: 'MetaMask is not installed. Please install MetaMask to use this DApp.'
-        });
-        return;
-      }
-
-      try {
-        // Check if the wallet is already connected
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        if (accounts.length > 0) {
-          setAccount(accounts[0]);
-          
-          // Check if the user is on the Sepolia network
-          const onSepolia = await checkNetwork();
-          setIsCorrectNetwork(onSepolia);
-          
-          if (onSepolia) {
-            // Get the contract owner and check if the connected account is the owner
-            const owner = await getContractOwner();
-            setIsOwner(accounts[0].toLowerCase() === owner.toLowerCase());
-            
-            // Get the contract's balance
-            await updateContractBalance();
-          }
-        }
-      } catch (error) {
-        console.error('Initialization error:', error);
-        setStatus({
-          type: 'error',
-          message: `Initialization failed: ${error.message}`
-        });
-      }
-    };
-
-    init();
-
-    // Set up event listeners for account and network changes
-    listenForAccountChanges(handleAccountChange);
-    listenForNetworkChanges(handleNetworkChange);
-
-    // Cleanup event listeners when the component is unmounted
-    return () => {
-      if (window.ethereum) {
-        window.ethereum.removeListener('accountsChanged', handleAccountChange);
-        window.ethereum.removeListener('chainChanged', handleNetworkChange);
-      }
-    };
-  }, []);
-
-  // Handle account change
-  // This function updates the state when the connected wallet account changes.
-  const handleAccountChange = async (newAccount) => {
-    setAccount(newAccount);
-    
-    if (newAccount && isCorrectNetwork) {
-      const owner = await getContractOwner();
-      setIsOwner(newAccount.toLowerCase() === owner.toLowerCase());
-      await updateContractBalance();
-      setStatus({ type: '', message: '' });
-    } else {
-      setIsOwner(false);
-    }
-  };
+  const [withdrawAmount, setWithdrawAmount] = useState(''); // Stores the ETH amount to withdraw from the user's deposits
 
-  // Handle network change
-  // This function updates the state when the connected network changes.
-  const handleNetworkChange = async (isSepolia) => {
-    setIsCorrectNetwork(isSepolia);
-    
-    if (isSepolia && account) {
-      const owner = await getContractOwner();
-      setIsOwner(account.toLowerCase() === owner.toLowerCase());
-      await updateContractBalance();
-      setStatus({ type: '', message: '' });
-    } else {
-      setIsOwner(false);
-    }
-  };
+  // Indicates if the connected account is the contract owner
+  const isOwner = Boolean(
+    account && isCorrectNetwork && contractOwner && account.toLowerCase() === contractOwner.toLowerCase()
+  );
 
-  // Connect wallet
-  // This function connects the user's wallet to the DApp.
-  const handleConnectWallet = async () => {
-    setLoading(true);
-    setStatus({ type: 'loading', message: 'Connecting to wallet...' });
-    
-    try {
-      const connectedAccount = await connectWallet();
-      setAccount(connectedAccount);
-      const onSepolia = await checkNetwork();
-      setIsCorrectNetwork(onSepolia);
-      
-      if (onSepolia) {
-        const owner = await getContractOwner();
-        setIsOwner(connectedAccount.toLowerCase() === owner.toLowerCase());
-        await updateContractBalance();
-        setStatus({ type: 'success', message: 'Wallet connected successfully!' });
-      } else {
-        setStatus({
-          type: 'error',
-          message: 'Please switch to the Sepolia network to use this DApp.'
-        });
-      }
-    } catch (error) {
-      console.error('Connection error:', error);
-      setStatus({
-        type: 'error',
-        message: `Failed to connect wallet: ${error.message}`
-      });
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Indicates if the connected account has been nominated as the next owner
+  const isNominee = Boolean(
+    account && isCorrectNetwork && pendingOwner && account.toLowerCase() === pendingOwner.toLowerCase()
+  );
 
-  // Switch to Sepolia network
-  // This function switches the user's wallet to the Sepolia testnet.
-  const handleSwitchNetwork = async () => {
-    setLoading(true);
-    setStatus({ type: 'loading', message: 'Switching to Sepolia network...' });
-    
-    try {
-      await switchToSepolia();
-      setIsCorrectNetwork(true);
-      
-      if (account) {
-        const owner = await getContractOwner();
-        setIsOwner(account.toLowerCase() === owner.toLowerCase());
-        await updateContractBalance();
-      }
-      setStatus({ type: 'success', message: 'Switched to Sepolia network successfully!' });
-    } catch (error) {
-      console.error('Network switch error:', error);
-      setStatus({
+  // Store message
+  // This function sends a message to the smart contract.
+  const handleStoreMessage = async () => {
+    if (!message.trim()) {
+      notify({
         type: 'error',
-        message: `Failed to switch network: ${error.message}`
+        message: t('messages.empty')
       });
-    } finally {
-      setLoading(false);
+      return;
     }
-  };
 
-  // Update contract balance
-  // This function retrieves the current balance of the smart contract.
-  const updateContractBalance = async () => {
-    try {
-      const balance = await getBalance();
-      setContractBalance(balance);
-    } catch (error) {
-      console.error('Balance update error:', error);
-    }
+    await write({
+      label: t('messages.storeLabel'),
+      method: 'storeMessage',
+      args: [message],
+      send: (overrides) => storeMessage(message, overrides),
+      loadingMessage: t('messages.storing'),
+      successMessage: t('messages.storeSuccess'),
+      errorPrefix: t('messages.storeFailed'),
+      retry: handleStoreMessage,
+      onSuccess: () => setMessage('')
+    });
   };
 
-  // Store message
-  // This function sends a message to the smart contract.
-  const handleStoreMessage = async () => {
+  // Post message without gas
+  // This function has the user sign the message (EIP-712) and a relayer submit it with storeMessageWithSig,
+  // so accounts without ETH can post. The signature prompt replaces the gas preview, since the user pays nothing.
+  const handlePostWithoutGas = async () => {
     if (!message.trim()) {
-      setStatus({
+      notify({
         type: 'error',
-        message: 'Please enter a message to store.'
+        message: t('messages.empty')
       });
       return;
     }
-    
-    setLoading(true);
-    setStatus({ type: 'loading', message: 'Storing message...' });
-    
-    try {
-      await storeMessage(message);
-      setStatus({ type: 'success', message: 'Message stored successfully!' });
-      setMessage('');
-    } catch (error) {
-      console.error('Store message error:', error);
-      setStatus({
+
+    const relayer = getRelayer();
+    if (!relayer.isAvailable(displayedChainId)) {
+      notify({
         type: 'error',
-        message: `Failed to store message: ${error.message}`
+        message: t('messages.noRelayer')
       });
-    } finally {
-      setLoading(false);
+      return;
     }
-  };
 
-  // Get message
-  // This function retrieves the stored message from the smart contract.
-  const handleGetMessage = async () => {
+    const author = await ensureConnected();
+    if (!author) return;
+
     setLoading(true);
-    setStatus({ type: 'loading', message: 'Retrieving message...' });
-    
+    notify({ type: 'loading', message: t('messages.signPrompt') });
+
     try {
-      const retrievedMessage = await getMessage();
-      setStoredMessage(retrievedMessage);
-      setStatus({ type: 'success', message: 'Message retrieved successfully!' });
+      const request = await signStoreMessage(author, message);
+      notify({ type: 'loading', message: t('messages.relaying') });
+      const receipt = await relayer.relay(request);
+      refreshReads();
+      notify({ type: 'success', message: t('messages.relaySuccess'), txHash: receipt.transactionHash, chainId: displayedChainId });
+      setMessage('');
     } catch (error) {
-      console.error('Get message error:', error);
-      setStatus({
-        type: 'error',
-        message: `Failed to retrieve message: ${error.message}`
-      });
+      console.error('Relayed message error:', error);
+      notifyError(t('messages.relayFailed'), error, handlePostWithoutGas);
     } finally {
       setLoading(false);
     }
@@ -241,193 +176,461 @@ function App() {
   // Deposit ETH
   // This function sends ETH to the smart contract.
   const handleDeposit = async () => {
-    if (!depositAmount || parseFloat(depositAmount) <= 0) {
-      setStatus({
+    let amount;
+    try {
+      amount = ethers.utils.parseEther(depositAmount.trim());
+    } catch {
+      amount = null;
+    }
+    if (!amount || amount.lte(0)) {
+      notify({
         type: 'error',
-        message: 'Please enter a valid amount to deposit.'
+        message: t('eth.invalidDeposit')
       });
       return;
     }
-    
-    setLoading(true);
-    setStatus({ type: 'loading', message: 'Depositing ETH...' });
-    
+
+    await write({
+      label: t('eth.depositLabel', { amount: formatEth(amount, 18) }),
+      method: 'deposit',
+      value: amount,
+      send: (overrides) => deposit(amount, overrides),
+      loadingMessage: t('eth.depositing'),
+      successMessage: t('eth.depositSuccess'),
+      errorPrefix: t('eth.depositFailed'),
+      retry: handleDeposit,
+      onSuccess: () => setDepositAmount('')
+    });
+  };
+
+  // Withdraw own deposits
+  // This function withdraws part or all of the ETH deposited by the connected account.
+  const handleWithdrawDeposit = async () => {
+    let amount;
     try {
-      await deposit(depositAmount);
-      await updateContractBalance();
-      setStatus({ type: 'success', message: 'ETH deposited successfully!' });
-      setDepositAmount('');
-    } catch (error) {
-      console.error('Deposit error:', error);
-      setStatus({
+      amount = ethers.utils.parseEther(withdrawAmount.trim());
+    } catch {
+      amount = null;
+    }
+    if (!amount || amount.lte(0)) {
+      notify({
         type: 'error',
-        message: `Failed to deposit ETH: ${error.message}`
+        message: t('eth.invalidWithdrawal')
       });
-    } finally {
-      setLoading(false);
+      return;
     }
+
+    await write({
+      label: t('eth.withdrawDepositLabel', { amount: formatEth(amount, 18) }),
+      method: 'withdrawDeposit',
+      args: [amount],
+      send: (overrides) => withdrawDeposit(amount, overrides),
+      loadingMessage: t('eth.withdrawingDeposits'),
+      successMessage: t('eth.withdrawDepositSuccess'),
+      errorPrefix: t('eth.withdrawDepositFailed'),
+      retry: handleWithdrawDeposit,
+      onSuccess: () => setWithdrawAmount('')
+    });
   };
 
-  // Withdraw ETH
-  // This function withdraws all ETH from the smart contract (owner only).
-  const handleWithdraw = async () => {
-    setLoading(true);
-    setStatus({ type: 'loading', message: 'Withdrawing ETH...' });
-    
-    try {
-      await withdraw();
-      await updateContractBalance();
-      setStatus({ type: 'success', message: 'ETH withdrawn successfully!' });
-    } catch (error) {
-      console.error('Withdraw error:', error);
-      setStatus({
+  // Transfer ownership
+  // This function starts a two-step ownership transfer to the given address (owner only).
+  // Returns true when the transfer was sent to the confirmation step.
+  const handleTransferOwnership = async (newOwner) => {
+    if (!ethers.utils.isAddress(newOwner) || newOwner === ethers.constants.AddressZero) {
+      notify({
         type: 'error',
-        message: `Failed to withdraw ETH: ${error.message}`
+        message: t('admin.invalidNewOwner')
       });
-    } finally {
-      setLoading(false);
+      return false;
     }
+
+    return await write({
+      label: t('admin.transferLabel', { address: formatAddress(newOwner) }),
+      method: 'transferOwnership',
+      args: [newOwner],
+      send: (overrides) => transferOwnership(newOwner, overrides),
+      loadingMessage: t('admin.transferring'),
+      successMessage: t('admin.transferSuccess'),
+      errorPrefix: t('admin.transferFailed'),
+      retry: () => handleTransferOwnership(newOwner)
+    });
   };
 
-  // Format account address for display
-  // This function shortens the wallet address for better readability.
-  const formatAddress = (address) => {
-    if (!address) return '';
-    return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+  // Cancel ownership transfer
+  // This function clears the pending owner by nominating the zero address (owner only).
+  const handleCancelTransfer = async () => {
+    await write({
+      label: t('admin.cancelLabel'),
+      method: 'transferOwnership',
+      args: [ethers.constants.AddressZero],
+      send: (overrides) => transferOwnership(ethers.constants.AddressZero, overrides),
+      loadingMessage: t('admin.cancelling'),
+      successMessage: t('admin.cancelSuccess'),
+      errorPrefix: t('admin.cancelFailed'),
+      retry: handleCancelTransfer
+    });
+  };
+
+  // Accept ownership
+  // This function completes a pending ownership transfer (nominee only).
+  const handleAcceptOwnership = async () => {
+    await write({
+      label: t('admin.acceptLabel'),
+      method: 'acceptOwnership',
+      send: (overrides) => acceptOwnership(overrides),
+      loadingMessage: t('admin.accepting'),
+      successMessage: t('admin.acceptSuccess'),
+      errorPrefix: t('admin.acceptFailed'),
+      retry: handleAcceptOwnership
+    });
+  };
+
+  // Renounce ownership
+  // This function leaves the contract without an owner, permanently (owner only).
+  const handleRenounceOwnership = async () => {
+    await write({
+      label: t('admin.renounceLabel'),
+      method: 'renounceOwnership',
+      send: (overrides) => renounceOwnership(overrides),
+      loadingMessage: t('admin.renouncing'),
+      successMessage: t('admin.renounceSuccess'),
+      errorPrefix: t('admin.renounceFailed'),
+      retry: handleRenounceOwnership
+    });
   };
 
   // Render the DApp's user interface
   return (
     <div className="dapp-container">
       <header className="dapp-header">
-        <h1 className="dapp-title">SimpleStorage DApp</h1>
-        <p className="dapp-subtitle">Interact with the SimpleStorage contract on Sepolia testnet</p>
+        <h1 className="dapp-title">{t('app.title')}</h1>
+        <p className="dapp-subtitle">
+          {t('app.subtitle', { network: getNetwork(displayedChainId).name })}
+        </p>
+        <div className="header-controls">
+          <LocaleSwitcher />
+          <NotificationCenter />
+        </div>
       </header>
 
       {/* Wallet Connection Section */}
       <div className="wallet-info">
         {account ? (
           <div className="wallet-address">
-            Connected: {formatAddress(account)}
+            {t('wallet.connected', { address: formatAddress(account) })}
+            {chainId && ` ${t('wallet.onNetwork', { network: getNetwork(chainId)?.name || t('app.unknownChain', { chainId }) })}`}
+            {wallet && ` ${t('wallet.viaWallet', { wallet: wallet.info.name })}`}
+            {' '}
+            <Link className="activity-link" to={buildPath('address', { address: account })}>{t('wallet.myActivity')}</Link>
           </div>
+        ) : wallets.length > 0 ? (
+          <div>{t('wallet.notConnected')}</div>
         ) : (
-          <div>Not connected</div>
+          <div>{t('wallet.noWallet')}</div>
         )}
         
-        {!account && (
+        {/* Wallet Chooser */}
+        {!account && wallets.length > 0 && (
+          <div className="wallet-chooser">
+            {wallets.map((availableWallet) => (
+              <button 
+                key={availableWallet.info.uuid}
+                className="connect-button" 
+                onClick={() => connect(availableWallet)}
+                disabled={loading}
+              >
+                {availableWallet.info.icon && (
+                  <img className="wallet-icon" src={availableWallet.info.icon} alt="" />
+                )}
+                {availableWallet.info.name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {account && (
           <button 
             className="connect-button" 
-            onClick={handleConnectWallet}
+            onClick={changeWallet}
             disabled={loading}
           >
-            Connect Wallet
+            {t('wallet.changeWallet')}
           </button>
         )}
+
+        {/* Sign-In with Ethereum session */}
+        {account && <SessionStatus />}
+
+        {/* Sandbox controls, only while the in-memory sandbox wallet is connected */}
+        {account && wallet && wallet.provider.isSandbox && (
+          <SandboxToolbar account={account} contractOwner={contractOwner} />
+        )}
       </div>
 
       {/* Network Warning Section */}
       {account && !isCorrectNetwork && (
         <div className="network-warning">
-          <div>Please switch to the Sepolia network to use this DApp.</div>
-          <button 
-            className="switch-network-button" 
-            onClick={handleSwitchNetwork}
+          <div>
+            {t('wallet.unsupportedNetwork', { network: getNetwork(chainId)?.name || t('app.unknownChain', { chainId }) })}
+          </div>
+          <div className="network-picker">
+            <select
+              className="network-select"
+              value={targetChainId}
+              onChange={(e) => setTargetChainId(Number(e.target.value))}
+              disabled={loading}
+            >
+              {getSupportedNetworks().map((network) => (
+                <option key={network.chainId} value={network.chainId}>
+                  {network.name}
+                </option>
+              ))}
+            </select>
+            <button 
+              className="switch-network-button" 
+              onClick={() => switchNetwork(targetChainId)}
+              disabled={loading}
+            >
+              {t('wallet.switchNetwork')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Missing Contract Section */}
+      {contractError && (!account || isCorrectNetwork) && (
+        <div className="network-warning">
+          <div>
+            {contractProblem.message}
+            {contractProblem.hint && <div className="status-hint">{contractProblem.hint}</div>}
+          </div>
+          <button
+            className="switch-network-button"
+            onClick={refreshReads}
             disabled={loading}
           >
-            Switch to Sepolia
+            {t('app.checkAgain')}
           </button>
         </div>
       )}
 
-      {/* Main DApp Content Section */}
-      {account && isCorrectNetwork && (
+      {/* Contract Switcher Section, also on registry networks without a contract so one can be deployed */}
+      {(!account || isCorrectNetwork || getNetwork(chainId)) && <ContractSwitcher />}
+
+      {/* Read-only Notice Section */}
+      {!account && (
+        <div className="read-only-notice">
+          {t('app.readOnly', { network: getNetwork(displayedChainId).name })}
+        </div>
+      )}
+
+      {/* Navigation Section */}
+      {(!account || isCorrectNetwork) && !contractError && (
+        <nav className="view-tabs">
+          {NAV_ROUTES.filter((name) => name !== 'admin' || isOwner || isNominee).map((name) => (
+            <Link
+              key={name}
+              className={`view-tab ${route.name === name ? 'active' : ''}`}
+              to={buildPath(name)}
+            >
+              {t(`app.nav.${name}`)}
+            </Link>
+          ))}
+        </nav>
+      )}
+
+      {/* Routed Views Section */}
+      {(!account || isCorrectNetwork) && !contractError && (
         <>
-          {/* Message Storage Section */}
-          <section className="dapp-section">
-            <h2 className="section-title">Message Storage</h2>
-            
-            <div className="input-group">
-              <input
-                type="text"
-                className="input-field"
-                placeholder="Enter a message to store"
-                value={message}
-                onChange={(e) => setMessage(e.target.value)}
-                disabled={loading}
-              />
-              <button 
-                className="action-button" 
-                onClick={handleStoreMessage}
-                disabled={loading}
-              >
-                Store Message
-              </button>
-            </div>
-            
-            <div className="input-group">
-              <button 
-                className="action-button" 
-                onClick={handleGetMessage}
-                disabled={loading}
-              >
-                Get Message
-              </button>
-            </div>
+          {/* Messages View */}
+          {route.name === 'messages' && (
+            <section className="dapp-section">
+              <h2 className="section-title">{t('messages.title')}</h2>
             
-            <div className="message-display">
-              {storedMessage || "No message retrieved yet"}
-            </div>
-          </section>
-
-          {/* ETH Deposit Section */}
-          <section className="dapp-section">
-            <h2 className="section-title">ETH Operations</h2>
-            
-            <div className="input-group">
-              <input
-                type="number"
-                step="0.001"
-                min="0"
-                className="input-field"
-                placeholder="Enter ETH amount to deposit"
-                value={depositAmount}
-                onChange={(e) => setDepositAmount(e.target.value)}
-                disabled={loading}
-              />
-              <button 
-                className="action-button" 
-                onClick={handleDeposit}
-                disabled={loading}
-              >
-                Deposit ETH
-              </button>
-            </div>
+              <div className="input-group">
+                <input
+                  type="text"
+                  className="input-field"
+                  placeholder={t('messages.placeholder')}
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  disabled={loading}
+                />
+                <button 
+                  className="action-button" 
+                  onClick={handleStoreMessage}
+                  disabled={loading}
+                >
+                  {t('messages.store')}
+                </button>
+                <button 
+                  className="action-button" 
+                  onClick={handlePostWithoutGas}
+                  disabled={loading || !getRelayer().isAvailable(displayedChainId)}
+                  title={t('messages.postWithoutGasHint')}
+                >
+                  {t('messages.postWithoutGas')}
+                </button>
+              </div>
             
-            {isOwner && (
               <div className="input-group">
                 <button 
-                  className="action-button withdraw-button" 
-                  onClick={handleWithdraw}
+                  className="action-button" 
+                  onClick={refreshReads}
                   disabled={loading}
                 >
-                  Withdraw ETH (Owner Only)
+                  {t('messages.refresh')}
                 </button>
               </div>
-            )}
             
-            <div className="balance-display">
-              Contract Balance: {contractBalance} ETH
-            </div>
-          </section>
+              <MessageHistory
+                key={contractAddress}
+                chainId={displayedChainId}
+                refreshKey={`${readVersion}:${messageCount}`}
+              />
+            </section>
+          )}
+
+          {/* Treasury View: ETH and token deposits, balances and the signers' withdrawal proposals */}
+          {route.name === 'treasury' && (
+            <>
+              <section className="dapp-section">
+                <h2 className="section-title">{t('eth.title')}</h2>
+            
+                <div className="input-group">
+                  <input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    className="input-field"
+                    placeholder={t('eth.depositPlaceholder')}
+                    value={depositAmount}
+                    onChange={(e) => setDepositAmount(e.target.value)}
+                    disabled={loading}
+                  />
+                  <button 
+                    className="action-button" 
+                    onClick={handleDeposit}
+                    disabled={loading}
+                  >
+                    {t('eth.deposit')}
+                  </button>
+                </div>
+            
+                <div className="input-group">
+                  <input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    className="input-field"
+                    placeholder={t('eth.withdrawPlaceholder')}
+                    value={withdrawAmount}
+                    onChange={(e) => setWithdrawAmount(e.target.value)}
+                    disabled={loading}
+                  />
+                  <button 
+                    className="action-button withdraw-button" 
+                    onClick={handleWithdrawDeposit}
+                    disabled={loading || !account}
+                  >
+                    {t('eth.withdrawDeposits')}
+                  </button>
+                </div>
+            
+                {contractStale && <div className="stale-notice">{t('cache.stale')}</div>}
+
+                <div className="balance-display">
+                  {t('eth.contractBalance', { amount: formatEth(contractBalance) })}
+                </div>
+
+                {account && (
+                  <div className="deposits-display">
+                    {t('eth.yourDeposits', { amount: formatEth(userDeposits) })}
+                  </div>
+                )}
+
+                {contractOwner && (
+                  <div className="owner-display">
+                    {contractOwner === ethers.constants.AddressZero
+                      ? t('eth.ownerNone')
+                      : t(isOwner ? 'eth.ownerYou' : 'eth.owner', { address: formatAddress(contractOwner) })}
+                  </div>
+                )}
+
+                <TokenDeposits />
+              </section>
+
+              <TreasuryProposals />
+            </>
+          )}
+
+          {/* Admin View, guarded: only the owner and the nominated owner get past OwnerGuard */}
+          {route.name === 'admin' && (
+            <OwnerGuard allowed={isOwner || isNominee} checking={!contractData}>
+              <SessionGate title={t('admin.title')} description={t('admin.gate')}>
+                <AdminPanel
+                  account={account}
+                  isOwner={isOwner}
+                  pendingOwner={pendingOwner}
+                  loading={loading}
+                  onTransfer={handleTransferOwnership}
+                  onCancelTransfer={handleCancelTransfer}
+                  onAccept={handleAcceptOwnership}
+                  onRenounce={handleRenounceOwnership}
+                />
+              </SessionGate>
+            </OwnerGuard>
+          )}
+
+          {/* Activity View */}
+          {route.name === 'activity' && (
+            <>
+              <ActivityFeed key={contractAddress} chainId={displayedChainId} />
+              <HistoryExport key={`${displayedChainId}:${contractAddress}`} />
+            </>
+          )}
+
+          {/* Contract Console, generated from the ABI */}
+          {route.name === 'console' && <ContractConsole />}
+
+          {/* Transaction View */}
+          {route.name === 'transaction' && (
+            <TransactionDetails key={`${displayedChainId}:${route.params.hash}`} hash={route.params.hash} />
+          )}
+
+          {/* Address View */}
+          {route.name === 'address' && (
+            <AddressActivity key={`${displayedChainId}:${route.params.address}`} address={route.params.address} />
+          )}
+
+          {/* Unknown Path */}
+          {route.name === 'notFound' && (
+            <section className="dapp-section">
+              <h2 className="section-title">{t('app.notFound')}</h2>
+              <Link className="activity-link" to={buildPath(DEFAULT_ROUTE)}>{t('app.backHome')}</Link>
+            </section>
+          )}
         </>
       )}
 
-      {/* Status Messages Section */}
-      {status.message && (
-        <div className={`status-container status-${status.type}`}>
-          {status.message}
-        </div>
+      {/* Transaction Preview Dialog */}
+      {pendingWrite && (
+        <TransactionPreview
+          write={pendingWrite}
+          onConfirm={(overrides) => {
+            setPendingWrite(null);
+            pendingWrite.submit(overrides);
+          }}
+          onCancel={() => setPendingWrite(null)}
+        />
       )}
+
+      {/* Pending Transactions Section */}
+      <PendingTransactions />
+
+      {/* Notification Toasts Section */}
+      <NotificationToasts />
     </div>
   );
 }
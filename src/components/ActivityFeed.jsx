@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { getContractEvents, listenForContractEvents } from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { formatAddress } from '../utils/format';
+import { buildPath } from '../utils/router';
+import { useI18n } from '../hooks/useI18n';
+import Link from './Link';
+
+// Maximum number of entries kept in the feed
+const MAX_ENTRIES = 50;
+
+// Add entries to the feed, skipping the ones already shown and keeping the newest first
+const mergeEntries = (current, incoming) => {
+  const known = new Set(current.map((entry) => entry.id));
+  return [...incoming.filter((entry) => !known.has(entry.id)), ...current]
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+    .slice(0, MAX_ENTRIES);
+};
+
+// Activity feed
+// This component backfills recent contract events and appends new ones as they are mined.
+// 'chainId' is the network being displayed; the feed reloads when it changes.
+// Event names come from the 'activity.events' catalogue, keyed by event name. Accounts and transactions link to their
+// own views.
+function ActivityFeed({ chainId }) {
+  const { t, formatEth, formatToken, describeError } = useI18n();
+  const [entries, setEntries] = useState([]); // Activity entries, newest first
+  const [loading, setLoading] = useState(true); // Indicates if past events are being loaded
+  const [error, setError] = useState(null); // Error raised while loading events
+
+  useEffect(() => {
+    let active = true;
+    let unsubscribe = () => {};
+
+    const load = async () => {
+      setEntries([]);
+      setLoading(true);
+      setError(null);
+
+      try {
+        const pastEntries = await getContractEvents();
+        if (!active) return;
+        setEntries((current) => mergeEntries(current, pastEntries));
+
+        // Show new events live
+        const stop = await listenForContractEvents((entry) => {
+          setEntries((current) => mergeEntries(current, [entry]));
+        });
+        if (active) {
+          unsubscribe = stop;
+        } else {
+          stop();
+        }
+      } catch (loadError) {
+        console.error('Activity feed error:', loadError);
+        if (active) setError(decodeError(loadError));
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    load();
+
+    // Remove the event subscriptions when the network changes or the component is unmounted
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [chainId]);
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('activity.title')}</h2>
+
+      {loading && <div className="activity-empty">{t('activity.loading')}</div>}
+      {error && <div className="activity-empty">{t('activity.loadFailed', { error: describeError(error).message })}</div>}
+      {!loading && !error && entries.length === 0 && (
+        <div className="activity-empty">{t('activity.empty')}</div>
+      )}
+
+      <ul className="activity-list">
+        {entries.map((entry) => (
+          <li key={entry.id} className="activity-item">
+            <span className="activity-block">#{entry.blockNumber}</span>
+            <span className="activity-type">{t(`activity.events.${entry.type}`)}</span>
+            <Link className="activity-account" to={buildPath('address', { address: entry.account })}>
+              {formatAddress(entry.account)}
+            </Link>
+            <span className="activity-detail">
+              {entry.message !== null
+                ? `"${entry.message}"`
+                : entry.amount !== null && (entry.token ? formatToken(entry.amount, entry.token.symbol) : formatEth(entry.amount))}
+            </span>
+            <Link className="activity-link" to={buildPath('transaction', { hash: entry.transactionHash })}>
+              {formatAddress(entry.transactionHash)}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default ActivityFeed;
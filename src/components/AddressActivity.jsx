@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { getDepositOf, getInteractionHistory } from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { formatAddress } from '../utils/format';
+import { buildPath } from '../utils/router';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import Link from './Link';
+
+// Address activity
+// This component is the /address/:address view: the ETH an account has deposited and its interactions with the
+// contract (as sender or as the account of an event) over the last ACTIVITY_LOOKBACK_BLOCKS blocks, newest first.
+// Older interactions can be exported from the activity view. It reloads after every write.
+function AddressActivity({ address }) {
+  const { displayedChainId, contractAddress, readVersion } = useWallet();
+  const { t, formatEth, formatToken, formatDate, describeError } = useI18n();
+  const [activity, setActivity] = useState(null); // Deposits and interaction history of the account
+  const [error, setError] = useState(null); // Error raised while loading
+
+  const validAddress = ethers.utils.isAddress(address);
+
+  useEffect(() => {
+    if (!validAddress) return;
+    let active = true;
+
+    const load = async () => {
+      try {
+        const [deposits, history] = await Promise.all([
+          getDepositOf(address),
+          getInteractionHistory({ account: address })
+        ]);
+        if (!active) return;
+        setActivity({ deposits, history });
+        setError(null);
+      } catch (loadError) {
+        console.error('Address activity error:', loadError);
+        if (active) setError(decodeError(loadError));
+      }
+    };
+
+    load();
+    return () => {
+      active = false;
+    };
+  }, [address, validAddress, displayedChainId, contractAddress, readVersion]);
+
+  let content;
+  if (!validAddress) {
+    content = <div className="activity-empty">{t('address.invalid')}</div>;
+  } else if (error) {
+    content = <div className="activity-empty">{t('address.loadFailed', { error: describeError(error).message })}</div>;
+  } else if (!activity) {
+    content = <div className="activity-empty">{t('address.loading')}</div>;
+  } else {
+    const { deposits, history } = activity;
+    const records = [...history.records].reverse();
+
+    content = (
+      <>
+        <div className="deposits-display">{t('address.deposits', { amount: formatEth(deposits) })}</div>
+        <div className="export-progress">{t('address.range', { from: history.fromBlock, to: history.toBlock })}</div>
+
+        {records.length === 0 ? (
+          <div className="activity-empty">{t('address.empty')}</div>
+        ) : (
+          <ul className="activity-list">
+            {records.map((record, index) => (
+              <li key={`${record.transactionHash}:${index}`} className="activity-item">
+                <span className="activity-block">#{record.blockNumber}</span>
+                <span className="activity-type">{t(`address.actions.${record.action}`)}</span>
+                <span className="activity-account">{formatDate(record.timestamp)}</span>
+                <span className="activity-detail">
+                  {record.amount && (record.token ? formatToken(record.amount, record.symbol) : formatEth(record.amount))}
+                  {!record.amountRaw && record.account && record.account.toLowerCase() !== address.toLowerCase() &&
+                    formatAddress(record.account)}
+                </span>
+                <Link className="activity-link" to={buildPath('transaction', { hash: record.transactionHash })}>
+                  {formatAddress(record.transactionHash)}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('address.title', { address: validAddress ? formatAddress(address) : address })}</h2>
+      {content}
+    </section>
+  );
+}
+
+export default AddressActivity;
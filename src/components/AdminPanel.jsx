@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { formatAddress } from '../utils/format';
+import { useI18n } from '../hooks/useI18n';
+
+// Admin panel
+// This component shows the ownership controls: starting, cancelling or renouncing a transfer for the owner,
+// and accepting a pending transfer for the nominated account. It renders nothing for other accounts.
+// The writes are handled by the parent through the callbacks, so they go through the same confirmation step.
+function AdminPanel({ account, isOwner, pendingOwner, loading, onTransfer, onCancelTransfer, onAccept, onRenounce }) {
+  const { t } = useI18n();
+  const [newOwner, setNewOwner] = useState(''); // Address of the account to nominate as the new owner
+
+  const isNominee = Boolean(account && pendingOwner && account.toLowerCase() === pendingOwner.toLowerCase());
+  if (!isOwner && !isNominee) return null;
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('admin.title')}</h2>
+
+      {isNominee && (
+        <div className="admin-notice">
+          <div>{t('admin.nominated')}</div>
+          <button className="action-button" onClick={onAccept} disabled={loading}>
+            {t('admin.accept')}
+          </button>
+        </div>
+      )}
+
+      {isOwner && (
+        <>
+          {pendingOwner && (
+            <div className="admin-notice">
+              <div>{t('admin.pending', { address: formatAddress(pendingOwner) })}</div>
+              <button className="action-button withdraw-button" onClick={onCancelTransfer} disabled={loading}>
+                {t('admin.cancel')}
+              </button>
+            </div>
+          )}
+
+          <div className="input-group">
+            <input
+              type="text"
+              className="input-field"
+              placeholder={t('admin.newOwnerPlaceholder')}
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value)}
+              disabled={loading}
+            />
+            <button
+              className="action-button"
+              onClick={async () => {
+                if (await onTransfer(newOwner.trim())) setNewOwner('');
+              }}
+              disabled={loading}
+            >
+              {t('admin.start')}
+            </button>
+          </div>
+
+          <div className="input-group">
+            <button className="action-button withdraw-button" onClick={onRenounce} disabled={loading}>
+              {t('admin.renounce')}
+            </button>
+          </div>
+          <div className="admin-warning">
+            {t('admin.renounceWarning')}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default AdminPanel;
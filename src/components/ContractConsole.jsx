@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import { CONTRACT_ABI } from '../contract/config';
+import { getExplorerUrl } from '../contract/networks';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import { useContractWrite } from '../hooks/useContractWrite';
+import { callContractFunction, sendContractFunction } from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { formatOutputs, getInputPlaceholder, parseInputs } from '../utils/abi';
+import DecodedValues from './DecodedValues';
+
+// Functions of the ABI, grouped by how the console calls them
+const contractInterface = new ethers.utils.Interface(CONTRACT_ABI);
+const FUNCTION_GROUPS = [
+  { id: 'read', mutability: ['view', 'pure'] },
+  { id: 'write', mutability: ['nonpayable'] },
+  { id: 'payable', mutability: ['payable'] },
+].map((group) => ({
+  ...group,
+  functions: Object.values(contractInterface.functions)
+    .filter((fragment) => group.mutability.includes(fragment.stateMutability))
+    .sort((a, b) => a.name.localeCompare(b.name)),
+}));
+
+// Console function
+// This component renders the form of one ABI function: one validated input per parameter, an ETH value field
+// when the function is payable, and the decoded result or transaction receipt of the last call.
+function ConsoleFunction({ fragment }) {
+  const { displayedChainId, loading } = useWallet();
+  const { t, translateLabel, describeError } = useI18n();
+  const { write } = useContractWrite();
+  const [inputs, setInputs] = useState(() => fragment.inputs.map(() => '')); // Raw input of each parameter
+  const [value, setValue] = useState(''); // ETH sent with a payable call
+  const [result, setResult] = useState(null); // Decoded outputs, or the receipt of the last transaction
+  const [error, setError] = useState(''); // Validation or call error
+  const [calling, setCalling] = useState(false); // Indicates if a read is in progress
+
+  const signature = fragment.format();
+  const isRead = fragment.constant;
+
+  const handleInputChange = (index) => (e) => {
+    setInputs(inputs.map((input, current) => (current === index ? e.target.value : input)));
+  };
+
+  // Validate the inputs, reporting the first invalid one
+  const parseArgs = () => {
+    try {
+      return parseInputs(fragment.inputs, inputs);
+    } catch (parseError) {
+      setError(describeError(parseError).message);
+      return null;
+    }
+  };
+
+  // Handle read
+  const handleRead = async () => {
+    const args = parseArgs();
+    if (!args) return;
+    setError('');
+    setCalling(true);
+
+    try {
+      const outputs = await callContractFunction(signature, args);
+      setResult({ type: 'outputs', values: formatOutputs(fragment.outputs, outputs) });
+    } catch (callError) {
+      setResult(null);
+      setError(describeError(decodeError(callError)).message);
+    } finally {
+      setCalling(false);
+    }
+  };
+
+  // Handle write
+  // The transaction goes through the usual confirmation step, with its gas and fee preview
+  const handleWrite = () => {
+    const args = parseArgs();
+    if (!args) return;
+    if (fragment.payable && value) {
+      try {
+        ethers.utils.parseEther(value);
+      } catch {
+        setError(t('console.invalidValue'));
+        return;
+      }
+    }
+    setError('');
+
+    write({
+      label: fragment.name,
+      method: signature,
+      args,
+      value: fragment.payable && value ? value : null,
+      send: async (overrides) => {
+        try {
+          const { receipt, events } = await sendContractFunction(signature, args, {
+            ...overrides,
+            ...(fragment.payable && value ? { value: ethers.utils.parseEther(value) } : {})
+          });
+          setResult({ type: 'receipt', receipt, events });
+          return receipt;
+        } catch (sendError) {
+          setResult(null);
+          setError(describeError(decodeError(sendError)).message);
+          throw sendError;
+        }
+      },
+      loadingMessage: t('console.sending', { name: fragment.name }),
+      successMessage: t('console.sendSuccess', { name: fragment.name }),
+      errorPrefix: t('console.sendFailed', { name: fragment.name }),
+      retry: handleWrite
+    });
+  };
+
+  const explorerUrl = result && result.type === 'receipt'
+    ? getExplorerUrl(displayedChainId, 'tx', result.receipt.transactionHash)
+    : null;
+
+  return (
+    <div className="console-function">
+      <div className="console-signature">
+        {fragment.name}
+        <span className="console-type">
+          ({fragment.inputs.map((input) => `${input.type}${input.name ? ` ${input.name}` : ''}`).join(', ')})
+          {fragment.outputs && fragment.outputs.length > 0 && ` → (${fragment.outputs.map((output) => output.type).join(', ')})`}
+        </span>
+      </div>
+
+      {fragment.inputs.map((input, index) => (
+        <input
+          key={index}
+          type="text"
+          className="input-field console-input"
+          placeholder={`${input.name || t('abi.argument', { number: index + 1 })} (${translateLabel(getInputPlaceholder(input))})`}
+          value={inputs[index]}
+          onChange={handleInputChange(index)}
+          disabled={loading}
+        />
+      ))}
+
+      {fragment.payable && (
+        <input
+          type="number"
+          min="0"
+          step="0.001"
+          className="input-field console-input"
+          placeholder={t('console.valuePlaceholder')}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          disabled={loading}
+        />
+      )}
+
+      <div className="input-group">
+        <button
+          className="action-button"
+          onClick={isRead ? handleRead : handleWrite}
+          disabled={loading || calling}
+        >
+          {isRead ? (calling ? t('console.reading') : t('console.read')) : t('console.send')}
+        </button>
+      </div>
+
+      {error && <div className="preview-error">{error}</div>}
+
+      {result && result.type === 'outputs' && <DecodedValues values={result.values} />}
+
+      {result && result.type === 'receipt' && (
+        <div className="console-receipt">
+          <div>{t('console.status', { status: t(result.receipt.status === 1 ? 'console.success' : 'console.failure') })}</div>
+          <div>
+            {t('console.transaction')}{' '}
+            {explorerUrl ? (
+              <a className="activity-link" href={explorerUrl} target="_blank" rel="noopener noreferrer">
+                {result.receipt.transactionHash}
+              </a>
+            ) : (
+              result.receipt.transactionHash
+            )}
+          </div>
+          <div>{t('console.block', { block: result.receipt.blockNumber })}</div>
+          <div>{t('console.gasUsed', { gas: result.receipt.gasUsed.toString() })}</div>
+          {result.receipt.effectiveGasPrice && (
+            <div>{t('console.gasPrice', { price: ethers.utils.formatUnits(result.receipt.effectiveGasPrice, 'gwei') })}</div>
+          )}
+          {result.events.map((event, index) => (
+            <div key={index} className="console-event">
+              <div>{t('console.event', { name: event.name })}</div>
+              <DecodedValues values={formatOutputs(event.eventFragment.inputs, event.args)} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Contract console
+// This developer view is generated from CONTRACT_ABI: a read button for every view function, a validated form for
+// every function that sends a transaction, and an ETH value field for payable ones. It needs no changes when the
+// contract gains or changes functions, so new contract versions can be tried out right away.
+function ContractConsole() {
+  const { t } = useI18n();
+
+  return (
+    <>
+      {FUNCTION_GROUPS.filter((group) => group.functions.length > 0).map((group) => (
+        <section key={group.id} className="dapp-section">
+          <h2 className="section-title">{t(`console.groups.${group.id}.title`)}</h2>
+          <div className="console-description">{t(`console.groups.${group.id}.description`)}</div>
+          {group.functions.map((fragment) => (
+            <ConsoleFunction key={fragment.format()} fragment={fragment} />
+          ))}
+        </section>
+      ))}
+    </>
+  );
+}
+
+export default ContractConsole;
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import { useNotifications } from '../hooks/useNotifications';
+import { useContractWrite } from '../hooks/useContractWrite';
+import { deployContract, DEPLOY_METHOD } from '../utils/ethereum';
+import { getConfiguredContractAddress, getContractAddress, getNetwork } from '../contract/networks';
+import { getSavedDeployments } from '../contract/deployments';
+import { formatAddress } from '../utils/format';
+
+// Contract switcher
+// This component picks the SimpleStorage instance the DApp talks to on a network: the configured one, an instance
+// deployed or added earlier, or a pasted address. "Deploy New Instance" deploys a fresh contract from the wallet's
+// account, which then becomes the selected one. It works on the wallet's network when the wallet is on a network
+// of the registry, even one without a contract yet, and on the displayed network otherwise.
+function ContractSwitcher() {
+  const { account, chainId, displayedChainId, loading, selectContract } = useWallet();
+  const { t } = useI18n();
+  const { notify } = useNotifications();
+  const { write } = useContractWrite();
+  const [pastedAddress, setPastedAddress] = useState(''); // Address typed in the paste field
+
+  const targetChainId = account && getNetwork(chainId) ? chainId : displayedChainId;
+  const network = getNetwork(targetChainId);
+  const configuredAddress = getConfiguredContractAddress(targetChainId);
+  const activeAddress = getContractAddress(targetChainId);
+  const savedDeployments = getSavedDeployments(targetChainId)
+    .filter((deployment) => !configuredAddress || deployment.address.toLowerCase() !== configuredAddress.toLowerCase());
+
+  // Handle contract selection
+  // The configured instance is stored as no selection, so a new build with another address is picked up.
+  const handleSelect = (e) => {
+    const address = e.target.value;
+    selectContract(targetChainId, address === configuredAddress ? null : address);
+  };
+
+  // Handle pasted address
+  const handleUseAddress = () => {
+    if (!ethers.utils.isAddress(pastedAddress.trim())) {
+      notify({ type: 'error', message: t('contracts.invalidAddress') });
+      return;
+    }
+    selectContract(targetChainId, ethers.utils.getAddress(pastedAddress.trim()));
+    setPastedAddress('');
+  };
+
+  // Handle deployment
+  const handleDeploy = () => {
+    write({
+      label: t('contracts.deployLabel'),
+      method: DEPLOY_METHOD,
+      send: (overrides) => deployContract(overrides),
+      loadingMessage: t('contracts.deploying', { network: network.name }),
+      successMessage: t('contracts.deploySuccess'),
+      errorPrefix: t('contracts.deployFailed'),
+      retry: handleDeploy
+    });
+  };
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('contracts.title')}</h2>
+
+      {activeAddress ? (
+        <div className="input-group">
+          <select
+            className="network-select"
+            value={activeAddress}
+            onChange={handleSelect}
+            disabled={loading}
+          >
+            {configuredAddress && (
+              <option value={configuredAddress}>{t('contracts.configured', { address: formatAddress(configuredAddress) })}</option>
+            )}
+            {savedDeployments.map((deployment) => (
+              <option key={deployment.address} value={deployment.address}>
+                {deployment.deployer
+                  ? t('contracts.deployedBy', { address: formatAddress(deployment.address), deployer: formatAddress(deployment.deployer) })
+                  : t('contracts.added', { address: formatAddress(deployment.address) })}
+              </option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <div>{t('contracts.none', { network: network.name })}</div>
+      )}
+
+      <div className="input-group">
+        <input
+          type="text"
+          className="input-field"
+          placeholder={t('contracts.pastePlaceholder')}
+          value={pastedAddress}
+          onChange={(e) => setPastedAddress(e.target.value)}
+          disabled={loading}
+        />
+        <button
+          className="action-button"
+          onClick={handleUseAddress}
+          disabled={loading || !pastedAddress}
+        >
+          {t('contracts.useAddress')}
+        </button>
+        <button
+          className="action-button"
+          onClick={handleDeploy}
+          disabled={loading}
+        >
+          {t('contracts.deploy')}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default ContractSwitcher;
@@ -0,0 +1,19 @@
+// Display a formatted value: plain values as text, arrays and tuples as JSON
+const displayValue = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Decoded values
+// This component lists named values with their Solidity type (function arguments and outputs, or event arguments),
+// as returned by formatOutputs in utils/abi.js.
+function DecodedValues({ values }) {
+  return (
+    <div className="console-values">
+      {values.map(({ name, type, value }) => (
+        <div key={name} className="console-value">
+          <span className="console-type">{type}</span> {name}: {displayValue(value)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DecodedValues;
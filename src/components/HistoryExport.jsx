@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import { getInteractionHistory, ACTIVITY_LOOKBACK_BLOCKS } from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { downloadFile, toCsv, toJson } from '../utils/history';
+
+// Parse a block number input: null when empty, NaN when it is not a whole number
+const parseBlock = (value) => {
+  const text = value.trim();
+  if (!text) return null;
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+};
+
+// History export
+// This component scans the contract's events over a block range (the last ACTIVITY_LOOKBACK_BLOCKS blocks by default)
+// and downloads them as CSV or JSON: block, timestamp, transaction, sender, action, token and amount (in whole units
+// and in wei or token base units), and gas paid.
+// The export can be limited to the connected account.
+function HistoryExport() {
+  const { account, displayedChainId, loading } = useWallet();
+  const { t, describeError } = useI18n();
+  const [fromBlock, setFromBlock] = useState(''); // First block of the range (empty for the default)
+  const [toBlock, setToBlock] = useState(''); // Last block of the range (empty for the latest)
+  const [onlyMine, setOnlyMine] = useState(false); // Indicates if only the connected account's records are exported
+  const [scanning, setScanning] = useState(false); // Indicates if the logs are being scanned
+  const [progress, setProgress] = useState(null); // Scan progress: { scanned, total } in blocks
+  const [history, setHistory] = useState(null); // Result of the last scan
+  const [error, setError] = useState(''); // Validation or scan error
+
+  // Handle scan
+  const handleScan = async () => {
+    const from = parseBlock(fromBlock);
+    const to = parseBlock(toBlock);
+    if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from > to)) {
+      setError(t('history.invalidRange'));
+      return;
+    }
+
+    setError('');
+    setHistory(null);
+    setProgress(null);
+    setScanning(true);
+
+    try {
+      const result = await getInteractionHistory({
+        fromBlock: from,
+        toBlock: to,
+        account: onlyMine ? account : null,
+        onProgress: setProgress
+      });
+      setHistory(result);
+    } catch (scanError) {
+      console.error('History export error:', scanError);
+      setError(t('app.errorWithPrefix', { prefix: t('history.scanFailed'), message: describeError(decodeError(scanError)).message }));
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  // Handle download
+  const handleDownload = (format) => {
+    const filename = `simplestorage-${history.chainId}-${history.fromBlock}-${history.toBlock}.${format}`;
+    if (format === 'csv') {
+      downloadFile(filename, toCsv(history.records), 'text/csv');
+    } else {
+      downloadFile(filename, toJson(history), 'application/json');
+    }
+  };
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('history.title')}</h2>
+
+      <div className="input-group">
+        <input
+          type="text"
+          inputMode="numeric"
+          className="input-field"
+          placeholder={t('history.fromPlaceholder', { blocks: ACTIVITY_LOOKBACK_BLOCKS })}
+          value={fromBlock}
+          onChange={(e) => setFromBlock(e.target.value)}
+          disabled={scanning}
+        />
+        <input
+          type="text"
+          inputMode="numeric"
+          className="input-field"
+          placeholder={t('history.toPlaceholder')}
+          value={toBlock}
+          onChange={(e) => setToBlock(e.target.value)}
+          disabled={scanning}
+        />
+      </div>
+
+      <div className="input-group">
+        <label className="export-filter">
+          <input
+            type="checkbox"
+            checked={onlyMine && Boolean(account)}
+            onChange={(e) => setOnlyMine(e.target.checked)}
+            disabled={scanning || !account}
+          />
+          {t('history.onlyMine')}
+        </label>
+        <button
+          className="action-button"
+          onClick={handleScan}
+          disabled={scanning || loading}
+        >
+          {scanning ? t('history.scanning') : t('history.scan')}
+        </button>
+      </div>
+
+      {scanning && progress && (
+        <div className="export-progress">
+          {t('history.progress', { scanned: progress.scanned, total: progress.total })}
+        </div>
+      )}
+
+      {error && <div className="preview-error">{error}</div>}
+
+      {history && history.chainId === displayedChainId && (
+        <div className="export-result">
+          <div>
+            {t('history.result', { count: history.records.length, from: history.fromBlock, to: history.toBlock })}
+          </div>
+          <div className="input-group">
+            <button className="action-button" onClick={() => handleDownload('csv')} disabled={history.records.length === 0}>
+              {t('history.downloadCsv')}
+            </button>
+            <button className="action-button" onClick={() => handleDownload('json')} disabled={history.records.length === 0}>
+              {t('history.downloadJson')}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default HistoryExport;
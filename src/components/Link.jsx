@@ -0,0 +1,20 @@
+import { navigate, toUrl } from '../utils/router';
+
+// Link
+// This component is a link to a path of the DApp: a plain click shows the view without reloading the page,
+// while middle clicks and modifier keys keep the browser's behaviour (e.g. opening it in a new tab).
+function Link({ to, children, ...props }) {
+  const handleClick = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={toUrl(to)} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
+
+export default Link;
@@ -0,0 +1,27 @@
+import { useI18n } from '../hooks/useI18n';
+
+// Locale switcher
+// This component picks the language of the DApp among the locales with a catalogue. The choice is remembered,
+// and status messages already shown keep the language they were shown in.
+function LocaleSwitcher() {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <label className="locale-switcher">
+      {t('app.language')}
+      <select
+        className="network-select"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+      >
+        {Object.entries(locales).map(([code, { name }]) => (
+          <option key={code} value={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LocaleSwitcher;
@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from 'react';
+import { getMessageHistory } from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { formatAddress } from '../utils/format';
+import { loadCachedRead, saveCachedRead } from '../utils/cache';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+
+// Number of messages per page
+const PAGE_SIZE = 5;
+
+// Message history
+// This component lists the messages stored in the contract with their author and timestamp, newest first.
+// 'chainId' is the network being displayed and 'refreshKey' changes whenever a new message is stored;
+// the history reloads when either changes.
+// The newest page is cached, so the last known messages show (marked as stale) until it is loaded from the chain.
+function MessageHistory({ chainId, refreshKey }) {
+  const { contractAddress } = useWallet();
+  const { t, formatDate, describeError } = useI18n();
+  const [page, setPage] = useState(0); // Current page, 0 being the newest messages
+  const [messages, setMessages] = useState([]); // Messages of the current page, newest first
+  const [total, setTotal] = useState(0); // Total number of stored messages
+  const [loading, setLoading] = useState(true); // Indicates if the page is being loaded
+  const [error, setError] = useState(null); // Error raised while loading the page
+  const [stale, setStale] = useState(false); // Indicates if the page comes from the cache and was not loaded yet
+  const loadedChain = useRef(null); // Network of the messages loaded from the chain
+
+  // Go back to the newest messages when the network changes or a message is stored
+  useEffect(() => {
+    setPage(0);
+  }, [chainId, refreshKey]);
+
+  useEffect(() => {
+    let active = true;
+    let settled = false; // Indicates if the chain answered, so a late cached page is ignored
+    const cached = page === 0 && contractAddress;
+
+    // Show the cached newest page until the messages of this network are loaded
+    if (cached && loadedChain.current !== chainId) {
+      loadCachedRead(chainId, contractAddress, 'messageHistory').then((entry) => {
+        if (!active || settled || !entry) return;
+        setMessages(entry.value.messages);
+        setTotal(entry.value.total);
+        setStale(true);
+      });
+    }
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const history = await getMessageHistory(page, PAGE_SIZE);
+        settled = true;
+        if (!active) return;
+        setMessages(history.messages);
+        setTotal(history.total);
+        setStale(false);
+        loadedChain.current = chainId;
+        if (cached) saveCachedRead(chainId, contractAddress, 'messageHistory', history);
+      } catch (loadError) {
+        console.error('Message history error:', loadError);
+        settled = true;
+        if (active) setError(decodeError(loadError));
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      active = false;
+    };
+  }, [chainId, contractAddress, refreshKey, page]);
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="message-history">
+      {stale && <div className="stale-notice">{t('cache.stale')}</div>}
+      {error && <div className="history-empty">{t('messages.history.loadFailed', { error: describeError(error).message })}</div>}
+      {!error && !loading && messages.length === 0 && (
+        <div className="history-empty">{t('messages.history.empty')}</div>
+      )}
+
+      <ul className="history-list">
+        {messages.map((entry) => (
+          <li key={entry.index} className="history-item">
+            <div className="history-text">{entry.text}</div>
+            <div className="history-meta">
+              {t('messages.history.meta', {
+                number: entry.index + 1,
+                author: formatAddress(entry.author),
+                date: formatDate(entry.timestamp)
+              })}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {total > PAGE_SIZE && (
+        <div className="history-pagination">
+          <button
+            className="action-button"
+            onClick={() => setPage(page - 1)}
+            disabled={loading || page === 0}
+          >
+            {t('messages.history.newer')}
+          </button>
+          <span>{t('messages.history.page', { page: page + 1, count: pageCount })}</span>
+          <button
+            className="action-button"
+            onClick={() => setPage(page + 1)}
+            disabled={loading || page + 1 >= pageCount}
+          >
+            {t('messages.history.older')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MessageHistory;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { useNotifications } from '../hooks/useNotifications';
+import { useI18n } from '../hooks/useI18n';
+import TransactionLink from './TransactionLink';
+
+// Notification center
+// This component opens the session's notification history from the header: every status message with its
+// severity, time and transaction link, newest first. Opening it marks the notifications as read.
+// It also holds the switch for browser notifications, when the browser supports them.
+function NotificationCenter() {
+  const {
+    history,
+    unreadCount,
+    browserNotificationsSupported,
+    browserNotifications,
+    clearHistory,
+    markAllRead,
+    enableBrowserNotifications
+  } = useNotifications();
+  const { t, formatDate } = useI18n();
+  const [open, setOpen] = useState(false); // Indicates if the history panel is shown
+
+  // Toggle the panel, marking the history as read when it opens or closes
+  const handleToggle = () => {
+    markAllRead();
+    setOpen(!open);
+  };
+
+  return (
+    <div className="notification-center">
+      <button className="notification-toggle" onClick={handleToggle} aria-expanded={open}>
+        {t('notifications.title')}
+        {unreadCount > 0 && <span className="notification-badge">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <h2 className="section-title">{t('notifications.title')}</h2>
+            <button className="tx-dismiss" onClick={clearHistory} disabled={history.length === 0}>
+              {t('notifications.clear')}
+            </button>
+          </div>
+
+          {browserNotificationsSupported && (
+            <label className="notification-setting">
+              <input
+                type="checkbox"
+                checked={browserNotifications}
+                onChange={(e) => enableBrowserNotifications(e.target.checked)}
+              />
+              {t('notifications.browser')}
+            </label>
+          )}
+
+          {history.length === 0 ? (
+            <div className="activity-empty">{t('notifications.empty')}</div>
+          ) : (
+            <ul className="notification-list">
+              {history.map((notification) => (
+                <li key={notification.id} className={`notification-item notification-${notification.type}`}>
+                  <div className="notification-meta">
+                    <span className="notification-type">{t(`notifications.types.${notification.type}`)}</span>
+                    <span>{formatDate(notification.createdAt)}</span>
+                    {notification.txHash && <TransactionLink chainId={notification.chainId} hash={notification.txHash} />}
+                  </div>
+                  <div>{notification.message}</div>
+                  {notification.hint && <div className="status-hint">{notification.hint}</div>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationCenter;
@@ -0,0 +1,55 @@
+import { useNotifications } from '../hooks/useNotifications';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import TransactionLink from './TransactionLink';
+
+// Notification toasts
+// This component stacks the notifications on screen in a corner of the page. Each toast dismisses itself after a
+// while (progress toasts when the next notification arrives) and can be dismissed by hand; errors keep their
+// "Try again" action.
+function NotificationToasts() {
+  const { toasts, dismiss } = useNotifications();
+  const { loading } = useWallet();
+  const { t } = useI18n();
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="toast-stack" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast status-${toast.type}`}
+          role={toast.type === 'error' ? 'alert' : 'status'}
+        >
+          <div className="toast-body">
+            {toast.message}
+            {toast.hint && <div className="status-hint">{toast.hint}</div>}
+            {toast.txHash && (
+              <div className="toast-tx">
+                <TransactionLink chainId={toast.chainId} hash={toast.txHash} />
+              </div>
+            )}
+            {toast.retry && (
+              <button
+                className="action-button status-retry"
+                onClick={() => {
+                  dismiss(toast.id);
+                  toast.retry();
+                }}
+                disabled={loading}
+              >
+                {t('app.tryAgain')}
+              </button>
+            )}
+          </div>
+          <button className="tx-dismiss" onClick={() => dismiss(toast.id)} title={t('notifications.dismiss')}>
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default NotificationToasts;
@@ -0,0 +1,29 @@
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+
+// Owner guard
+// This component only renders its children for the accounts allowed in the admin view (the owner, and the
+// nominated owner so they can accept the transfer). Anyone else opening the view through a link sees why it is
+// closed: no wallet connected, ownership still being checked, or an account that is not the owner.
+function OwnerGuard({ allowed, checking, children }) {
+  const { account } = useWallet();
+  const { t } = useI18n();
+
+  if (allowed) return children;
+
+  let reason = 'admin.guard.notOwner';
+  if (!account) {
+    reason = 'admin.guard.connect';
+  } else if (checking) {
+    reason = 'admin.guard.checking';
+  }
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('admin.title')}</h2>
+      <div className="admin-notice">{t(reason)}</div>
+    </section>
+  );
+}
+
+export default OwnerGuard;
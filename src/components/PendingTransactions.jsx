@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { subscribeToTransactions, clearTransaction, isFinalStatus, CONFIRMATION_TARGET } from '../utils/transactions';
+import { useI18n } from '../hooks/useI18n';
+import TransactionLink from './TransactionLink';
+
+// Pending transactions panel
+// This component lists the transactions sent in this session (and the ones resumed after a reload)
+// with their lifecycle status, confirmation count and explorer links.
+// Status names come from the 'transactions.statuses' catalogue, keyed by TX_STATUS value.
+function PendingTransactions() {
+  const { t, translateLabel } = useI18n();
+  const [transactions, setTransactions] = useState([]); // Tracked transactions, newest first
+
+  useEffect(() => {
+    return subscribeToTransactions(setTransactions);
+  }, []);
+
+  if (transactions.length === 0) return null;
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('transactions.title')}</h2>
+
+      <ul className="tx-list">
+        {transactions.map((tx) => (
+          <li key={tx.hash} className={`tx-item tx-${tx.status}`}>
+            <span className="tx-label">{translateLabel(tx.label)}</span>
+            <TransactionLink chainId={tx.chainId} hash={tx.hash} />
+            <span className="tx-status">
+              {t(`transactions.statuses.${tx.status}`)}
+              {tx.blockNumber && tx.confirmations > 0 &&
+                ` ${t('transactions.confirmations', { count: Math.min(tx.confirmations, CONFIRMATION_TARGET), target: CONFIRMATION_TARGET })}`}
+            </span>
+            {tx.replacementHash && (
+              <span className="tx-replacement">
+                {t('transactions.replacedBy')} <TransactionLink chainId={tx.chainId} hash={tx.replacementHash} />
+              </span>
+            )}
+            {isFinalStatus(tx.status) && (
+              <button className="tx-dismiss" onClick={() => clearTransaction(tx.hash)} title={t('transactions.dismiss')}>
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default PendingTransactions;
@@ -0,0 +1,39 @@
+import { getSandboxProvider } from '../sandbox';
+import { formatAddress } from '../utils/format';
+import { useI18n } from '../hooks/useI18n';
+
+// Sandbox toolbar
+// This component controls the in-memory sandbox wallet: switching between its test accounts
+// (the DApp follows through the usual 'accountsChanged' event) and mining a block to move confirmations forward.
+// 'contractOwner' marks which test account currently owns the contract.
+function SandboxToolbar({ account, contractOwner }) {
+  const { t } = useI18n();
+  const sandbox = getSandboxProvider();
+  const accounts = sandbox.getAccounts();
+  const current = accounts.find((entry) => account && entry.address.toLowerCase() === account.toLowerCase());
+
+  return (
+    <div className="sandbox-toolbar">
+      <span className="sandbox-badge">{t('sandbox.badge')}</span>
+      <select
+        className="network-select"
+        value={current ? current.index : ''}
+        onChange={(e) => sandbox.setAccount(Number(e.target.value))}
+      >
+        {accounts.map((entry) => (
+          <option key={entry.address} value={entry.index}>
+            {t(
+              contractOwner && entry.address.toLowerCase() === contractOwner.toLowerCase() ? 'sandbox.ownerAccount' : 'sandbox.account',
+              { index: entry.index, address: formatAddress(entry.address) }
+            )}
+          </option>
+        ))}
+      </select>
+      <button className="connect-button" onClick={() => sandbox.mineBlock()}>
+        {t('sandbox.mineBlock')}
+      </button>
+    </div>
+  );
+}
+
+export default SandboxToolbar;
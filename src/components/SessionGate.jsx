@@ -0,0 +1,35 @@
+import { useSession } from '../hooks/useSession';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+
+// Session gate
+// This component only renders its children once the connected account has signed in with Ethereum.
+// Until then it shows 'description' with a "Sign In with Ethereum" button, as a section titled 'title',
+// or as a plain notice when 'inline' is set (inside an existing section).
+function SessionGate({ title, description, inline = false, children }) {
+  const { isSignedIn, signingIn, signIn } = useSession();
+  const { loading } = useWallet();
+  const { t } = useI18n();
+
+  if (isSignedIn) return children;
+
+  const notice = (
+    <div className="admin-notice">
+      <div>{description}</div>
+      <button className="action-button" onClick={signIn} disabled={loading || signingIn}>
+        {signingIn ? t('session.waiting') : t('session.signIn')}
+      </button>
+    </div>
+  );
+
+  if (inline) return notice;
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{title}</h2>
+      {notice}
+    </section>
+  );
+}
+
+export default SessionGate;
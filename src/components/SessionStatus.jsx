@@ -0,0 +1,35 @@
+import { useSession } from '../hooks/useSession';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+
+// Session status
+// This component shows whether the connected account is signed in with Ethereum and until when,
+// with a button to sign in or out.
+function SessionStatus() {
+  const { session, signingIn, signIn, signOut } = useSession();
+  const { loading } = useWallet();
+  const { t, formatDate } = useI18n();
+
+  return (
+    <div className="session-status">
+      {session ? (
+        <>
+          <span>
+            {session.expirationTime
+              ? t('session.signedInUntil', { time: formatDate(session.expirationTime, 'time') })
+              : t('session.signedIn')}
+          </span>
+          <button className="connect-button" onClick={signOut} disabled={loading}>
+            {t('session.signOut')}
+          </button>
+        </>
+      ) : (
+        <button className="connect-button" onClick={signIn} disabled={loading || signingIn}>
+          {signingIn ? t('session.waiting') : t('session.signIn')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SessionStatus;
@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import {
+  getTokenList,
+  getTokenInfo,
+  readTokens,
+  getTokenAccountData,
+  getTokenHoldings,
+  approveToken,
+  depositToken
+} from '../utils/ethereum';
+import { formatAddress } from '../utils/format';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import { useNotifications } from '../hooks/useNotifications';
+import { useContractRead } from '../hooks/useContractRead';
+import { useContractWrite } from '../hooks/useContractWrite';
+
+// Value of the selector option that lets the user enter any token address
+const CUSTOM_TOKEN = 'custom';
+
+// Parse an amount of a token, returning null when it is not a positive amount with at most 'decimals' decimals
+const parseTokenAmount = (amount, decimals) => {
+  try {
+    const value = ethers.utils.parseUnits(amount.trim() || '0', decimals);
+    return value.gt(0) ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+// Read the tokens offered on a chain, skipping the ones that cannot be read (e.g. not deployed on a local fork)
+const readKnownTokens = async (account, chainId) => {
+  const tokens = await readTokens(getTokenList(chainId));
+  return [...tokens.values()].filter(Boolean);
+};
+
+// Token deposits
+// This component is the ERC-20 part of the ETH operations: a token selector (the network's tokens or any address)
+// showing the name, symbol and decimals read from the token, a deposit form and the tokens the contract holds.
+// Held tokens are withdrawn through treasury proposals, with the same approvals as ETH (see TreasuryProposals).
+// A deposit first checks the allowance: only when it is too low is the wallet asked to approve the contract for the
+// amount, and the deposit follows once the approval is confirmed. A leftover allowance is reset to 0 before the new
+// approval, since tokens such as USDT revert when an allowance changes from one non-zero value to another.
+function TokenDeposits() {
+  const { account, contractAddress, displayedChainId, readVersion, blockNumber, loading, ensureConnected } = useWallet();
+  const { t, formatToken } = useI18n();
+  const { notify, notifyError } = useNotifications();
+  const { write } = useContractWrite();
+  const { data: knownTokens } = useContractRead(readKnownTokens, []);
+  const { data: holdings } = useContractRead(getTokenHoldings, [], { watchBlocks: true });
+  const [selection, setSelection] = useState(''); // Address chosen in the selector, or CUSTOM_TOKEN ('' until chosen)
+  const [customAddress, setCustomAddress] = useState(''); // Address entered for a token that is not listed
+  const [token, setToken] = useState(null); // Name, symbol and decimals of the selected token
+  const [tokenError, setTokenError] = useState(false); // Indicates if the selected address could not be read as a token
+  const [balances, setBalances] = useState(null); // Balance and allowance of the connected account for the token
+  const [amount, setAmount] = useState(''); // Amount of the token to deposit
+
+  // Until the user picks one, the first listed token is selected (or the address input when none is listed)
+  const selected = selection || (knownTokens.length > 0 ? knownTokens[0].address : CUSTOM_TOKEN);
+  const tokenAddress = selected === CUSTOM_TOKEN ? customAddress.trim() : selected;
+
+  // Selected token
+  // This hook reads the name, symbol and decimals of the selected token whenever the selection or the network changes.
+  useEffect(() => {
+    let active = true;
+    setToken(null);
+    setTokenError(false);
+    if (!ethers.utils.isAddress(tokenAddress)) return undefined;
+
+    getTokenInfo(tokenAddress)
+      .then((info) => {
+        if (active) setToken(info);
+      })
+      .catch((error) => {
+        console.error('Token read error:', error);
+        if (active) setTokenError(true);
+      });
+    return () => {
+      active = false;
+    };
+  }, [tokenAddress, displayedChainId, contractAddress]);
+
+  // Account balances
+  // This hook reads the connected account's balance and allowance of the selected token, again after every write
+  // and on every new block.
+  useEffect(() => {
+    let active = true;
+    if (!token || !account) {
+      setBalances(null);
+      return undefined;
+    }
+
+    getTokenAccountData(token, account)
+      .then((data) => {
+        if (active) setBalances(data);
+      })
+      .catch((error) => console.error('Token balance read error:', error));
+    return () => {
+      active = false;
+    };
+  }, [token, account, readVersion, blockNumber]);
+
+  // Deposit tokens
+  // This function checks the allowance of the connected account and asks for an approval first only when it does
+  // not cover the amount (preceded by a reset to 0 when some allowance is left); the deposit is then previewed and
+  // sent once the approval is confirmed.
+  const handleDepositToken = async () => {
+    if (!token) {
+      notify({ type: 'error', message: t('tokens.selectToken') });
+      return;
+    }
+    const value = parseTokenAmount(amount, token.decimals);
+    if (!value) {
+      notify({ type: 'error', message: t('tokens.invalidAmount', { decimals: token.decimals }) });
+      return;
+    }
+    const depositor = await ensureConnected();
+    if (!depositor) return;
+    const shownAmount = formatToken(ethers.utils.formatUnits(value, token.decimals), token.symbol);
+
+    const deposit = () => write({
+      label: t('tokens.depositLabel', { amount: shownAmount }),
+      method: 'depositToken',
+      args: [token.address, value],
+      send: (overrides) => depositToken(token, value, overrides),
+      loadingMessage: t('tokens.depositing'),
+      successMessage: t('tokens.depositSuccess'),
+      errorPrefix: t('tokens.depositFailed'),
+      retry: handleDepositToken,
+      onSuccess: () => setAmount('')
+    });
+
+    let allowance;
+    try {
+      ({ allowance } = await getTokenAccountData(token, depositor));
+    } catch (error) {
+      console.error('Allowance check error:', error);
+      notifyError(t('tokens.depositFailed'), error, handleDepositToken);
+      return;
+    }
+    const allowed = ethers.utils.parseUnits(allowance, token.decimals);
+    if (allowed.gte(value)) {
+      await deposit();
+      return;
+    }
+
+    const approve = () => write({
+      label: t('tokens.approveLabel', { amount: shownAmount }),
+      token: token.address,
+      method: 'approve',
+      args: [contractAddress, value],
+      send: (overrides) => approveToken(token, value, overrides),
+      loadingMessage: t('tokens.approving'),
+      successMessage: t('tokens.approveSuccess'),
+      errorPrefix: t('tokens.approveFailed'),
+      retry: handleDepositToken,
+      onSuccess: deposit
+    });
+    if (allowed.isZero()) {
+      await approve();
+      return;
+    }
+
+    await write({
+      label: t('tokens.resetApprovalLabel', { symbol: token.symbol }),
+      token: token.address,
+      method: 'approve',
+      args: [contractAddress, ethers.constants.Zero],
+      send: (overrides) => approveToken(token, ethers.constants.Zero, overrides),
+      loadingMessage: t('tokens.resettingApproval'),
+      successMessage: t('tokens.resetApprovalSuccess'),
+      errorPrefix: t('tokens.approveFailed'),
+      retry: handleDepositToken,
+      onSuccess: approve
+    });
+  };
+
+  return (
+    <>
+      <h3 className="subsection-title">{t('tokens.title')}</h3>
+
+      <div className="input-group">
+        <select
+          className="input-field"
+          aria-label={t('tokens.select')}
+          value={selected}
+          onChange={(e) => setSelection(e.target.value)}
+          disabled={loading}
+        >
+          {knownTokens.map((known) => (
+            <option key={known.address} value={known.address}>{known.symbol} · {known.name}</option>
+          ))}
+          <option value={CUSTOM_TOKEN}>{t('tokens.custom')}</option>
+        </select>
+        {selected === CUSTOM_TOKEN && (
+          <input
+            type="text"
+            className="input-field"
+            placeholder={t('tokens.addressPlaceholder')}
+            value={customAddress}
+            onChange={(e) => setCustomAddress(e.target.value)}
+            disabled={loading}
+          />
+        )}
+      </div>
+
+      {ethers.utils.isAddress(tokenAddress) && (
+        <div className="token-info">
+          {tokenError && t('tokens.notToken')}
+          {!tokenError && !token && t('tokens.reading')}
+          {token && (
+            <>
+              <div>
+                {t('tokens.info', { name: token.name, symbol: token.symbol, decimals: token.decimals })}{' '}
+                <span className="token-address" title={token.address}>{formatAddress(token.address)}</span>
+              </div>
+              {balances && (
+                <div>
+                  {t('tokens.wallet', {
+                    balance: formatToken(balances.balance, token.symbol),
+                    allowance: formatToken(balances.allowance, token.symbol)
+                  })}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="input-group">
+        <input
+          type="number"
+          step="any"
+          min="0"
+          className="input-field"
+          placeholder={t('tokens.amountPlaceholder', { symbol: token ? token.symbol : '' })}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          disabled={loading || !token}
+        />
+        <button className="action-button" onClick={handleDepositToken} disabled={loading || !token}>
+          {t('tokens.deposit')}
+        </button>
+      </div>
+      <div className="token-hint">{t('tokens.approveHint')}</div>
+
+      <h3 className="subsection-title">{t('tokens.holdingsTitle')}</h3>
+      {holdings.length === 0 ? (
+        <div className="activity-empty">{t('tokens.noHoldings')}</div>
+      ) : (
+        <ul className="token-holdings">
+          {holdings.map((holding) => (
+            <li key={holding.address}>
+              <span className="token-balance">{formatToken(holding.balance, holding.symbol)}</span>{' '}
+              {holding.name}{' '}
+              <span className="token-address" title={holding.address}>{formatAddress(holding.address)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {holdings.length > 0 && <div className="token-hint">{t('tokens.withdrawHint')}</div>}
+    </>
+  );
+}
+
+export default TokenDeposits;
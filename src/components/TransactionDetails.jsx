@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { getTransactionDetails } from '../utils/ethereum';
+import { getExplorerUrl } from '../contract/networks';
+import { decodeError } from '../utils/errors';
+import { formatOutputs } from '../utils/abi';
+import { buildPath } from '../utils/router';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import DecodedValues from './DecodedValues';
+import Link from './Link';
+
+// Check whether a route parameter is a transaction hash
+const isTransactionHash = (value) => /^0x[0-9a-fA-F]{64}$/.test(value);
+
+// Transaction details
+// This component is the /tx/:hash view: the status, sender, value and receipt (block, time, gas and fee) of a
+// transaction on the displayed network and, when it was sent to the contract in use, the decoded call and events.
+// A pending transaction is looked up again on every new block until it is mined. The view is keyed by network and hash
+// in App, so another lookup starts from a fresh state.
+function TransactionDetails({ hash }) {
+  const { displayedChainId, contractAddress, blockNumber } = useWallet();
+  const { t, formatEth, formatDate, describeError } = useI18n();
+  const [details, setDetails] = useState(null); // Transaction, receipt and decoded call, or null when unknown
+  const [loading, setLoading] = useState(true); // Indicates if the transaction is being looked up
+  const [error, setError] = useState(null); // Error raised by the lookup
+
+  const validHash = isTransactionHash(hash);
+  const pending = Boolean(details && !details.receipt);
+  const watchedBlock = pending ? blockNumber : null; // Block that triggers a new lookup while the transaction is pending
+
+  useEffect(() => {
+    if (!validHash) return;
+    let active = true;
+
+    const load = async () => {
+      try {
+        const result = await getTransactionDetails(hash);
+        if (!active) return;
+        setDetails(result);
+        setError(null);
+      } catch (loadError) {
+        console.error('Transaction details error:', loadError);
+        if (active) setError(decodeError(loadError));
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      active = false;
+    };
+  }, [hash, validHash, displayedChainId, contractAddress, watchedBlock]);
+
+  let content;
+  if (!validHash) {
+    content = <div className="activity-empty">{t('tx.invalidHash')}</div>;
+  } else if (loading) {
+    content = <div className="activity-empty">{t('tx.loading')}</div>;
+  } else if (error) {
+    content = <div className="activity-empty">{t('tx.loadFailed', { error: describeError(error).message })}</div>;
+  } else if (!details) {
+    content = <div className="activity-empty">{t('tx.notFound')}</div>;
+  } else {
+    const { transaction, receipt, call, events } = details;
+    const explorerUrl = getExplorerUrl(details.chainId, 'tx', hash);
+    let status = 'pending';
+    if (receipt) status = receipt.status === 1 ? 'success' : 'failed';
+
+    content = (
+      <>
+        {!details.toContract && (
+          <div className="admin-notice">{t('tx.notContract', { address: details.contractAddress })}</div>
+        )}
+
+        <div className="tx-details">
+          <div>{t('tx.status', { status: t(`tx.statuses.${status}`) })}</div>
+          <div>
+            {t('tx.hash')}{' '}
+            {explorerUrl ? (
+              <a className="activity-link" href={explorerUrl} target="_blank" rel="noopener noreferrer">{hash}</a>
+            ) : (
+              <span className="activity-link">{hash}</span>
+            )}
+          </div>
+          <div>
+            {t('tx.from')}{' '}
+            <Link className="activity-link" to={buildPath('address', { address: transaction.from })}>{transaction.from}</Link>
+          </div>
+          <div>{t('tx.to', { address: transaction.to || t('tx.creation') })}</div>
+          <div>{t('tx.value', { amount: formatEth(transaction.value, 18) })}</div>
+          {receipt && (
+            <>
+              <div>{t('tx.block', { block: receipt.blockNumber })}</div>
+              {details.timestamp && <div>{t('tx.time', { time: formatDate(details.timestamp) })}</div>}
+              <div>{t('tx.gasUsed', { gas: receipt.gasUsed.toString() })}</div>
+              {details.fee && <div>{t('tx.fee', { fee: formatEth(details.fee, 18) })}</div>}
+            </>
+          )}
+        </div>
+
+        {call && (
+          <div className="console-receipt">
+            <div>{t('tx.call', { name: call.name })}</div>
+            <DecodedValues values={formatOutputs(call.functionFragment.inputs, call.args)} />
+          </div>
+        )}
+
+        {events.map((event, index) => (
+          <div key={index} className="console-event">
+            <div>{t('console.event', { name: event.name })}</div>
+            <DecodedValues values={formatOutputs(event.eventFragment.inputs, event.args)} />
+          </div>
+        ))}
+      </>
+    );
+  }
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('tx.title')}</h2>
+      {content}
+    </section>
+  );
+}
+
+export default TransactionDetails;
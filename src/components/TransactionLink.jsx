@@ -0,0 +1,16 @@
+import { getExplorerUrl } from '../contract/networks';
+import { formatAddress } from '../utils/format';
+
+// Transaction link
+// This component shows a shortened transaction hash, linked to the block explorer when the network has one.
+function TransactionLink({ chainId, hash }) {
+  const url = getExplorerUrl(chainId, 'tx', hash);
+  if (!url) return <span className="tx-hash">{formatAddress(hash)}</span>;
+  return (
+    <a className="tx-hash" href={url} target="_blank" rel="noopener noreferrer">
+      {formatAddress(hash)}
+    </a>
+  );
+}
+
+export default TransactionLink;
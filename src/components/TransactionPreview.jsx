@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { previewTransaction, calculateTransactionCost } from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { translateRevertReason } from '../i18n';
+import { useI18n } from '../hooks/useI18n';
+
+// Format a wei amount as gwei for the fee inputs
+const toGwei = (value) => (value ? ethers.utils.formatUnits(value, 'gwei') : '');
+
+// Parse a gwei input, returning null when it is not a valid amount
+const parseGwei = (value) => {
+  try {
+    return ethers.utils.parseUnits(value || '0', 'gwei');
+  } catch {
+    return null;
+  }
+};
+
+// Transaction preview
+// This component is the confirmation step shown before every write. It runs the pre-flight checks
+// (static call, gas estimate, fee data), shows the estimated cost and lets the user override the fees.
+// 'write' describes the pending write: { label, method, args, value, token }.
+function TransactionPreview({ write, onConfirm, onCancel }) {
+  const { locale, t, formatEth, describeError } = useI18n();
+  const [preview, setPreview] = useState(null); // Result of the pre-flight checks
+  const [error, setError] = useState(null); // Error raised while preparing the preview
+  const [fees, setFees] = useState({ maxFeePerGas: '', maxPriorityFeePerGas: '', gasPrice: '' }); // Fee inputs, in gwei
+
+  useEffect(() => {
+    let active = true;
+
+    const load = async () => {
+      try {
+        const result = await previewTransaction(write.method, write.args, write.value, write.token);
+        if (!active) return;
+        setPreview(result);
+        setFees({
+          maxFeePerGas: toGwei(result.maxFeePerGas),
+          maxPriorityFeePerGas: toGwei(result.maxPriorityFeePerGas),
+          gasPrice: toGwei(result.gasPrice),
+        });
+      } catch (loadError) {
+        console.error('Transaction preview error:', loadError);
+        if (active) setError(decodeError(loadError));
+      }
+    };
+
+    load();
+    return () => {
+      active = false;
+    };
+  }, [write]);
+
+  // Fee overrides built from the inputs, or an error message when they are invalid
+  const buildOverrides = () => {
+    if (!preview.supportsEip1559) {
+      const gasPrice = parseGwei(fees.gasPrice);
+      if (!gasPrice || gasPrice.isZero()) return { error: t('preview.invalidGasPrice') };
+      return { overrides: { gasPrice } };
+    }
+
+    const maxFeePerGas = parseGwei(fees.maxFeePerGas);
+    const maxPriorityFeePerGas = parseGwei(fees.maxPriorityFeePerGas);
+    if (!maxFeePerGas || !maxPriorityFeePerGas || maxFeePerGas.isZero()) {
+      return { error: t('preview.invalidFees') };
+    }
+    if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+      return { error: t('preview.priorityAboveMax') };
+    }
+    return { overrides: { maxFeePerGas, maxPriorityFeePerGas } };
+  };
+
+  const { overrides, error: feeError } = preview ? buildOverrides() : {};
+  const cost = preview && overrides ? calculateTransactionCost(preview, overrides) : null;
+
+  const handleFeeChange = (field) => (e) => {
+    setFees({ ...fees, [field]: e.target.value });
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal" role="dialog" aria-modal="true">
+        <h2 className="section-title">{t('preview.title', { label: write.label })}</h2>
+
+        {!preview && !error && <div>{t('preview.estimating')}</div>}
+        {error && <div className="preview-error">{describeError(error).message}</div>}
+
+        {preview && (
+          <>
+            {preview.revertReason && (
+              <div className="preview-error">
+                {t('preview.wouldRevert', { reason: translateRevertReason(locale, preview.revertReason) })}
+              </div>
+            )}
+
+            {!preview.revertReason && (
+              <div className="preview-details">
+                <div>{t('preview.estimatedGas', { gas: preview.gasLimit.toString() })}</div>
+
+                {preview.supportsEip1559 ? (
+                  <>
+                    <label className="preview-field">
+                      {t('preview.maxFee')}
+                      <input
+                        type="number"
+                        min="0"
+                        className="input-field"
+                        value={fees.maxFeePerGas}
+                        onChange={handleFeeChange('maxFeePerGas')}
+                      />
+                    </label>
+                    <label className="preview-field">
+                      {t('preview.maxPriorityFee')}
+                      <input
+                        type="number"
+                        min="0"
+                        className="input-field"
+                        value={fees.maxPriorityFeePerGas}
+                        onChange={handleFeeChange('maxPriorityFeePerGas')}
+                      />
+                    </label>
+                  </>
+                ) : (
+                  <label className="preview-field">
+                    {t('preview.gasPrice')}
+                    <input
+                      type="number"
+                      min="0"
+                      className="input-field"
+                      value={fees.gasPrice}
+                      onChange={handleFeeChange('gasPrice')}
+                    />
+                  </label>
+                )}
+
+                {feeError && <div className="preview-error">{feeError}</div>}
+
+                {cost && (
+                  <div className="preview-cost">
+                    {!preview.value.isZero() && (
+                      <div>{t('preview.amount', { amount: formatEth(preview.value, 18) })}</div>
+                    )}
+                    <div>
+                      {t('preview.networkFee', { fee: formatEth(cost.expectedFee, 18), max: formatEth(cost.maxFee, 18) })}
+                    </div>
+                    <div className="preview-total">
+                      {t('preview.total', { total: formatEth(cost.expectedTotal, 18) })}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button className="action-button withdraw-button" onClick={onCancel}>
+            {t('preview.cancel')}
+          </button>
+          <button
+            className="action-button"
+            onClick={() => onConfirm(overrides)}
+            disabled={!preview || Boolean(preview.revertReason) || !overrides}
+          >
+            {t('preview.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TransactionPreview;
@@ -0,0 +1,431 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import {
+  getTreasuryData,
+  getTokenHoldings,
+  proposeWithdrawal,
+  proposeTokenWithdrawal,
+  proposeAddSigner,
+  proposeRemoveSigner,
+  proposeThreshold,
+  approveProposal,
+  executeProposal
+} from '../utils/ethereum';
+import { formatAddress } from '../utils/format';
+import { buildPath } from '../utils/router';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import { useNotifications } from '../hooks/useNotifications';
+import { useContractRead } from '../hooks/useContractRead';
+import { useContractWrite } from '../hooks/useContractWrite';
+import Link from './Link';
+
+// Hours a new proposal stays open by default
+const DEFAULT_EXPIRY_HOURS = 72;
+
+// Check whether two addresses are the same account
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Treasury proposals
+// This component is the M-of-N treasury: the signers and threshold, the open proposals with who approved them, and,
+// for a connected signer, the forms to propose a withdrawal (of ETH or of a deposited token) or a change of signers or
+// threshold, and the buttons to approve and execute proposals. Neither ETH nor tokens leave the contract until
+// 'threshold' signers approved a withdrawal.
+// The treasury is read on every new block, so approvals made by other signers show up on their own.
+function TreasuryProposals() {
+  const { account, loading } = useWallet();
+  const { t, formatEth, formatToken, formatDate } = useI18n();
+  const { notify } = useNotifications();
+  const { write } = useContractWrite();
+  const { data: treasury } = useContractRead(getTreasuryData, null, { watchBlocks: true });
+  const { data: holdings } = useContractRead(getTokenHoldings, [], { watchBlocks: true });
+  const [amount, setAmount] = useState(''); // ETH amount of a withdrawal proposal
+  const [recipient, setRecipient] = useState(''); // Recipient of a withdrawal proposal
+  const [tokenAddress, setTokenAddress] = useState(''); // Token of a token withdrawal proposal ('' for the first one held)
+  const [tokenAmount, setTokenAmount] = useState(''); // Amount of a token withdrawal proposal, in whole tokens
+  const [tokenRecipient, setTokenRecipient] = useState(''); // Recipient of a token withdrawal proposal
+  const [signer, setSigner] = useState(''); // Signer to add or remove
+  const [newThreshold, setNewThreshold] = useState(''); // Threshold that applies after the proposal is executed
+  const [expiryHours, setExpiryHours] = useState(String(DEFAULT_EXPIRY_HOURS)); // Hours a new proposal stays open
+
+  if (!treasury) return null;
+
+  const isSigner = treasury.signers.some((address) => sameAddress(address, account));
+  const openProposals = treasury.proposals.filter((proposal) => !proposal.executed && !proposal.expired);
+
+  // Get the expiry of a new proposal (Unix time in seconds), or null when the number of hours is invalid
+  const getExpiry = () => {
+    const hours = parseFloat(expiryHours);
+    if (!(hours > 0)) {
+      notify({ type: 'error', message: t('treasury.invalidExpiry') });
+      return null;
+    }
+    return Math.floor(Date.now() / 1000) + Math.round(hours * 3600);
+  };
+
+  // Get the threshold entered for a proposal, or null when it is not a positive whole number
+  const getThreshold = () => {
+    const threshold = Number(newThreshold);
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      notify({ type: 'error', message: t('treasury.invalidThreshold') });
+      return null;
+    }
+    return threshold;
+  };
+
+  // Propose withdrawal
+  // This function proposes sending part of the contract's ETH to a recipient (defaults to the signer's own account).
+  const handleProposeWithdrawal = async () => {
+    const to = recipient.trim() || account;
+    if (!ethers.utils.isAddress(to)) {
+      notify({ type: 'error', message: t('eth.invalidRecipient') });
+      return;
+    }
+    let value;
+    try {
+      value = ethers.utils.parseEther(amount.trim());
+    } catch {
+      value = null;
+    }
+    if (!value || value.lte(0)) {
+      notify({ type: 'error', message: t('eth.invalidWithdrawal') });
+      return;
+    }
+    const expiresAt = getExpiry();
+    if (!expiresAt) return;
+
+    await write({
+      label: t('treasury.withdrawalLabel', { amount: formatEth(amount, 18), recipient: formatAddress(to) }),
+      method: 'proposeWithdrawal',
+      args: [to, value, expiresAt],
+      send: (overrides) => proposeWithdrawal(to, value, expiresAt, overrides),
+      loadingMessage: t('treasury.proposing'),
+      successMessage: t('treasury.proposeSuccess'),
+      errorPrefix: t('treasury.proposeFailed'),
+      retry: handleProposeWithdrawal,
+      onSuccess: () => {
+        setAmount('');
+        setRecipient('');
+      }
+    });
+  };
+
+  // Propose token withdrawal
+  // This function proposes sending part of the contract's holdings of a token to a recipient (defaults to the
+  // signer's own account).
+  const handleProposeTokenWithdrawal = async () => {
+    const holding = holdings.find((item) => item.address === tokenAddress) || holdings[0];
+    const to = tokenRecipient.trim() || account;
+    if (!ethers.utils.isAddress(to)) {
+      notify({ type: 'error', message: t('eth.invalidRecipient') });
+      return;
+    }
+    let value;
+    try {
+      value = ethers.utils.parseUnits(tokenAmount.trim(), holding.decimals);
+    } catch {
+      value = null;
+    }
+    if (!value || value.lte(0)) {
+      notify({ type: 'error', message: t('tokens.invalidAmount', { decimals: holding.decimals }) });
+      return;
+    }
+    const expiresAt = getExpiry();
+    if (!expiresAt) return;
+
+    await write({
+      label: t('treasury.tokenWithdrawalLabel', { amount: formatToken(tokenAmount, holding.symbol), recipient: formatAddress(to) }),
+      method: 'proposeTokenWithdrawal',
+      args: [holding.address, to, value, expiresAt],
+      send: (overrides) => proposeTokenWithdrawal(holding, to, value, expiresAt, overrides),
+      loadingMessage: t('treasury.proposing'),
+      successMessage: t('treasury.proposeSuccess'),
+      errorPrefix: t('treasury.proposeFailed'),
+      retry: handleProposeTokenWithdrawal,
+      onSuccess: () => {
+        setTokenAmount('');
+        setTokenRecipient('');
+      }
+    });
+  };
+
+  // Propose signer change
+  // This function proposes adding or removing a signer, with the threshold that applies afterwards.
+  const handleProposeSigner = async (adding) => {
+    const address = signer.trim();
+    if (!ethers.utils.isAddress(address)) {
+      notify({ type: 'error', message: t('treasury.invalidSigner') });
+      return;
+    }
+    const threshold = getThreshold();
+    if (!threshold) return;
+    const expiresAt = getExpiry();
+    if (!expiresAt) return;
+
+    const method = adding ? 'proposeAddSigner' : 'proposeRemoveSigner';
+    const send = adding ? proposeAddSigner : proposeRemoveSigner;
+    await write({
+      label: t(adding ? 'treasury.addSignerLabel' : 'treasury.removeSignerLabel', { signer: formatAddress(address), threshold }),
+      method,
+      args: [address, threshold, expiresAt],
+      send: (overrides) => send(address, threshold, expiresAt, overrides),
+      loadingMessage: t('treasury.proposing'),
+      successMessage: t('treasury.proposeSuccess'),
+      errorPrefix: t('treasury.proposeFailed'),
+      retry: () => handleProposeSigner(adding),
+      onSuccess: () => {
+        setSigner('');
+        setNewThreshold('');
+      }
+    });
+  };
+
+  // Propose threshold
+  // This function proposes a new number of approvals for proposals.
+  const handleProposeThreshold = async () => {
+    const threshold = getThreshold();
+    if (!threshold) return;
+    const expiresAt = getExpiry();
+    if (!expiresAt) return;
+
+    await write({
+      label: t('treasury.thresholdLabel', { threshold }),
+      method: 'proposeThreshold',
+      args: [threshold, expiresAt],
+      send: (overrides) => proposeThreshold(threshold, expiresAt, overrides),
+      loadingMessage: t('treasury.proposing'),
+      successMessage: t('treasury.proposeSuccess'),
+      errorPrefix: t('treasury.proposeFailed'),
+      retry: handleProposeThreshold,
+      onSuccess: () => setNewThreshold('')
+    });
+  };
+
+  // Approve a proposal
+  const handleApprove = async (id) => {
+    await write({
+      label: t('treasury.approveLabel', { id }),
+      method: 'approveProposal',
+      args: [id],
+      send: (overrides) => approveProposal(id, overrides),
+      loadingMessage: t('treasury.approving'),
+      successMessage: t('treasury.approveSuccess'),
+      errorPrefix: t('treasury.approveFailed'),
+      retry: () => handleApprove(id)
+    });
+  };
+
+  // Execute a proposal that reached the threshold
+  const handleExecute = async (id) => {
+    await write({
+      label: t('treasury.executeLabel', { id }),
+      method: 'executeProposal',
+      args: [id],
+      send: (overrides) => executeProposal(id, overrides),
+      loadingMessage: t('treasury.executing'),
+      successMessage: t('treasury.executeSuccess'),
+      errorPrefix: t('treasury.executeFailed'),
+      retry: () => handleExecute(id)
+    });
+  };
+
+  // Describe what a proposal does
+  const describeProposal = (proposal) => {
+    const target = formatAddress(proposal.target);
+    switch (proposal.kind) {
+      case 'withdrawal':
+        return t('treasury.kinds.withdrawal', { amount: formatEth(proposal.amount), recipient: target });
+      case 'tokenWithdrawal':
+        return t('treasury.kinds.tokenWithdrawal', { amount: formatToken(proposal.amount, proposal.token.symbol), recipient: target });
+      case 'addSigner':
+        return t('treasury.kinds.addSigner', { signer: target, threshold: proposal.threshold });
+      case 'removeSigner':
+        return t('treasury.kinds.removeSigner', { signer: target, threshold: proposal.threshold });
+      default:
+        return t('treasury.kinds.changeThreshold', { threshold: proposal.threshold });
+    }
+  };
+
+  return (
+    <section className="dapp-section">
+      <h2 className="section-title">{t('treasury.title')}</h2>
+
+      <div className="owner-display">
+        {t('treasury.policy', { threshold: treasury.threshold, count: treasury.signers.length })}
+      </div>
+      <ul className="signer-list">
+        {treasury.signers.map((address) => (
+          <li key={address}>
+            <Link className="activity-link" to={buildPath('address', { address })}>{formatAddress(address)}</Link>
+            {sameAddress(address, account) && ` ${t('treasury.you')}`}
+          </li>
+        ))}
+      </ul>
+
+      <h3 className="subsection-title">{t('treasury.openTitle')}</h3>
+      {openProposals.length === 0 ? (
+        <div className="activity-empty">{t('treasury.empty')}</div>
+      ) : (
+        <ul className="proposal-list">
+          {openProposals.map((proposal) => {
+            const approved = proposal.approvals.some((address) => sameAddress(address, account));
+            const ready = proposal.approvals.length >= treasury.threshold;
+
+            return (
+              <li key={proposal.id} className="proposal-item">
+                <div className="proposal-summary">#{proposal.id} {describeProposal(proposal)}</div>
+                <div className="proposal-meta">
+                  {t('treasury.meta', { proposer: formatAddress(proposal.proposer), date: formatDate(proposal.expiresAt) })}
+                </div>
+                <div className="proposal-meta">
+                  {t('treasury.approvals', { count: proposal.approvals.length, threshold: treasury.threshold })}{' '}
+                  {proposal.approvals.map((address) => formatAddress(address)).join(', ')}
+                </div>
+                {isSigner && (
+                  <div className="input-group">
+                    <button
+                      className="action-button"
+                      onClick={() => handleApprove(proposal.id)}
+                      disabled={loading || approved}
+                    >
+                      {approved ? t('treasury.approved') : t('treasury.approve')}
+                    </button>
+                    <button
+                      className="action-button withdraw-button"
+                      onClick={() => handleExecute(proposal.id)}
+                      disabled={loading || !ready}
+                      title={ready ? undefined : t('treasury.notReady')}
+                    >
+                      {t('treasury.execute')}
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {isSigner ? (
+        <>
+          <h3 className="subsection-title">{t('treasury.newTitle')}</h3>
+
+          <div className="input-group">
+            <label className="proposal-expiry">
+              {t('treasury.expiry')}
+              <input
+                type="number"
+                step="1"
+                min="1"
+                className="input-field"
+                value={expiryHours}
+                onChange={(e) => setExpiryHours(e.target.value)}
+                disabled={loading}
+              />
+            </label>
+          </div>
+
+          <div className="input-group">
+            <input
+              type="number"
+              step="0.001"
+              min="0"
+              className="input-field"
+              placeholder={t('eth.withdrawPlaceholder')}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              disabled={loading}
+            />
+            <input
+              type="text"
+              className="input-field"
+              placeholder={t('eth.recipientPlaceholder')}
+              value={recipient}
+              onChange={(e) => setRecipient(e.target.value)}
+              disabled={loading}
+            />
+            <button className="action-button withdraw-button" onClick={handleProposeWithdrawal} disabled={loading}>
+              {t('treasury.proposeWithdrawal')}
+            </button>
+          </div>
+
+          {holdings.length > 0 && (
+            <div className="input-group">
+              <select
+                className="input-field"
+                aria-label={t('tokens.select')}
+                value={tokenAddress || holdings[0].address}
+                onChange={(e) => setTokenAddress(e.target.value)}
+                disabled={loading}
+              >
+                {holdings.map((holding) => (
+                  <option key={holding.address} value={holding.address}>
+                    {holding.symbol} · {formatToken(holding.balance, holding.symbol)}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                className="input-field"
+                placeholder={t('treasury.tokenAmountPlaceholder')}
+                value={tokenAmount}
+                onChange={(e) => setTokenAmount(e.target.value)}
+                disabled={loading}
+              />
+              <input
+                type="text"
+                className="input-field"
+                placeholder={t('eth.recipientPlaceholder')}
+                value={tokenRecipient}
+                onChange={(e) => setTokenRecipient(e.target.value)}
+                disabled={loading}
+              />
+              <button className="action-button withdraw-button" onClick={handleProposeTokenWithdrawal} disabled={loading}>
+                {t('treasury.proposeTokenWithdrawal')}
+              </button>
+            </div>
+          )}
+
+          <div className="input-group">
+            <input
+              type="text"
+              className="input-field"
+              placeholder={t('treasury.signerPlaceholder')}
+              value={signer}
+              onChange={(e) => setSigner(e.target.value)}
+              disabled={loading}
+            />
+            <input
+              type="number"
+              step="1"
+              min="1"
+              className="input-field"
+              placeholder={t('treasury.thresholdPlaceholder')}
+              value={newThreshold}
+              onChange={(e) => setNewThreshold(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="input-group">
+            <button className="action-button" onClick={() => handleProposeSigner(true)} disabled={loading}>
+              {t('treasury.proposeAddSigner')}
+            </button>
+            <button className="action-button" onClick={() => handleProposeSigner(false)} disabled={loading}>
+              {t('treasury.proposeRemoveSigner')}
+            </button>
+            <button className="action-button" onClick={handleProposeThreshold} disabled={loading}>
+              {t('treasury.proposeThreshold')}
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="admin-notice">{t(account ? 'treasury.notSigner' : 'treasury.connect')}</div>
+      )}
+    </section>
+  );
+}
+
+export default TreasuryProposals;
@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+// I18n context
+// Shared by I18nProvider and useI18n. Holds the user's locale with the translation and formatting helpers.
+export const I18nContext = createContext(null);
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { I18nContext } from './I18nContext';
+import {
+  LOCALES,
+  getInitialLocale,
+  saveLocale,
+  translate,
+  translateLabel,
+  formatEthAmount,
+  formatTokenAmount,
+  formatDateTime,
+  describeError as describeLocalizedError
+} from '../i18n';
+
+// I18n provider
+// This component keeps the user's locale and shares it through I18nContext, with helpers bound to it.
+// It wraps every other provider, so their status messages are translated too.
+function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(getInitialLocale); // Locale chosen in the locale switcher
+
+  // Document language
+  // This hook keeps the lang attribute of the page in sync, for screen readers and the browser's own formatting.
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Set locale
+  // This function changes the locale of the whole DApp and remembers it for the next visits.
+  const setLocale = useCallback((newLocale) => {
+    if (!LOCALES[newLocale]) return;
+    saveLocale(newLocale);
+    setLocaleState(newLocale);
+  }, []);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+  const translateLabelForLocale = useCallback((label) => translateLabel(locale, label), [locale]);
+  const formatEth = useCallback((amount, maximumFractionDigits) => formatEthAmount(locale, amount, maximumFractionDigits), [locale]);
+  const formatToken = useCallback(
+    (amount, symbol, maximumFractionDigits) => formatTokenAmount(locale, amount, symbol, maximumFractionDigits),
+    [locale]
+  );
+  const formatDate = useCallback((date, style) => formatDateTime(locale, date, style), [locale]);
+  const describeError = useCallback((error) => describeLocalizedError(locale, error), [locale]);
+
+  const value = useMemo(() => ({
+    locale,
+    locales: LOCALES,
+    setLocale,
+    t,
+    translateLabel: translateLabelForLocale,
+    formatEth,
+    formatToken,
+    formatDate,
+    describeError
+  }), [locale, setLocale, t, translateLabelForLocale, formatEth, formatToken, formatDate, describeError]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export default I18nProvider;
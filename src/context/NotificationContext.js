@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Notification context
+// Shared by NotificationProvider and useNotifications. Holds the toasts, the session's notification history
+// and the functions that add and dismiss notifications.
+export const NotificationContext = createContext(null);
@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { NotificationContext } from './NotificationContext';
+import { decodeError } from '../utils/errors';
+import { useI18n } from '../hooks/useI18n';
+import { subscribeToTransactions, isFinalStatus } from '../utils/transactions';
+import {
+  TOAST_DURATIONS,
+  HISTORY_LIMIT,
+  createNotification,
+  loadHistory,
+  saveHistory,
+  isBrowserNotificationSupported,
+  areBrowserNotificationsEnabled,
+  setBrowserNotificationsEnabled,
+  showBrowserNotification
+} from '../utils/notifications';
+
+// Number of toasts on screen at once; older ones are dropped from the screen (not from the history)
+const MAX_TOASTS = 4;
+
+// Notification provider
+// This component owns the DApp's notifications and shares them through NotificationContext. Every notification
+// is shown as a toast and, except progress ('loading') messages, kept in the session's history.
+// A progress toast is replaced by the next notification, as the single status message used to be.
+// Messages are translated when they are created, so it must be rendered inside an I18nProvider.
+function NotificationProvider({ children }) {
+  const { t, translateLabel, describeError } = useI18n();
+  const [toasts, setToasts] = useState([]); // Notifications on screen, oldest first
+  const [history, setHistory] = useState(loadHistory); // Notifications of this session, newest first
+  const [lastSeen, setLastSeen] = useState(Date.now); // Time the history was last opened, for the unread count
+  const [browserNotifications, setBrowserNotifications] = useState(areBrowserNotificationsEnabled); // Indicates if browser notifications are on
+  const timers = useRef(new Map()); // Auto-dismiss timers, keyed by notification id
+
+  // Persist the history, so it survives reloads during the session
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  // Clear the auto-dismiss timers when the provider is unmounted
+  useEffect(() => {
+    const pending = timers.current;
+    return () => {
+      pending.forEach((timer) => clearTimeout(timer));
+      pending.clear();
+    };
+  }, []);
+
+  // Dismiss toast
+  // This function removes a toast from the screen. The notification stays in the history.
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  }, []);
+
+  // Notify
+  // This function reports a status { type, message, hint, retry, txHash, chainId }: it shows a toast, which
+  // dismisses itself after TOAST_DURATIONS[type], and records it in the history. Returns the notification id.
+  const notify = useCallback((status) => {
+    const notification = createNotification(status);
+
+    setToasts((current) => [
+      ...current.filter((toast) => toast.type !== 'loading'),
+      notification
+    ].slice(-MAX_TOASTS));
+
+    if (notification.type !== 'loading') {
+      setHistory((current) => [notification, ...current].slice(0, HISTORY_LIMIT));
+      timers.current.set(notification.id, setTimeout(() => dismiss(notification.id), TOAST_DURATIONS[notification.type]));
+    }
+    return notification.id;
+  }, [dismiss]);
+
+  // Notify error
+  // This function decodes an error into a user-friendly notification with its retry hint, in the user's language.
+  // 'prefix' is already translated; 'retry' is offered as a "Try again" button when the error type is retryable.
+  const notifyError = useCallback((prefix, error, retry = null) => {
+    const decoded = decodeError(error);
+    const { message, hint } = describeError(decoded);
+    return notify({
+      type: 'error',
+      message: t('app.errorWithPrefix', { prefix, message }),
+      hint,
+      retry: decoded.retryable ? retry : null
+    });
+  }, [notify, t, describeError]);
+
+  // Clear the history
+  const clearHistory = useCallback(() => {
+    setHistory([]);
+  }, []);
+
+  // Mark every notification in the history as read
+  const markAllRead = useCallback(() => {
+    setLastSeen(Date.now());
+  }, []);
+
+  // Enable browser notifications
+  // This function turns browser notifications on (asking for the browser's permission) or off.
+  const enableBrowserNotifications = useCallback(async (enabled) => {
+    const active = await setBrowserNotificationsEnabled(enabled);
+    setBrowserNotifications(active);
+    if (enabled && !active) {
+      notify({ type: 'warning', message: t('notifications.permissionDenied') });
+    }
+  }, [notify, t]);
+
+  // Settled transactions
+  // This hook shows a browser notification when a transaction followed in this tab reaches its final state while
+  // the tab is in the background. Transactions already final when first seen were reported before.
+  const transactionStatuses = useRef(new Map()); // Last known status of each transaction, keyed by hash
+  useEffect(() => {
+    return subscribeToTransactions((transactions) => {
+      transactions.forEach((tx) => {
+        const previous = transactionStatuses.current.get(tx.hash);
+        transactionStatuses.current.set(tx.hash, tx.status);
+        if (!previous || isFinalStatus(previous) || !isFinalStatus(tx.status)) return;
+
+        showBrowserNotification(translateLabel(tx.label), {
+          body: t('notifications.transactionStatus', { status: t(`transactions.statuses.${tx.status}`) }),
+          tag: tx.hash
+        });
+      });
+    });
+  }, [t, translateLabel]);
+
+  const unreadCount = history.filter((notification) => notification.createdAt > lastSeen).length;
+
+  const value = useMemo(() => ({
+    toasts,
+    history,
+    unreadCount,
+    browserNotificationsSupported: isBrowserNotificationSupported(),
+    browserNotifications,
+    notify,
+    notifyError,
+    dismiss,
+    clearHistory,
+    markAllRead,
+    enableBrowserNotifications
+  }), [
+    toasts, history, unreadCount, browserNotifications, notify, notifyError, dismiss, clearHistory, markAllRead,
+    enableBrowserNotifications
+  ]);
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+}
+
+export default NotificationProvider;
@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+// Session context
+// Shared by SessionProvider and useSession. Holds the Sign-In with Ethereum session of the connected account.
+export const SessionContext = createContext(null);
@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { SessionContext } from './SessionContext';
+import { useWallet } from '../hooks/useWallet';
+import { useI18n } from '../hooks/useI18n';
+import { useNotifications } from '../hooks/useNotifications';
+import { signMessage } from '../utils/ethereum';
+import { signIn as signInWithEthereum, loadSession, saveSession } from '../utils/siwe';
+
+// Session provider
+// This component keeps the Sign-In with Ethereum (EIP-4361) session of the connected account and shares it
+// through SessionContext. A session ends when it expires, when the user signs out or when the account or network changes.
+// It must be rendered inside a WalletProvider and a NotificationProvider.
+function SessionProvider({ children }) {
+  const { account, chainId, displayedChainId, ensureConnected } = useWallet();
+  const { t } = useI18n();
+  const { notify, notifyError } = useNotifications();
+  const [session, setSession] = useState(null); // Verified session of the connected account, or null
+  const [signingIn, setSigningIn] = useState(false); // Indicates if a signature is being requested
+  const previousAccount = useRef(account); // Account of the last render, to detect account changes
+
+  // Account and network changes
+  // This hook restores the saved session of the connected account, and ends the session when the account
+  // changes or disconnects, so it is never used for a different account, or when the wallet moves to another network.
+  useEffect(() => {
+    if (previousAccount.current && previousAccount.current !== account) {
+      saveSession(null);
+    }
+    previousAccount.current = account;
+    // Until the wallet reports its network there is nothing to compare the saved session with
+    setSession(chainId === null ? null : loadSession(account, chainId));
+  }, [account, chainId]);
+
+  // Expiry
+  // This hook ends the session when its expiration time is reached.
+  useEffect(() => {
+    if (!session || !session.expirationTime) return;
+
+    const timer = setTimeout(() => {
+      saveSession(null);
+      setSession(null);
+      notify({ type: 'warning', message: t('session.expired') });
+    }, Math.max(0, Date.parse(session.expirationTime) - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [session, notify, t]);
+
+  // Sign in
+  // This function asks the wallet to sign an EIP-4361 message and starts a session once the verifier accepts it.
+  const signIn = useCallback(async () => {
+    const address = await ensureConnected();
+    if (!address) return;
+
+    setSigningIn(true);
+    notify({ type: 'loading', message: t('session.signPrompt') });
+
+    try {
+      const newSession = await signInWithEthereum({
+        address,
+        chainId: chainId || displayedChainId,
+        sign: (message) => signMessage(address, message),
+      });
+      setSession(newSession);
+      notify({ type: 'success', message: t('session.signInSuccess') });
+    } catch (error) {
+      console.error('Sign-in error:', error);
+      notifyError(t('session.signInFailed'), error, signIn);
+    } finally {
+      setSigningIn(false);
+    }
+  }, [ensureConnected, chainId, displayedChainId, notify, notifyError, t]);
+
+  // Sign out
+  // This function ends the session.
+  const signOut = useCallback(() => {
+    saveSession(null);
+    setSession(null);
+  }, []);
+
+  const value = useMemo(() => ({
+    session,
+    isSignedIn: session !== null,
+    signingIn,
+    signIn,
+    signOut
+  }), [session, signingIn, signIn, signOut]);
+
+  return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
+
+export default SessionProvider;
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Wallet context
+// Shared by WalletProvider and the wallet/contract hooks. Holds the selected wallet, the connected account and chain,
+// the contract in use, the write waiting for confirmation, the version that invalidates contract reads, the latest block and the error raised when no contract is deployed on the displayed network.
+export const WalletContext = createContext(null);
@@ -0,0 +1,280 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { WalletContext } from './WalletContext';
+import {
+  connectWallet,
+  getConnectedAccount,
+  getChainId,
+  switchNetwork as switchWalletNetwork,
+  resumePendingTransactions,
+  listenForAccountChanges,
+  listenForNetworkChanges,
+  listenForBlocks,
+  checkContractDeployment
+} from '../utils/ethereum';
+import { decodeError } from '../utils/errors';
+import { useI18n } from '../hooks/useI18n';
+import { useNotifications } from '../hooks/useNotifications';
+import { discoverWallets, findStoredWallet, selectWallet } from '../utils/wallets';
+import { DEFAULT_CHAIN_ID, getNetwork, getContractAddress, isSupportedChain } from '../contract/networks';
+import { saveDeployment, selectDeployment } from '../contract/deployments';
+
+// Wallet provider
+// This component owns the wallet session (discovered wallets, selected wallet, account and chain) and shares it
+// through WalletContext. Account and chain changes only update state here: contract reads subscribe to them through
+// useContractRead, so every change reloads the data without handlers having to remember what to refresh.
+// Status messages go through the notification center, so it must be rendered inside a NotificationProvider.
+function WalletProvider({ children }) {
+  const { t } = useI18n();
+  const { notify, notifyError } = useNotifications();
+  const [wallets, setWallets] = useState([]); // Wallets discovered through EIP-6963
+  const [wallet, setWallet] = useState(null); // Wallet selected in the wallet chooser
+  const [account, setAccount] = useState(null); // Connected wallet address
+  const [chainId, setChainId] = useState(null); // Chain ID the wallet is connected to
+  const [loading, setLoading] = useState(false); // Indicates if an operation is in progress
+  const [pendingWrite, setPendingWrite] = useState(null); // Write waiting for confirmation in the preview dialog
+  const [readVersion, setReadVersion] = useState(0); // Incremented to reload every contract read
+  const [blockNumber, setBlockNumber] = useState(null); // Latest block of the displayed network
+  const [contractError, setContractError] = useState(null); // Error when no contract is deployed on the displayed network
+
+  // Checks if the contract is deployed on the wallet's network
+  const isCorrectNetwork = chainId !== null && isSupportedChain(chainId);
+
+  // Network whose data is displayed: the wallet's network when connected to a supported one, otherwise the read-only network
+  const displayedChainId = account && isCorrectNetwork ? chainId : DEFAULT_CHAIN_ID;
+
+  // Contract whose data is displayed: the instance selected in the contract switcher, or the configured one
+  const contractAddress = getContractAddress(displayedChainId);
+
+  // Refresh reads
+  // This function makes every useContractRead hook load its data again.
+  const refreshReads = useCallback(() => {
+    setReadVersion((version) => version + 1);
+  }, []);
+
+  // Report a failed session restore in the current locale, without restarting the wallet session on a locale change
+  const reportInitError = useRef(null);
+  useEffect(() => {
+    reportInitError.current = (error) => notifyError(t('wallet.initFailed'), error);
+  }, [notifyError, t]);
+
+  // Wallet discovery
+  // This hook runs when the provider is mounted and collects the wallets announced through EIP-6963.
+  // The wallet chosen in a previous session is selected again as soon as it announces itself.
+  useEffect(() => {
+    return discoverWallets((discovered) => {
+      setWallets(discovered);
+      setWallet((current) => current || findStoredWallet(discovered));
+    });
+  }, []);
+
+  // Pending transactions
+  // This hook runs when the provider is mounted and resumes watching the transactions left pending before a reload.
+  useEffect(() => {
+    resumePendingTransactions().catch((error) => {
+      console.error('Resume transactions error:', error);
+    });
+  }, []);
+
+  // Wallet session
+  // This hook runs when a wallet is selected: it restores an existing connection and follows account and network changes.
+  // The listeners only set state, so they never read values captured by an earlier render.
+  useEffect(() => {
+    if (!wallet) return;
+    selectWallet(wallet);
+    let active = true;
+
+    const init = async () => {
+      try {
+        // Check if the wallet is already connected
+        const connectedAccount = await getConnectedAccount();
+        if (!active || !connectedAccount) return;
+        const currentChainId = await getChainId();
+        if (!active) return;
+        setAccount(connectedAccount);
+        setChainId(currentChainId);
+      } catch (error) {
+        console.error('Initialization error:', error);
+        if (active) reportInitError.current(error);
+      }
+    };
+
+    init();
+
+    const stopAccountListener = listenForAccountChanges((newAccount) => setAccount(newAccount));
+    const stopNetworkListener = listenForNetworkChanges((newChainId) => setChainId(newChainId));
+
+    // Stop listening when the provider is unmounted or another wallet is selected
+    return () => {
+      active = false;
+      stopAccountListener();
+      stopNetworkListener();
+    };
+  }, [wallet]);
+
+  // New blocks
+  // This hook follows the blocks of the displayed network, so reads that watch blocks pick up changes made by
+  // anyone (other users, other tabs) without manual refreshes.
+  useEffect(() => {
+    let active = true;
+    let unsubscribe = () => {};
+
+    listenForBlocks((newBlockNumber) => setBlockNumber(newBlockNumber))
+      .then((stop) => {
+        if (active) {
+          unsubscribe = stop;
+        } else {
+          stop();
+        }
+      })
+      .catch((error) => {
+        console.error('Block listener error:', error);
+      });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [displayedChainId, wallet]);
+
+  // Contract deployment
+  // This hook checks that the contract exists on the displayed network when the app starts and whenever the
+  // network or the contract changes, so a missing deployment shows one clear error instead of every read failing.
+  useEffect(() => {
+    let active = true;
+
+    checkContractDeployment()
+      .then(() => {
+        if (active) setContractError(null);
+      })
+      .catch((error) => {
+        console.error('Contract deployment check error:', error);
+        if (active) setContractError(decodeError(error));
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [displayedChainId, contractAddress, wallet, readVersion]);
+
+  // Connect wallet
+  // This function selects a wallet from the wallet chooser and connects it to the DApp.
+  // Returns the connected account when it is on a supported network, otherwise null.
+  const connect = useCallback(async (selectedWallet) => {
+    setLoading(true);
+    notify({ type: 'loading', message: t('wallet.connecting', { wallet: selectedWallet.info.name }) });
+
+    try {
+      selectWallet(selectedWallet);
+      setWallet(selectedWallet);
+      const connectedAccount = await connectWallet();
+      const currentChainId = await getChainId();
+      setAccount(connectedAccount);
+      setChainId(currentChainId);
+
+      if (isSupportedChain(currentChainId)) {
+        notify({ type: 'success', message: t('wallet.connectSuccess') });
+        return connectedAccount;
+      }
+      notify({
+        type: 'error',
+        message: t('wallet.switchToSupported')
+      });
+      return null;
+    } catch (error) {
+      console.error('Connection error:', error);
+      notifyError(t('wallet.connectFailed'), error, () => connect(selectedWallet));
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [notify, notifyError, t]);
+
+  // Change wallet
+  // This function forgets the selected wallet so the user can pick another one from the wallet chooser.
+  // The DApp goes back to read-only mode.
+  const changeWallet = useCallback(() => {
+    selectWallet(null);
+    setWallet(null);
+    setAccount(null);
+    setChainId(null);
+  }, []);
+
+  // Ensure a wallet is connected
+  // Reads work without a wallet, so this function is only called before a write.
+  // It connects the selected wallet (or the only one discovered) and returns the account, or null if none could be used.
+  const ensureConnected = useCallback(async () => {
+    if (account) return account;
+
+    const candidate = wallet || (wallets.length === 1 ? wallets[0] : null);
+    if (!candidate) {
+      notify({
+        type: 'error',
+        message: wallets.length > 0 ? t('wallet.chooseWallet') : t('wallet.noWalletToSend')
+      });
+      return null;
+    }
+    return await connect(candidate);
+  }, [account, wallet, wallets, connect, notify, t]);
+
+  // Select contract
+  // This function changes the contract used on a chain: a saved instance or a pasted address (saved for next time),
+  // or the configured one when 'address' is null. Every read then reloads against the new contract.
+  const selectContract = useCallback((targetChainId, address) => {
+    if (address) {
+      saveDeployment(targetChainId, { address });
+    } else {
+      selectDeployment(targetChainId, null);
+    }
+    refreshReads();
+  }, [refreshReads]);
+
+  // Switch network
+  // This function switches the user's wallet to a network from the registry.
+  const switchNetwork = useCallback(async (targetChainId) => {
+    const network = getNetwork(targetChainId);
+    setLoading(true);
+    notify({ type: 'loading', message: t('wallet.switching', { network: network.name }) });
+
+    try {
+      await switchWalletNetwork(targetChainId);
+      setChainId(targetChainId);
+      notify({ type: 'success', message: t('wallet.switchSuccess', { network: network.name }) });
+    } catch (error) {
+      console.error('Network switch error:', error);
+      notifyError(t('wallet.switchFailed'), error, () => switchNetwork(targetChainId));
+    } finally {
+      setLoading(false);
+    }
+  }, [notify, notifyError, t]);
+
+  const value = useMemo(() => ({
+    wallets,
+    wallet,
+    account,
+    chainId,
+    isCorrectNetwork,
+    displayedChainId,
+    contractAddress,
+    loading,
+    pendingWrite,
+    readVersion,
+    blockNumber,
+    contractError,
+    setLoading,
+    setPendingWrite,
+    refreshReads,
+    connect,
+    changeWallet,
+    ensureConnected,
+    switchNetwork,
+    selectContract
+  }), [
+    wallets, wallet, account, chainId, isCorrectNetwork, displayedChainId, contractAddress, loading, pendingWrite,
+    readVersion, blockNumber, contractError, refreshReads, connect, changeWallet, ensureConnected, switchNetwork,
+    selectContract
+  ]);
+
+  return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
+}
+
+export default WalletProvider;
@@ -1,37 +1,442 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+// Parte de la interfaz ERC-20 que usa el contrato
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
 contract SimpleStorage {
     address public owner;
-    string private message;
 
+    // Nuevo owner propuesto, que debe aceptar la transferencia
+    address public pendingOwner;
+
+    // Mensaje guardado con su autor y el momento del bloque
+    struct Message {
+        address author;
+        string text;
+        uint256 timestamp;
+    }
+
+    // Historial de mensajes, del más antiguo al más reciente
+    Message[] private messages;
+
+    // Saldo depositado por cada dirección
+    mapping(address => uint256) private deposits;
+
+    // Saldo de cada token ERC-20 depositado y los tokens recibidos alguna vez, en orden de llegada
+    mapping(address => uint256) public tokenBalances;
+    address[] private tokens;
+    mapping(address => bool) private knownTokens;
+
+    // Bloqueo contra reentrada para las funciones que envían ETH o tokens
+    bool private locked;
+
+    // Nonce de cada autor para los mensajes firmados (protección contra repetición)
+    mapping(address => uint256) public nonces;
+
+    // Tipos de propuesta del tesoro
+    enum ProposalKind { Withdrawal, AddSigner, RemoveSigner, ChangeThreshold, TokenWithdrawal }
+
+    // Propuesta del tesoro: retiro de 'value' wei a 'target', alta o baja del firmante 'target' con el nuevo
+    // umbral 'value', cambio del umbral a 'value', o retiro de 'value' unidades del token 'token' a 'target'.
+    // Se ejecuta con 'threshold' aprobaciones antes de 'expiresAt'
+    struct Proposal {
+        ProposalKind kind;
+        address proposer;
+        address target;
+        uint256 value;
+        uint256 expiresAt;
+        bool executed;
+        address token;
+    }
+
+    // Firmantes del tesoro y aprobaciones necesarias para ejecutar una propuesta (M de N)
+    address[] private signers;
+    mapping(address => bool) public isSigner;
+    uint256 public threshold;
+
+    // Propuestas en orden de creación y las aprobaciones de cada una
+    Proposal[] private proposals;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+
+    // Tipos EIP-712 de los mensajes firmados
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant STORE_MESSAGE_TYPEHASH =
+        keccak256("StoreMessage(string message,address author,uint256 nonce,uint256 deadline)");
+
+    // Eventos para consultar el historial de la DApp
+    event MessageStored(address indexed author, string message);
+    event Deposited(address indexed from, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount);
+    event TokenDeposited(address indexed token, address indexed from, uint256 amount);
+    event TokenWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event ProposalCreated(
+        uint256 indexed id,
+        address indexed proposer,
+        ProposalKind kind,
+        address target,
+        uint256 value,
+        uint256 expiresAt,
+        address token
+    );
+    event ProposalApproved(uint256 indexed id, address indexed signer);
+    event ProposalExecuted(uint256 indexed id, address indexed executor);
+    event SignerAdded(address indexed signer);
+    event SignerRemoved(address indexed signer);
+    event ThresholdChanged(uint256 threshold);
+
+    // El deployer es el owner y el único firmante (1 de 1); más firmantes se agregan por propuesta
     constructor() {
         owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+        _addSigner(msg.sender);
+        _setThreshold(1);
     }
 
-    // Guarda un mensaje
+    modifier onlySigner() {
+        require(isSigner[msg.sender], "Solo un firmante");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(!locked, "Reentrada no permitida");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    // Inicia la transferencia de ownership en dos pasos
+    // El nuevo owner debe llamar a acceptOwnership; address(0) cancela una transferencia pendiente
+    function transferOwnership(address newOwner) external {
+        require(msg.sender == owner, "Solo el owner puede transferir");
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    // Completa la transferencia: solo la puede llamar el owner propuesto
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Solo el nuevo owner puede aceptar");
+        emit OwnershipTransferred(owner, pendingOwner);
+        owner = pendingOwner;
+        pendingOwner = address(0);
+    }
+
+    // Renuncia al ownership: el contrato queda sin owner de forma permanente
+    function renounceOwnership() external {
+        require(msg.sender == owner, "Solo el owner puede renunciar");
+        emit OwnershipTransferred(owner, address(0));
+        owner = address(0);
+        pendingOwner = address(0);
+    }
+
+    // Guarda un mensaje en el historial
     function storeMessage(string calldata _message) external {
-        message = _message;
+        _storeMessage(msg.sender, _message);
     }
 
-    // Lee el mensaje guardado
+    // Guarda un mensaje firmado por 'author' con EIP-712, enviado por cualquiera (p. ej. un relayer que paga el gas)
+    // La firma cubre el mensaje, el nonce actual del autor y una fecha límite
+    function storeMessageWithSig(
+        string calldata _message,
+        address author,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Firma expirada");
+        require(nonce == nonces[author], "Nonce invalido");
+        bytes32 structHash = keccak256(
+            abi.encode(STORE_MESSAGE_TYPEHASH, keccak256(bytes(_message)), author, nonce, deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(author != address(0) && _recover(digest, signature) == author, "Firma invalida");
+        nonces[author]++;
+        _storeMessage(author, _message);
+    }
+
+    // Separador de dominio EIP-712 (incluye la red, así una firma no vale en otra cadena)
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes("SimpleStorage")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    // Lee el último mensaje guardado (compatibilidad con la versión anterior)
     function getMessage() external view returns (string memory) {
-        return message;
+        if (messages.length == 0) {
+            return "";
+        }
+        return messages[messages.length - 1].text;
+    }
+
+    // Cantidad de mensajes en el historial
+    function messageCount() external view returns (uint256) {
+        return messages.length;
+    }
+
+    // Devuelve hasta 'limit' mensajes a partir de la posición 'offset' (orden cronológico)
+    function getMessages(uint256 offset, uint256 limit) external view returns (Message[] memory page) {
+        if (offset >= messages.length) {
+            return new Message[](0);
+        }
+        uint256 end = messages.length;
+        if (limit < end - offset) {
+            end = offset + limit;
+        }
+        page = new Message[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = messages[i];
+        }
+    }
+
+    // Permite recibir ETH y lo acredita al depositante
+    function deposit() external payable {
+        deposits[msg.sender] += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    // Ver el saldo depositado por una dirección
+    function depositOf(address account) external view returns (uint256) {
+        return deposits[account];
+    }
+
+    // Permite a un depositante retirar hasta su propio saldo
+    // Los fondos retirados por el owner no descuentan saldos, así que el retiro
+    // solo es posible mientras el contrato tenga ETH suficiente
+    function withdrawDeposit(uint256 amount) external nonReentrant {
+        require(amount > 0, "Monto invalido");
+        require(deposits[msg.sender] >= amount, "Saldo insuficiente");
+        require(address(this).balance >= amount, "Sin fondos");
+        deposits[msg.sender] -= amount;
+        _send(payable(msg.sender), amount);
+    }
+
+    // Deposita 'amount' unidades de un token ERC-20; antes hay que aprobar al contrato con approve() en el token
+    // Se acredita lo que llegó realmente, por si el token cobra una comisión por transferencia
+    function depositToken(address token, uint256 amount) external nonReentrant {
+        require(token.code.length > 0, "Token invalido");
+        require(amount > 0, "Monto invalido");
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), amount)));
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        if (!knownTokens[token]) {
+            knownTokens[token] = true;
+            tokens.push(token);
+        }
+        tokenBalances[token] += received;
+        emit TokenDeposited(token, msg.sender, received);
+    }
+
+    // Tokens ERC-20 depositados alguna vez (su saldo actual está en tokenBalances)
+    function getTokens() external view returns (address[] memory) {
+        return tokens;
+    }
+
+    // Propone retirar 'amount' wei del tesoro hacia 'to'; el proponente la aprueba al crearla
+    function proposeWithdrawal(address to, uint256 amount, uint256 expiresAt) external onlySigner returns (uint256) {
+        require(to != address(0), "Destino invalido");
+        require(amount > 0, "Monto invalido");
+        return _propose(ProposalKind.Withdrawal, to, amount, expiresAt, address(0));
+    }
+
+    // Propone retirar 'amount' unidades de un token depositado hacia 'to'; los tokens salen con las mismas
+    // aprobaciones que el ETH
+    function proposeTokenWithdrawal(address token, address to, uint256 amount, uint256 expiresAt) external onlySigner returns (uint256) {
+        require(knownTokens[token], "Token invalido");
+        require(to != address(0), "Destino invalido");
+        require(amount > 0, "Monto invalido");
+        return _propose(ProposalKind.TokenWithdrawal, to, amount, expiresAt, token);
+    }
+
+    // Propone agregar un firmante y fijar el umbral que regirá después
+    function proposeAddSigner(address signer, uint256 newThreshold, uint256 expiresAt) external onlySigner returns (uint256) {
+        require(signer != address(0) && !isSigner[signer], "Firmante invalido");
+        require(newThreshold > 0 && newThreshold <= signers.length + 1, "Umbral invalido");
+        return _propose(ProposalKind.AddSigner, signer, newThreshold, expiresAt, address(0));
+    }
+
+    // Propone quitar un firmante y fijar el umbral que regirá después
+    function proposeRemoveSigner(address signer, uint256 newThreshold, uint256 expiresAt) external onlySigner returns (uint256) {
+        require(isSigner[signer], "Firmante invalido");
+        require(newThreshold > 0 && newThreshold < signers.length, "Umbral invalido");
+        return _propose(ProposalKind.RemoveSigner, signer, newThreshold, expiresAt, address(0));
     }
 
-    // Permite recibir ETH
-    function deposit() external payable {}
+    // Propone cambiar el umbral de aprobaciones
+    function proposeThreshold(uint256 newThreshold, uint256 expiresAt) external onlySigner returns (uint256) {
+        require(newThreshold > 0 && newThreshold <= signers.length, "Umbral invalido");
+        return _propose(ProposalKind.ChangeThreshold, address(0), newThreshold, expiresAt, address(0));
+    }
+
+    // Aprueba una propuesta abierta
+    function approveProposal(uint256 id) external onlySigner {
+        _openProposal(id);
+        require(!hasApproved[id][msg.sender], "Ya aprobada");
+        hasApproved[id][msg.sender] = true;
+        emit ProposalApproved(id, msg.sender);
+    }
+
+    // Ejecuta una propuesta abierta que reunió el umbral de aprobaciones
+    // Las condiciones se vuelven a comprobar, porque los firmantes o el saldo pueden haber cambiado desde la propuesta
+    function executeProposal(uint256 id) external onlySigner nonReentrant {
+        Proposal storage proposal = _openProposal(id);
+        require(approvalCount(id) >= threshold, "Faltan aprobaciones");
+        proposal.executed = true;
+        emit ProposalExecuted(id, msg.sender);
+
+        if (proposal.kind == ProposalKind.Withdrawal) {
+            require(address(this).balance >= proposal.value, "Sin fondos");
+            _send(payable(proposal.target), proposal.value);
+        } else if (proposal.kind == ProposalKind.TokenWithdrawal) {
+            require(tokenBalances[proposal.token] >= proposal.value, "Sin fondos");
+            tokenBalances[proposal.token] -= proposal.value;
+            _callToken(proposal.token, abi.encodeCall(IERC20.transfer, (proposal.target, proposal.value)));
+            emit TokenWithdrawn(proposal.token, proposal.target, proposal.value);
+        } else if (proposal.kind == ProposalKind.AddSigner) {
+            require(!isSigner[proposal.target], "Firmante invalido");
+            require(proposal.value <= signers.length + 1, "Umbral invalido");
+            _addSigner(proposal.target);
+            _setThreshold(proposal.value);
+        } else if (proposal.kind == ProposalKind.RemoveSigner) {
+            require(isSigner[proposal.target], "Firmante invalido");
+            require(proposal.value < signers.length, "Umbral invalido");
+            _removeSigner(proposal.target);
+            _setThreshold(proposal.value);
+        } else {
+            require(proposal.value <= signers.length, "Umbral invalido");
+            _setThreshold(proposal.value);
+        }
+    }
 
-    // Permite al owner retirar todo el ETH
-    function withdraw() external {
-        require(msg.sender == owner, "Solo el owner puede retirar");
-        uint256 balance = address(this).balance;
-        require(balance > 0, "Sin fondos");
-        payable(owner).transfer(balance);
+    // Firmantes actuales del tesoro
+    function getSigners() external view returns (address[] memory) {
+        return signers;
+    }
+
+    // Cantidad de propuestas creadas
+    function proposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    // Lee una propuesta
+    function getProposal(uint256 id) external view returns (Proposal memory) {
+        require(id < proposals.length, "Propuesta inexistente");
+        return proposals[id];
+    }
+
+    // Firmantes actuales que aprobaron una propuesta (las aprobaciones de firmantes quitados no cuentan)
+    function getApprovals(uint256 id) external view returns (address[] memory approvers) {
+        approvers = new address[](approvalCount(id));
+        uint256 index = 0;
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (hasApproved[id][signers[i]]) {
+                approvers[index++] = signers[i];
+            }
+        }
+    }
+
+    // Cantidad de firmantes actuales que aprobaron una propuesta
+    function approvalCount(uint256 id) public view returns (uint256 count) {
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (hasApproved[id][signers[i]]) {
+                count++;
+            }
+        }
     }
 
     // Ver saldo del contrato
     function getBalance() external view returns (uint256) {
         return address(this).balance;
     }
+
+    // Agrega el mensaje al historial a nombre de 'author'
+    function _storeMessage(address author, string calldata _message) private {
+        messages.push(Message(author, _message, block.timestamp));
+        emit MessageStored(author, _message);
+    }
+
+    // Crea una propuesta que vence en 'expiresAt' y la aprueba a nombre del proponente
+    function _propose(ProposalKind kind, address target, uint256 value, uint256 expiresAt, address token) private returns (uint256 id) {
+        require(expiresAt > block.timestamp, "Vencimiento invalido");
+        id = proposals.length;
+        proposals.push(Proposal(kind, msg.sender, target, value, expiresAt, false, token));
+        emit ProposalCreated(id, msg.sender, kind, target, value, expiresAt, token);
+        hasApproved[id][msg.sender] = true;
+        emit ProposalApproved(id, msg.sender);
+    }
+
+    // Devuelve una propuesta que existe, no se ejecutó y no venció
+    function _openProposal(uint256 id) private view returns (Proposal storage proposal) {
+        require(id < proposals.length, "Propuesta inexistente");
+        proposal = proposals[id];
+        require(!proposal.executed, "Propuesta ya ejecutada");
+        require(block.timestamp <= proposal.expiresAt, "Propuesta vencida");
+    }
+
+    function _addSigner(address signer) private {
+        signers.push(signer);
+        isSigner[signer] = true;
+        emit SignerAdded(signer);
+    }
+
+    // Quita un firmante moviendo el último a su lugar
+    function _removeSigner(address signer) private {
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (signers[i] == signer) {
+                signers[i] = signers[signers.length - 1];
+                signers.pop();
+                break;
+            }
+        }
+        isSigner[signer] = false;
+        emit SignerRemoved(signer);
+    }
+
+    function _setThreshold(uint256 newThreshold) private {
+        threshold = newThreshold;
+        emit ThresholdChanged(newThreshold);
+    }
+
+    // Recupera el firmante de un digest; solo acepta firmas de 65 bytes con 's' en la mitad baja (no maleables)
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0 || (v != 27 && v != 28)) {
+            return address(0);
+        }
+        return ecrecover(digest, v, r, s);
+    }
+
+    // Envía ETH con call (sin el límite de gas de transfer) y emite el evento
+    // Se llama después de actualizar el estado y bajo nonReentrant
+    function _send(address payable to, uint256 amount) private {
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Transferencia fallida");
+        emit Withdrawn(to, amount);
+    }
+
+    // Llama a un token ERC-20 y exige que no revierta ni devuelva false
+    // Acepta tokens que no devuelven nada (como USDT), que no siguen el estándar al pie de la letra
+    function _callToken(address token, bytes memory data) private {
+        (bool success, bytes memory result) = token.call(data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Transferencia de token fallida");
+    }
 }
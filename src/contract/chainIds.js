@@ -0,0 +1,16 @@
+// Chain ID Helpers
+// Wallets and nodes give chain IDs as hex strings, the registry keys them as numbers.
+// Kept free of build-time configuration, so the sandbox can use them outside Vite.
+
+// Normalize a chain ID given as a hex string ('0xaa36a7'), decimal string or number into a number
+export const toChainIdNumber = (chainId) => {
+  if (typeof chainId === 'string' && chainId.startsWith('0x')) {
+    return parseInt(chainId, 16);
+  }
+  return Number(chainId);
+};
+
+// Format a chain ID as the hex string expected by EIP-1193 wallet methods
+export const toHexChainId = (chainId) => {
+  return `0x${toChainIdNumber(chainId).toString(16)}`;
+};
@@ -1,12 +1,9 @@
 // SimpleStorage Contract Configuration
-export const CONTRACT_ADDRESS = "0x79a55c108F8c0037c5C2D6A663aBeAB526871A63" // Mock address - replace with actual contract address when deployed
+// Contract addresses are configured per chain in ./networks.js
+// The ABI and bytecode are compiled from ./SimpleStorage.sol by the Solidity plugin (plugins/solidity.js)
+// on every dev start and build, so they cannot drift from the contract source.
+import { abi, bytecode } from './SimpleStorage.sol';
 
-export const CONTRACT_ABI = [
-  { "inputs": [], "stateMutability": "nonpayable", "type": "constructor" },
-  { "inputs": [], "name": "deposit", "outputs": [], "stateMutability": "payable", "type": "function" },
-  { "inputs": [], "name": "getBalance", "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }], "stateMutability": "view", "type": "function" },
-  { "inputs": [], "name": "getMessage", "outputs": [{ "internalType": "string", "name": "", "type": "string" }], "stateMutability": "view", "type": "function" },
-  { "inputs": [], "name": "owner", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
-  { "inputs": [{ "internalType": "string", "name": "_message", "type": "string" }], "name": "storeMessage", "outputs": [], "stateMutability": "nonpayable", "type": "function" },
-  { "inputs": [], "name": "withdraw", "outputs": [], "stateMutability": "nonpayable", "type": "function" }
-];
+export const CONTRACT_ABI = abi;
+
+export const CONTRACT_BYTECODE = bytecode;
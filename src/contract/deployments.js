@@ -0,0 +1,78 @@
+// Deployments
+// SimpleStorage instances deployed from the DApp, or added by pasting their address, saved per chain in
+// localStorage, along with the instance selected on each chain. The network registry (./networks.js) resolves
+// the contract address of a chain from here first, so switching contracts needs no rebuild.
+
+// localStorage key holding the deployments
+const STORAGE_KEY = 'eth-dapp:deployments';
+
+// Storage used for the deployments (localStorage, or memory for chains that do not outlive the page)
+let storage = {
+  load: () => {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  },
+  save: (deployments) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(deployments));
+    } catch (error) {
+      console.warn('Could not persist deployments:', error);
+    }
+  },
+};
+
+// Keep deployments in memory
+// The sandbox chains reset on every reload, so the contracts deployed on them must not be remembered.
+export const keepDeploymentsInMemory = () => {
+  let deployments = {};
+  storage = {
+    load: () => deployments,
+    save: (updated) => {
+      deployments = updated;
+    },
+  };
+};
+
+// Get the saved entry of a chain: { selected, deployments }
+const loadChain = (chainId) => {
+  return storage.load()[chainId] || { selected: null, deployments: [] };
+};
+
+// Replace the saved entry of a chain
+const saveChain = (chainId, entry) => {
+  storage.save({ ...storage.load(), [chainId]: entry });
+};
+
+// Get saved deployments
+// This function lists the instances saved for a chain, oldest first: { address, transactionHash, deployer, addedAt }.
+// Pasted addresses have no transaction hash or deployer.
+export const getSavedDeployments = (chainId) => {
+  return loadChain(chainId).deployments;
+};
+
+// Get the address selected on a chain, or null to use the address configured in the network registry
+export const getSelectedDeployment = (chainId) => {
+  return loadChain(chainId).selected;
+};
+
+// Save deployment
+// This function remembers an instance on a chain and selects it. Saving a known address only selects it again.
+export const saveDeployment = (chainId, { address, transactionHash = null, deployer = null }) => {
+  const entry = loadChain(chainId);
+  const known = entry.deployments.some((deployment) => deployment.address.toLowerCase() === address.toLowerCase());
+  saveChain(chainId, {
+    selected: address,
+    deployments: known
+      ? entry.deployments
+      : [...entry.deployments, { address, transactionHash, deployer, addedAt: Date.now() }],
+  });
+};
+
+// Select deployment
+// This function selects a saved instance on a chain, or the configured one when 'address' is null.
+export const selectDeployment = (chainId, address) => {
+  saveChain(chainId, { ...loadChain(chainId), selected: address });
+};
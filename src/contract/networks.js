@@ -0,0 +1,100 @@
+// Network Registry
+// Every chain the DApp knows about, keyed by decimal chain ID.
+// A network is only usable when a SimpleStorage contract address is set for it, or one was deployed or added from the DApp.
+// Addresses can be overridden at build time through Vite env variables (e.g. VITE_SEPOLIA_CONTRACT_ADDRESS).
+// 'tokens' lists the ERC-20 tokens offered in the token selector; any other token can still be entered by address.
+import { getSelectedDeployment } from './deployments';
+import { toChainIdNumber } from './chainIds';
+
+export { toChainIdNumber, toHexChainId } from './chainIds';
+
+export const NETWORKS = {
+  31337: {
+    chainId: 31337,
+    name: 'Localhost (Anvil/Hardhat)',
+    rpcUrl: import.meta.env.VITE_LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    // First contract deployed by the default Anvil/Hardhat account
+    contractAddress: import.meta.env.VITE_LOCAL_CONTRACT_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    tokens: [],
+  },
+  11155111: {
+    chainId: 11155111,
+    name: 'Sepolia Testnet',
+    rpcUrl: import.meta.env.VITE_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 },
+    contractAddress: import.meta.env.VITE_SEPOLIA_CONTRACT_ADDRESS || '0x79a55c108F8c0037c5C2D6A663aBeAB526871A63',
+    // Circle's test USDC
+    tokens: ['0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238'],
+  },
+  17000: {
+    chainId: 17000,
+    name: 'Holesky Testnet',
+    rpcUrl: import.meta.env.VITE_HOLESKY_RPC_URL || 'https://ethereum-holesky-rpc.publicnode.com',
+    explorerUrl: 'https://holesky.etherscan.io',
+    nativeCurrency: { name: 'Holesky ETH', symbol: 'ETH', decimals: 18 },
+    // Replace with the Holesky deployment address (or set VITE_HOLESKY_CONTRACT_ADDRESS)
+    contractAddress: import.meta.env.VITE_HOLESKY_CONTRACT_ADDRESS || null,
+    tokens: [],
+  },
+};
+
+// Chain used when VITE_DEFAULT_CHAIN_ID is not set, or names a chain missing from the registry
+const FALLBACK_CHAIN_ID = 11155111;
+
+// Read the default chain from VITE_DEFAULT_CHAIN_ID, falling back (with a warning) when the registry does not have it
+const readDefaultChainId = () => {
+  const configured = import.meta.env.VITE_DEFAULT_CHAIN_ID;
+  if (!configured) return FALLBACK_CHAIN_ID;
+  const chainId = Number(configured);
+  if (NETWORKS[chainId]) return chainId;
+  console.warn(`VITE_DEFAULT_CHAIN_ID ${configured} is not in the network registry, using ${FALLBACK_CHAIN_ID} instead.`);
+  return FALLBACK_CHAIN_ID;
+};
+
+// Network the DApp suggests when the wallet is on an unsupported chain
+export const DEFAULT_CHAIN_ID = readDefaultChainId();
+
+// Get the registry entry for a chain, or null if the chain is unknown
+export const getNetwork = (chainId) => {
+  return NETWORKS[toChainIdNumber(chainId)] || null;
+};
+
+// Get the SimpleStorage address configured for a chain at build time, or null if there is none
+export const getConfiguredContractAddress = (chainId) => {
+  const network = getNetwork(chainId);
+  return network ? network.contractAddress : null;
+};
+
+// Get the SimpleStorage address in use on a chain, or null if there is none
+// The instance selected in the contract switcher takes precedence over the configured one.
+export const getContractAddress = (chainId) => {
+  const network = getNetwork(chainId);
+  if (!network) return null;
+  return getSelectedDeployment(network.chainId) || network.contractAddress;
+};
+
+// Get the ERC-20 token addresses offered on a chain (an empty list if the chain is unknown)
+export const getNetworkTokens = (chainId) => {
+  const network = getNetwork(chainId);
+  return network ? network.tokens : [];
+};
+
+// Check whether the contract is deployed on a chain
+export const isSupportedChain = (chainId) => {
+  return Boolean(getContractAddress(chainId));
+};
+
+// List the networks where the contract is deployed, for the network picker
+export const getSupportedNetworks = () => {
+  return Object.values(NETWORKS).filter((network) => getContractAddress(network.chainId));
+};
+
+// Build a block explorer link for a transaction or address, or null if the network has no explorer
+export const getExplorerUrl = (chainId, type, value) => {
+  const network = getNetwork(chainId);
+  if (!network || !network.explorerUrl) return null;
+  return `${network.explorerUrl}/${type}/${value}`;
+};
@@ -0,0 +1,89 @@
+import { useState, useEffect, useRef } from 'react';
+import { useWallet } from './useWallet';
+import { useI18n } from './useI18n';
+import { useNotifications } from './useNotifications';
+import { decodeError, ContractNotDeployedError } from '../utils/errors';
+import { loadCachedRead, saveCachedRead } from '../utils/cache';
+
+// useContractRead
+// This hook loads a value from the contract and keeps it up to date. 'read' receives the connected account
+// (or null) and the displayed chain ID, and is called again whenever either or the contract changes, after every write
+// and whenever refreshReads() is called. With 'watchBlocks' it is also called on every new block, so changes
+// made by other accounts show up on their own. The latest 'read' is always used, so it may be an inline function.
+// A load that fails after a successful one is reported as a warning notification (once, not on every block); a missing
+// contract is left to the deployment check.
+// With 'cache' (a name for the read) every loaded value is saved per network, contract and account (see utils/cache.js),
+// and the last saved one is shown, with 'stale' set, until the first load for them completes.
+// Returns the last loaded value ('initialValue' until the first load), the loading and stale flags, the error and
+// a refresh function.
+export const useContractRead = (read, initialValue = null, { watchBlocks = false, cache = null } = {}) => {
+  const { account, displayedChainId, contractAddress, readVersion, blockNumber, refreshReads } = useWallet();
+  const watchedBlock = watchBlocks ? blockNumber : null; // Block that triggers a reload, when watching blocks
+  const [data, setData] = useState(initialValue); // Last value loaded from the contract
+  const [loading, setLoading] = useState(true); // Indicates if the value is being loaded
+  const [error, setError] = useState(null); // Error raised by the last load
+  const [stale, setStale] = useState(false); // Indicates if the value comes from the cache and was not loaded yet
+  const readRef = useRef(read); // Latest read function, so reloads never use a stale one
+  const failing = useRef(false); // Indicates if the last load failed, so repeated failures are reported once
+  const reportError = useRef(null); // Reports a failed load in the current locale
+  const loadedKey = useRef(null); // Network, contract and account of the last loaded value
+  const { t, describeError } = useI18n();
+  const { notify } = useNotifications();
+
+  useEffect(() => {
+    readRef.current = read;
+    reportError.current = (loadError) => {
+      const decoded = decodeError(loadError);
+      if (decoded instanceof ContractNotDeployedError) return;
+      notify({ type: 'warning', message: t('notifications.refreshFailed', { message: describeError(decoded).message }) });
+    };
+  });
+
+  useEffect(() => {
+    let active = true;
+
+    const cacheName = cache && contractAddress ? `${cache}:${account ? account.toLowerCase() : 'none'}` : null;
+    const key = `${displayedChainId}:${contractAddress}:${account}`;
+    let settled = false; // Indicates if the chain answered, so a late cached value is ignored
+
+    // Show the last saved value while the value of another network, contract or account is loaded
+    if (cacheName && key !== loadedKey.current) {
+      loadCachedRead(displayedChainId, contractAddress, cacheName).then((cached) => {
+        if (!active || settled || !cached) return;
+        setData(cached.value);
+        setStale(true);
+      });
+    }
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const value = await readRef.current(account, displayedChainId);
+        settled = true;
+        if (!active) return;
+        setData(value);
+        setStale(false);
+        setError(null);
+        loadedKey.current = key;
+        failing.current = false;
+        if (cacheName) saveCachedRead(displayedChainId, contractAddress, cacheName, value);
+      } catch (loadError) {
+        console.error('Contract read error:', loadError);
+        settled = true;
+        if (!active) return;
+        setError(loadError);
+        if (!failing.current) reportError.current(loadError);
+        failing.current = true;
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      active = false;
+    };
+  }, [account, displayedChainId, contractAddress, readVersion, watchedBlock, cache]);
+
+  return { data, loading, stale, error, refresh: refreshReads };
+};
@@ -0,0 +1,70 @@
+import { useCallback } from 'react';
+import { useWallet } from './useWallet';
+import { useNotifications } from './useNotifications';
+
+// useContractWrite
+// This hook returns 'write', which takes a write through the DApp's confirmation flow:
+// it connects the wallet if needed, opens the gas and fee preview and, once confirmed, sends the transaction
+// with the chosen fee overrides, reports its progress through notifications and reloads every contract read.
+//
+// write({ label, method, args, value, token, send, loadingMessage, successMessage, errorPrefix, retry, onSuccess })
+// - label, method, args, value: what the preview dialog estimates and shows
+// - token: address of the ERC-20 token whose 'method' is called (e.g. approve), when it is not a SimpleStorage call
+// - send(overrides): sends the transaction through the ethereum.js helper; when it resolves with the receipt,
+//   the success notification links the transaction
+// - retry: offered as "Try again" when the error is retryable
+// - onSuccess: called after the transaction is confirmed (e.g. to clear an input)
+// Returns true when the write reached the confirmation step.
+export const useContractWrite = () => {
+  const { loading, displayedChainId, ensureConnected, setPendingWrite, setLoading, refreshReads } = useWallet();
+  const { notify, notifyError } = useNotifications();
+
+  const write = useCallback(async ({
+    label,
+    method,
+    args = [],
+    value = null,
+    token = null,
+    send,
+    loadingMessage,
+    successMessage,
+    errorPrefix,
+    retry = null,
+    onSuccess = null
+  }) => {
+    if (!(await ensureConnected())) return false;
+
+    // Ask for confirmation with the gas and fee preview before sending
+    setPendingWrite({
+      label,
+      method,
+      args,
+      value,
+      token,
+      submit: async (overrides) => {
+        setLoading(true);
+        notify({ type: 'loading', message: loadingMessage });
+
+        try {
+          const receipt = await send(overrides);
+          refreshReads();
+          notify({
+            type: 'success',
+            message: successMessage,
+            txHash: receipt && receipt.transactionHash ? receipt.transactionHash : null,
+            chainId: displayedChainId
+          });
+          if (onSuccess) onSuccess();
+        } catch (error) {
+          console.error(`${label} error:`, error);
+          notifyError(errorPrefix, error, retry);
+        } finally {
+          setLoading(false);
+        }
+      }
+    });
+    return true;
+  }, [displayedChainId, ensureConnected, setPendingWrite, setLoading, notify, notifyError, refreshReads]);
+
+  return { write, loading };
+};
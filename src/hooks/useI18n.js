@@ -0,0 +1,13 @@
+import { useContext } from 'react';
+import { I18nContext } from '../context/I18nContext';
+
+// useI18n
+// This hook returns the user's locale shared by I18nProvider, with 't' to translate catalogue keys and the
+// locale-aware formatters for ETH amounts, dates and errors. It must be used inside an I18nProvider.
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used inside an I18nProvider');
+  }
+  return context;
+};
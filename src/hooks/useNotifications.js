@@ -0,0 +1,13 @@
+import { useContext } from 'react';
+import { NotificationContext } from '../context/NotificationContext';
+
+// useNotifications
+// This hook returns the notifications shared by NotificationProvider: 'notify' and 'notifyError' to report a status,
+// the toasts on screen and the session's history. It must be used inside a NotificationProvider.
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used inside a NotificationProvider');
+  }
+  return context;
+};
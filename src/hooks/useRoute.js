@@ -0,0 +1,10 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { getPathname, matchRoute, subscribeToRoute } from '../utils/router';
+
+// useRoute
+// This hook returns the route of the current path as { name, params } and re-renders the component on every
+// navigation. Routes are listed in utils/router.js.
+export const useRoute = () => {
+  const pathname = useSyncExternalStore(subscribeToRoute, getPathname, () => '/');
+  return useMemo(() => matchRoute(pathname), [pathname]);
+};
@@ -0,0 +1,13 @@
+import { useContext } from 'react';
+import { SessionContext } from '../context/SessionContext';
+
+// useSession
+// This hook returns the Sign-In with Ethereum session shared by SessionProvider, with the actions to sign in and out.
+// It must be used inside a SessionProvider.
+export const useSession = () => {
+  const context = useContext(SessionContext);
+  if (!context) {
+    throw new Error('useSession must be used inside a SessionProvider');
+  }
+  return context;
+};
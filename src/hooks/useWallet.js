@@ -0,0 +1,13 @@
+import { useContext } from 'react';
+import { WalletContext } from '../context/WalletContext';
+
+// useWallet
+// This hook returns the wallet session shared by WalletProvider: wallets, account, chain, contract and the
+// actions to connect, change wallet and switch network. It must be used inside a WalletProvider.
+export const useWallet = () => {
+  const context = useContext(WalletContext);
+  if (!context) {
+    throw new Error('useWallet must be used inside a WalletProvider');
+  }
+  return context;
+};
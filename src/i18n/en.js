@@ -0,0 +1,513 @@
+// English catalogue
+// The reference catalogue: every key used by the DApp is defined here, and other locales fall back to it.
+const en = {
+  app: {
+    title: 'SimpleStorage DApp',
+    subtitle: 'Interact with the SimpleStorage contract on {network}',
+    unknownChain: 'Chain {chainId}',
+    readOnly: 'Read-only mode: showing {network} data through a public RPC. Connect a wallet to store messages, deposit or withdraw.',
+    checkAgain: 'Check Again',
+    tryAgain: 'Try again',
+    language: 'Language',
+    errorWithPrefix: '{prefix}: {message}',
+    notFound: 'Page not found',
+    backHome: 'Back to the messages',
+    nav: {
+      messages: 'Messages',
+      treasury: 'Treasury',
+      admin: 'Admin',
+      activity: 'Activity',
+      console: 'Console',
+    },
+  },
+
+  wallet: {
+    connected: 'Connected: {address}',
+    onNetwork: 'on {network}',
+    viaWallet: 'via {wallet}',
+    notConnected: 'Not connected (read-only mode)',
+    noWallet: 'No Ethereum wallet detected. Please install a wallet such as MetaMask to use this DApp.',
+    changeWallet: 'Change Wallet',
+    myActivity: 'My activity',
+    unsupportedNetwork: '{network} is not supported. Please switch to a network where the contract is deployed.',
+    switchNetwork: 'Switch Network',
+    connecting: 'Connecting to {wallet}...',
+    connectSuccess: 'Wallet connected successfully!',
+    switchToSupported: 'Please switch to a supported network to use this DApp.',
+    chooseWallet: 'Please choose a wallet above to send transactions.',
+    noWalletToSend: 'No Ethereum wallet detected. Please install a wallet such as MetaMask to send transactions.',
+    switching: 'Switching to {network}...',
+    switchSuccess: 'Switched to {network} successfully!',
+    initFailed: 'Initialization failed',
+    connectFailed: 'Failed to connect wallet',
+    switchFailed: 'Failed to switch network',
+  },
+
+  session: {
+    signIn: 'Sign In with Ethereum',
+    waiting: 'Waiting for signature...',
+    signedIn: 'Signed in',
+    signedInUntil: 'Signed in until {time}',
+    signOut: 'Sign Out',
+    signPrompt: 'Please sign the sign-in message in your wallet...',
+    signInSuccess: 'Signed in successfully!',
+    signInFailed: 'Failed to sign in',
+    expired: 'Your sign-in session has expired. Sign in again to continue.',
+  },
+
+  sandbox: {
+    badge: 'Sandbox',
+    account: 'Account {index}: {address}',
+    ownerAccount: 'Account {index} (owner): {address}',
+    mineBlock: 'Mine Block',
+  },
+
+  contracts: {
+    title: 'Contract',
+    configured: '{address} (configured)',
+    deployedBy: '{address} (deployed by {deployer})',
+    added: '{address} (added)',
+    none: 'No SimpleStorage contract is set for {network} yet. Deploy one or paste its address.',
+    pastePlaceholder: 'Paste a contract address (0x...)',
+    useAddress: 'Use Address',
+    deploy: 'Deploy New Instance',
+    invalidAddress: 'Please enter a valid contract address.',
+    deployLabel: 'Deploy SimpleStorage',
+    deploying: 'Deploying a new SimpleStorage instance on {network}...',
+    deploySuccess: 'Contract deployed successfully! The DApp now uses the new instance.',
+    deployFailed: 'Failed to deploy contract',
+  },
+
+  messages: {
+    title: 'Message Storage',
+    placeholder: 'Enter a message to store',
+    store: 'Store Message',
+    postWithoutGas: 'Post Without Gas',
+    postWithoutGasHint: 'Sign the message and let a relayer pay the gas',
+    refresh: 'Refresh Messages',
+    empty: 'Please enter a message to store.',
+    noRelayer: 'No relayer is configured for this network, so messages cannot be posted without gas.',
+    storeLabel: 'Store message',
+    storing: 'Storing message...',
+    storeSuccess: 'Message stored successfully!',
+    storeFailed: 'Failed to store message',
+    signPrompt: 'Please sign the message in your wallet...',
+    relaying: 'Relaying message...',
+    relaySuccess: 'Message posted without gas!',
+    relayFailed: 'Failed to post message without gas',
+    history: {
+      loadFailed: 'Failed to load messages: {error}',
+      empty: 'No messages stored yet',
+      meta: '#{number} by {author} on {date}',
+      newer: 'Newer',
+      older: 'Older',
+      page: 'Page {page} of {count}',
+    },
+  },
+
+  eth: {
+    title: 'ETH Operations',
+    depositPlaceholder: 'Enter ETH amount to deposit',
+    deposit: 'Deposit ETH',
+    withdrawPlaceholder: 'Enter ETH amount to withdraw',
+    withdrawDeposits: 'Withdraw My Deposits',
+    recipientPlaceholder: 'Recipient address (defaults to your account)',
+    contractBalance: 'Contract Balance: {amount}',
+    yourDeposits: 'Your deposits: {amount}',
+    ownerNone: 'Owner: none (ownership renounced)',
+    owner: 'Owner: {address}',
+    ownerYou: 'Owner: {address} (you)',
+    invalidDeposit: 'Please enter a valid amount to deposit.',
+    invalidWithdrawal: 'Please enter a valid amount to withdraw.',
+    invalidRecipient: 'Please enter a valid recipient address.',
+    depositLabel: 'Deposit {amount}',
+    depositing: 'Depositing ETH...',
+    depositSuccess: 'ETH deposited successfully!',
+    depositFailed: 'Failed to deposit ETH',
+    withdrawDepositLabel: 'Withdraw {amount} of your deposits',
+    withdrawingDeposits: 'Withdrawing your deposits...',
+    withdrawDepositSuccess: 'Deposits withdrawn successfully!',
+    withdrawDepositFailed: 'Failed to withdraw deposits',
+  },
+
+  tokens: {
+    title: 'ERC-20 Tokens',
+    select: 'Token',
+    custom: 'Other token (enter its address)',
+    addressPlaceholder: 'Token contract address (0x...)',
+    reading: 'Reading the token...',
+    notToken: 'No ERC-20 token could be read at this address.',
+    info: '{name} ({symbol}), {decimals} decimals',
+    wallet: 'Your balance: {balance} · Approved for the contract: {allowance}',
+    amountPlaceholder: 'Enter {symbol} amount to deposit',
+    deposit: 'Deposit Tokens',
+    approveHint: 'If the approved amount is too low, the wallet first asks you to approve the contract for this deposit (after resetting a leftover approval to 0, which tokens such as USDT require).',
+    selectToken: 'Please choose a token first.',
+    invalidAmount: 'Please enter a valid amount (at most {decimals} decimals).',
+    approveLabel: 'Approve {amount} for the contract',
+    approving: 'Approving tokens...',
+    approveSuccess: 'Tokens approved. Confirm the deposit next.',
+    resetApprovalLabel: 'Reset the {symbol} approval to 0',
+    resettingApproval: 'Resetting the approval...',
+    resetApprovalSuccess: 'Approval reset. Approve the new amount next.',
+    approveFailed: 'Failed to approve tokens',
+    depositLabel: 'Deposit {amount}',
+    depositing: 'Depositing tokens...',
+    depositSuccess: 'Tokens deposited successfully!',
+    depositFailed: 'Failed to deposit tokens',
+    holdingsTitle: 'Contract Token Holdings',
+    noHoldings: 'No tokens have been deposited yet.',
+    withdrawHint: 'Deposited tokens leave the contract through treasury proposals, with the same approvals as ETH.',
+  },
+
+  admin: {
+    title: 'Admin',
+    gate: 'Sign in with Ethereum to manage the contract ownership.',
+    guard: {
+      checking: 'Checking who owns the contract...',
+      connect: 'Connect the owner\'s wallet to open the admin view.',
+      notOwner: 'Only the contract owner, or the account nominated as the next owner, can open the admin view.',
+    },
+    nominated: 'You have been nominated as the new owner of this contract.',
+    accept: 'Accept Ownership',
+    pending: 'Ownership transfer pending: waiting for {address} to accept.',
+    cancel: 'Cancel Transfer',
+    newOwnerPlaceholder: 'New owner address',
+    start: 'Start Transfer',
+    renounce: 'Renounce Ownership',
+    renounceWarning: 'Renouncing leaves the contract without an owner forever: nobody will be able to transfer ownership again.',
+    invalidNewOwner: 'Please enter a valid address for the new owner.',
+    transferLabel: 'Nominate {address} as the new owner',
+    transferring: 'Starting ownership transfer...',
+    transferSuccess: 'Ownership transfer started. The new owner must accept it.',
+    transferFailed: 'Failed to transfer ownership',
+    cancelLabel: 'Cancel ownership transfer',
+    cancelling: 'Cancelling ownership transfer...',
+    cancelSuccess: 'Ownership transfer cancelled.',
+    cancelFailed: 'Failed to cancel ownership transfer',
+    acceptLabel: 'Accept ownership',
+    accepting: 'Accepting ownership...',
+    acceptSuccess: 'You are now the owner of the contract!',
+    acceptFailed: 'Failed to accept ownership',
+    renounceLabel: 'Renounce ownership (cannot be undone)',
+    renouncing: 'Renouncing ownership...',
+    renounceSuccess: 'Ownership renounced. The contract has no owner anymore.',
+    renounceFailed: 'Failed to renounce ownership',
+  },
+
+  treasury: {
+    title: 'Treasury Approvals',
+    policy: 'Withdrawals need {threshold} of {count} signers',
+    you: '(you)',
+    openTitle: 'Open Proposals',
+    empty: 'No open proposals',
+    kinds: {
+      withdrawal: 'Withdraw {amount} to {recipient}',
+      addSigner: 'Add signer {signer} (threshold {threshold})',
+      removeSigner: 'Remove signer {signer} (threshold {threshold})',
+      changeThreshold: 'Change the threshold to {threshold}',
+      tokenWithdrawal: 'Withdraw {amount} to {recipient}',
+    },
+    meta: 'Proposed by {proposer}, open until {date}',
+    approvals: 'Approvals: {count}/{threshold}',
+    approve: 'Approve',
+    approved: 'Approved',
+    execute: 'Execute',
+    notReady: 'Needs more approvals before it can be executed',
+    newTitle: 'New Proposal',
+    expiry: 'Open for (hours)',
+    proposeWithdrawal: 'Propose Withdrawal',
+    tokenAmountPlaceholder: 'Enter token amount to withdraw',
+    proposeTokenWithdrawal: 'Propose Token Withdrawal',
+    signerPlaceholder: 'Signer address',
+    thresholdPlaceholder: 'New threshold',
+    proposeAddSigner: 'Propose Adding Signer',
+    proposeRemoveSigner: 'Propose Removing Signer',
+    proposeThreshold: 'Propose Threshold',
+    connect: 'Connect a signer\'s wallet to propose and approve withdrawals.',
+    notSigner: 'Only treasury signers can propose and approve withdrawals.',
+    invalidExpiry: 'Please enter how many hours the proposal stays open.',
+    invalidThreshold: 'Please enter a threshold of at least 1.',
+    invalidSigner: 'Please enter a valid signer address.',
+    withdrawalLabel: 'Propose withdrawing {amount} to {recipient}',
+    tokenWithdrawalLabel: 'Propose withdrawing {amount} to {recipient}',
+    addSignerLabel: 'Propose adding {signer} as signer (threshold {threshold})',
+    removeSignerLabel: 'Propose removing signer {signer} (threshold {threshold})',
+    thresholdLabel: 'Propose a threshold of {threshold}',
+    proposing: 'Creating proposal...',
+    proposeSuccess: 'Proposal created with your approval.',
+    proposeFailed: 'Failed to create proposal',
+    approveLabel: 'Approve proposal #{id}',
+    approving: 'Approving proposal...',
+    approveSuccess: 'Proposal approved.',
+    approveFailed: 'Failed to approve proposal',
+    executeLabel: 'Execute proposal #{id}',
+    executing: 'Executing proposal...',
+    executeSuccess: 'Proposal executed.',
+    executeFailed: 'Failed to execute proposal',
+  },
+
+  activity: {
+    title: 'Activity',
+    loading: 'Loading recent activity...',
+    loadFailed: 'Failed to load activity: {error}',
+    empty: 'No recent activity',
+    events: {
+      MessageStored: 'Message stored',
+      Deposited: 'Deposit',
+      Withdrawn: 'Withdrawal',
+      TokenDeposited: 'Token deposit',
+      TokenWithdrawn: 'Token withdrawal',
+    },
+  },
+
+  history: {
+    title: 'Export History',
+    fromPlaceholder: 'From block (default: latest - {blocks})',
+    toPlaceholder: 'To block (default: latest)',
+    onlyMine: 'Only my address',
+    scan: 'Scan History',
+    scanning: 'Scanning...',
+    progress: 'Scanned {scanned} of {total} blocks...',
+    result: '{count} records between blocks {from} and {to}.',
+    downloadCsv: 'Download CSV',
+    downloadJson: 'Download JSON',
+    invalidRange: 'Please enter a valid block range (whole numbers, the first block not after the last).',
+    scanFailed: 'Failed to scan the history',
+  },
+
+  tx: {
+    title: 'Transaction',
+    invalidHash: 'This is not a valid transaction hash.',
+    loading: 'Looking up the transaction...',
+    loadFailed: 'Failed to load the transaction: {error}',
+    notFound: 'This transaction was not found on this network.',
+    notContract: 'This transaction was not sent to the SimpleStorage contract in use ({address}).',
+    status: 'Status: {status}',
+    statuses: {
+      pending: 'Pending',
+      success: 'Success',
+      failed: 'Failed',
+    },
+    hash: 'Hash:',
+    from: 'From:',
+    to: 'To: {address}',
+    creation: 'contract creation',
+    value: 'Value: {amount}',
+    block: 'Block: {block}',
+    time: 'Time: {time}',
+    gasUsed: 'Gas used: {gas}',
+    fee: 'Fee paid: {fee}',
+    call: 'Call: {name}',
+  },
+
+  address: {
+    title: 'Account {address}',
+    invalid: 'This is not a valid Ethereum address.',
+    loading: 'Loading the account\'s interactions...',
+    loadFailed: 'Failed to load the account\'s interactions: {error}',
+    deposits: 'Deposits: {amount}',
+    range: 'Interactions between blocks {from} and {to}',
+    empty: 'No interactions with the contract in these blocks',
+    actions: {
+      deposit: 'Deposit',
+      withdrawal: 'Withdrawal',
+      'token-deposit': 'Token deposit',
+      'token-withdrawal': 'Token withdrawal',
+      message: 'Message',
+      'ownership-transfer-started': 'Nominated as owner',
+      'ownership-transferred': 'Became owner',
+      'proposal-created': 'Treasury proposal',
+      'proposal-approved': 'Proposal approved',
+      'proposal-executed': 'Proposal executed',
+      'signer-added': 'Added as signer',
+      'signer-removed': 'Removed as signer',
+    },
+  },
+
+  cache: {
+    stale: 'Showing the last known values, updating...',
+  },
+
+  notifications: {
+    title: 'Notifications',
+    clear: 'Clear',
+    empty: 'No notifications in this session yet',
+    dismiss: 'Dismiss',
+    browser: 'Notify me when a transaction settles while this tab is in the background',
+    permissionDenied: 'The browser did not allow notifications. You can allow them in the site settings.',
+    transactionStatus: 'Status: {status}',
+    refreshFailed: 'Could not refresh the contract data: {message}',
+    types: {
+      loading: 'In progress',
+      info: 'Info',
+      success: 'Success',
+      warning: 'Warning',
+      error: 'Error',
+    },
+  },
+
+  transactions: {
+    title: 'Transactions',
+    confirmations: '({count}/{target} confirmations)',
+    replacedBy: 'by',
+    dismiss: 'Dismiss',
+    statuses: {
+      submitted: 'Submitted',
+      pending: 'Pending',
+      confirmed: 'Confirmed',
+      failed: 'Failed',
+      replaced: 'Replaced',
+      'sped-up': 'Sped up',
+      cancelled: 'Cancelled',
+    },
+    labels: {
+      deploy: 'Deploy SimpleStorage',
+      transferOwnership: 'Start ownership transfer',
+      acceptOwnership: 'Accept ownership',
+      renounceOwnership: 'Renounce ownership',
+      storeMessage: 'Store message',
+      storeMessageRelayed: 'Store message (relayed)',
+      deposit: 'Deposit {amount} ETH',
+      withdrawDeposit: 'Withdraw {amount} ETH of your deposits',
+      approveToken: 'Approve {amount} {symbol}',
+      depositToken: 'Deposit {amount} {symbol}',
+      proposeWithdrawal: 'Propose withdrawing {amount} ETH to {recipient}',
+      proposeTokenWithdrawal: 'Propose withdrawing {amount} {symbol} to {recipient}',
+      proposeAddSigner: 'Propose adding signer {signer}',
+      proposeRemoveSigner: 'Propose removing signer {signer}',
+      proposeThreshold: 'Propose a threshold of {threshold}',
+      approveProposal: 'Approve proposal #{id}',
+      executeProposal: 'Execute proposal #{id}',
+      console: 'Console: {name}',
+    },
+  },
+
+  preview: {
+    title: 'Confirm: {label}',
+    estimating: 'Estimating gas and fees...',
+    wouldRevert: 'This transaction would revert: {reason}',
+    estimatedGas: 'Estimated gas: {gas}',
+    maxFee: 'Max fee (gwei)',
+    maxPriorityFee: 'Max priority fee (gwei)',
+    gasPrice: 'Gas price (gwei)',
+    amount: 'Amount: {amount}',
+    networkFee: 'Network fee: ~{fee} (max {max})',
+    total: 'Estimated total: {total}',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    invalidGasPrice: 'Please enter a valid gas price.',
+    invalidFees: 'Please enter valid fee values.',
+    priorityAboveMax: 'The max priority fee cannot be higher than the max fee.',
+  },
+
+  console: {
+    groups: {
+      read: { title: 'Read', description: 'View and pure functions, called without a transaction.' },
+      write: { title: 'Write', description: 'Functions that send a transaction.' },
+      payable: { title: 'Payable', description: 'Functions that send a transaction with ETH.' },
+    },
+    valuePlaceholder: 'Value (ETH)',
+    read: 'Read',
+    reading: 'Reading...',
+    send: 'Send',
+    invalidValue: 'Please enter a valid ETH amount.',
+    sending: 'Sending {name}...',
+    sendSuccess: '{name} confirmed!',
+    sendFailed: 'Failed to send {name}',
+    status: 'Status: {status}',
+    success: 'Success',
+    failure: 'Failed',
+    transaction: 'Transaction:',
+    block: 'Block: {block}',
+    gasUsed: 'Gas used: {gas}',
+    gasPrice: 'Gas price: {price} gwei',
+    event: 'Event {name}',
+  },
+
+  abi: {
+    argument: 'Argument {number}',
+    placeholders: {
+      json: '{type} as JSON, e.g. {example}',
+      bool: 'true or false',
+    },
+    errors: {
+      argument: '{name}: {reason}',
+      element: 'Element {index}: {reason}',
+      wholeNumber: '{type} expects a whole number',
+      outOfRange: '{value} is out of range for {type}',
+      jsonArray: '{type} expects a JSON array, e.g. {example}',
+      jsonArrayOrObject: '{type} expects a JSON array or object',
+      valueCount: '{type} expects {count} values',
+      elementCount: '{type} expects exactly {count} elements',
+      address: '"{value}" is not a valid address',
+      bool: 'bool expects true or false',
+      hexBytes: '{type} expects 0x-prefixed hex bytes',
+      byteCount: '{type} expects exactly {count} bytes',
+      unsupported: 'Unsupported type: {type}',
+    },
+  },
+
+  errors: {
+    userRejected: 'The request was rejected in your wallet.',
+    chainNotAdded: 'This network has not been added to your wallet.',
+    insufficientFunds: 'Your account does not have enough ETH to pay for this transaction and its gas.',
+    nonce: 'The transaction conflicts with another transaction from your account.',
+    rpcUnavailable: 'The network could not be reached.',
+    contractRevert: 'The contract rejected the transaction.',
+    contractRevertReason: 'The contract rejected the transaction: {reason}',
+    contractNotDeployed: 'No contract deployed here: {address} on {network} has no contract code.',
+    session: 'Your sign-in session is not valid.',
+    transactionCancelled: 'The transaction was cancelled from your wallet.',
+    transactionReplaced: 'The transaction was replaced by another transaction with the same nonce.',
+    siwe: {
+      invalidMessage: 'The sign-in message is not a valid EIP-4361 message.',
+      malformedSignature: 'The sign-in signature is malformed.',
+      wrongSigner: 'The sign-in message was not signed by the account it names.',
+      expired: 'The sign-in session has expired.',
+      notYetValid: 'The sign-in message is not valid yet.',
+      wrongDomain: 'The sign-in message is for {domain}, not {expected}.',
+      unknownNonce: 'The sign-in nonce is unknown or was already used.',
+    },
+    hints: {
+      USER_REJECTED: 'Try again and approve the request in your wallet.',
+      CHAIN_NOT_ADDED: 'Switch network again to add it to your wallet, or add it manually.',
+      INSUFFICIENT_FUNDS: 'Add ETH to your account (e.g. from a faucet) or lower the amount.',
+      NONCE: 'Wait for your pending transactions to confirm, then try again. If it keeps failing, reset the account nonce in your wallet.',
+      RPC_UNAVAILABLE: 'Check your connection or the RPC URL, then try again.',
+      CONTRACT_REVERT: 'Check the conditions of this action (e.g. only treasury signers can approve, and only before the proposal expires).',
+      CONTRACT_NOT_DEPLOYED: 'Deploy SimpleStorage to this network and set its address (e.g. VITE_LOCAL_CONTRACT_ADDRESS), or switch to another network.',
+      SESSION: 'Sign in again with your wallet.',
+    },
+  },
+
+  // Revert reasons of SimpleStorage.sol (the contract reports them in Spanish)
+  reverts: {
+    reentrancy: 'Reentrant call not allowed',
+    onlyOwnerTransfer: 'Only the owner can transfer ownership',
+    onlyNomineeAccept: 'Only the new owner can accept',
+    onlyOwnerRenounce: 'Only the owner can renounce',
+    signatureExpired: 'The signature has expired',
+    invalidNonce: 'Invalid nonce',
+    invalidSignature: 'Invalid signature',
+    invalidAmount: 'Invalid amount',
+    insufficientDeposit: 'Your deposited balance is too low',
+    noFunds: 'The contract does not have enough funds',
+    invalidRecipient: 'Invalid recipient',
+    transferFailed: 'ETH transfer failed',
+    invalidToken: 'The address is not a token contract, or the token was never deposited',
+    tokenTransferFailed: 'The token transfer failed (check the approved amount and your balance)',
+    onlySigner: 'Only a treasury signer can do this',
+    invalidSigner: 'Invalid signer',
+    invalidThreshold: 'Invalid threshold for the number of signers',
+    invalidExpiry: 'The expiry must be in the future',
+    unknownProposal: 'The proposal does not exist',
+    proposalExecuted: 'The proposal was already executed',
+    proposalExpired: 'The proposal has expired',
+    alreadyApproved: 'You already approved this proposal',
+    missingApprovals: 'The proposal does not have enough approvals yet',
+    noReason: 'no reason given',
+  },
+};
+
+export default en;
@@ -0,0 +1,512 @@
+// Spanish catalogue
+// Mirrors the keys of the English catalogue (./en.js); any key missing here is shown in English.
+const es = {
+  app: {
+    title: 'DApp SimpleStorage',
+    subtitle: 'Interactúa con el contrato SimpleStorage en {network}',
+    unknownChain: 'Cadena {chainId}',
+    readOnly: 'Modo de solo lectura: mostrando datos de {network} a través de un RPC público. Conecta una billetera para guardar mensajes, depositar o retirar.',
+    checkAgain: 'Comprobar de nuevo',
+    tryAgain: 'Reintentar',
+    language: 'Idioma',
+    errorWithPrefix: '{prefix}: {message}',
+    notFound: 'Página no encontrada',
+    backHome: 'Volver a los mensajes',
+    nav: {
+      messages: 'Mensajes',
+      treasury: 'Tesorería',
+      admin: 'Administración',
+      activity: 'Actividad',
+      console: 'Consola',
+    },
+  },
+
+  wallet: {
+    connected: 'Conectado: {address}',
+    onNetwork: 'en {network}',
+    viaWallet: 'con {wallet}',
+    notConnected: 'Sin conectar (modo de solo lectura)',
+    noWallet: 'No se detectó ninguna billetera de Ethereum. Instala una billetera como MetaMask para usar esta DApp.',
+    changeWallet: 'Cambiar billetera',
+    myActivity: 'Mi actividad',
+    unsupportedNetwork: '{network} no es compatible. Cambia a una red donde el contrato esté desplegado.',
+    switchNetwork: 'Cambiar de red',
+    connecting: 'Conectando con {wallet}...',
+    connectSuccess: '¡Billetera conectada correctamente!',
+    switchToSupported: 'Cambia a una red compatible para usar esta DApp.',
+    chooseWallet: 'Elige una billetera arriba para enviar transacciones.',
+    noWalletToSend: 'No se detectó ninguna billetera de Ethereum. Instala una billetera como MetaMask para enviar transacciones.',
+    switching: 'Cambiando a {network}...',
+    switchSuccess: '¡Cambiado a {network} correctamente!',
+    initFailed: 'Error al iniciar',
+    connectFailed: 'No se pudo conectar la billetera',
+    switchFailed: 'No se pudo cambiar de red',
+  },
+
+  session: {
+    signIn: 'Iniciar sesión con Ethereum',
+    waiting: 'Esperando la firma...',
+    signedIn: 'Sesión iniciada',
+    signedInUntil: 'Sesión iniciada hasta las {time}',
+    signOut: 'Cerrar sesión',
+    signPrompt: 'Firma el mensaje de inicio de sesión en tu billetera...',
+    signInSuccess: '¡Sesión iniciada correctamente!',
+    signInFailed: 'No se pudo iniciar sesión',
+    expired: 'Tu sesión ha caducado. Vuelve a iniciar sesión para continuar.',
+  },
+
+  sandbox: {
+    badge: 'Sandbox',
+    account: 'Cuenta {index}: {address}',
+    ownerAccount: 'Cuenta {index} (owner): {address}',
+    mineBlock: 'Minar bloque',
+  },
+
+  contracts: {
+    title: 'Contrato',
+    configured: '{address} (configurado)',
+    deployedBy: '{address} (desplegado por {deployer})',
+    added: '{address} (añadido)',
+    none: 'Todavía no hay ningún contrato SimpleStorage para {network}. Despliega uno o pega su dirección.',
+    pastePlaceholder: 'Pega la dirección de un contrato (0x...)',
+    useAddress: 'Usar dirección',
+    deploy: 'Desplegar nueva instancia',
+    invalidAddress: 'Introduce una dirección de contrato válida.',
+    deployLabel: 'Desplegar SimpleStorage',
+    deploying: 'Desplegando una nueva instancia de SimpleStorage en {network}...',
+    deploySuccess: '¡Contrato desplegado correctamente! La DApp usa ahora la nueva instancia.',
+    deployFailed: 'No se pudo desplegar el contrato',
+  },
+
+  messages: {
+    title: 'Almacén de mensajes',
+    placeholder: 'Escribe un mensaje para guardar',
+    store: 'Guardar mensaje',
+    postWithoutGas: 'Publicar sin gas',
+    postWithoutGasHint: 'Firma el mensaje y deja que un relayer pague el gas',
+    refresh: 'Actualizar mensajes',
+    empty: 'Escribe un mensaje para guardar.',
+    noRelayer: 'No hay ningún relayer configurado para esta red, así que no se pueden publicar mensajes sin gas.',
+    storeLabel: 'Guardar mensaje',
+    storing: 'Guardando mensaje...',
+    storeSuccess: '¡Mensaje guardado correctamente!',
+    storeFailed: 'No se pudo guardar el mensaje',
+    signPrompt: 'Firma el mensaje en tu billetera...',
+    relaying: 'Enviando el mensaje al relayer...',
+    relaySuccess: '¡Mensaje publicado sin gas!',
+    relayFailed: 'No se pudo publicar el mensaje sin gas',
+    history: {
+      loadFailed: 'No se pudieron cargar los mensajes: {error}',
+      empty: 'Todavía no hay mensajes guardados',
+      meta: 'N.º {number} de {author} el {date}',
+      newer: 'Más recientes',
+      older: 'Más antiguos',
+      page: 'Página {page} de {count}',
+    },
+  },
+
+  eth: {
+    title: 'Operaciones con ETH',
+    depositPlaceholder: 'Cantidad de ETH a depositar',
+    deposit: 'Depositar ETH',
+    withdrawPlaceholder: 'Cantidad de ETH a retirar',
+    withdrawDeposits: 'Retirar mis depósitos',
+    recipientPlaceholder: 'Dirección de destino (por defecto, tu cuenta)',
+    contractBalance: 'Saldo del contrato: {amount}',
+    yourDeposits: 'Tus depósitos: {amount}',
+    ownerNone: 'Owner: ninguno (propiedad renunciada)',
+    owner: 'Owner: {address}',
+    ownerYou: 'Owner: {address} (tú)',
+    invalidDeposit: 'Introduce una cantidad válida para depositar.',
+    invalidWithdrawal: 'Introduce una cantidad válida para retirar.',
+    invalidRecipient: 'Introduce una dirección de destino válida.',
+    depositLabel: 'Depositar {amount}',
+    depositing: 'Depositando ETH...',
+    depositSuccess: '¡ETH depositado correctamente!',
+    depositFailed: 'No se pudo depositar ETH',
+    withdrawDepositLabel: 'Retirar {amount} de tus depósitos',
+    withdrawingDeposits: 'Retirando tus depósitos...',
+    withdrawDepositSuccess: '¡Depósitos retirados correctamente!',
+    withdrawDepositFailed: 'No se pudieron retirar los depósitos',
+  },
+
+  tokens: {
+    title: 'Tokens ERC-20',
+    select: 'Token',
+    custom: 'Otro token (introduce su dirección)',
+    addressPlaceholder: 'Dirección del contrato del token (0x...)',
+    reading: 'Leyendo el token...',
+    notToken: 'No se pudo leer un token ERC-20 en esta dirección.',
+    info: '{name} ({symbol}), {decimals} decimales',
+    wallet: 'Tu saldo: {balance} · Aprobado para el contrato: {allowance}',
+    amountPlaceholder: 'Cantidad de {symbol} a depositar',
+    deposit: 'Depositar tokens',
+    approveHint: 'Si la cantidad aprobada no alcanza, la wallet primero te pide aprobar al contrato para este depósito (después de poner en 0 la aprobación anterior, como exigen tokens como USDT).',
+    selectToken: 'Elige un token primero.',
+    invalidAmount: 'Introduce una cantidad válida (como máximo {decimals} decimales).',
+    approveLabel: 'Aprobar {amount} para el contrato',
+    approving: 'Aprobando tokens...',
+    approveSuccess: 'Tokens aprobados. Ahora confirma el depósito.',
+    resetApprovalLabel: 'Poner en 0 la aprobación de {symbol}',
+    resettingApproval: 'Poniendo en 0 la aprobación...',
+    resetApprovalSuccess: 'Aprobación en 0. Ahora aprueba la nueva cantidad.',
+    approveFailed: 'No se pudieron aprobar los tokens',
+    depositLabel: 'Depositar {amount}',
+    depositing: 'Depositando tokens...',
+    depositSuccess: '¡Tokens depositados correctamente!',
+    depositFailed: 'No se pudieron depositar los tokens',
+    holdingsTitle: 'Tokens del contrato',
+    noHoldings: 'Todavía no se depositaron tokens.',
+    withdrawHint: 'Los tokens depositados salen del contrato mediante propuestas del tesoro, con las mismas aprobaciones que el ETH.',
+  },
+
+  admin: {
+    title: 'Administración',
+    gate: 'Inicia sesión con Ethereum para gestionar la propiedad del contrato.',
+    guard: {
+      checking: 'Comprobando quién es el owner del contrato...',
+      connect: 'Conecta la billetera del owner para abrir la vista de administración.',
+      notOwner: 'Solo el owner del contrato, o la cuenta nominada como próximo owner, puede abrir la vista de administración.',
+    },
+    nominated: 'Has sido nombrado nuevo owner de este contrato.',
+    accept: 'Aceptar propiedad',
+    pending: 'Transferencia de propiedad pendiente: esperando a que {address} la acepte.',
+    cancel: 'Cancelar transferencia',
+    newOwnerPlaceholder: 'Dirección del nuevo owner',
+    start: 'Iniciar transferencia',
+    renounce: 'Renunciar a la propiedad',
+    renounceWarning: 'Renunciar deja el contrato sin owner para siempre: nadie podrá volver a transferir la propiedad.',
+    invalidNewOwner: 'Introduce una dirección válida para el nuevo owner.',
+    transferLabel: 'Nombrar a {address} nuevo owner',
+    transferring: 'Iniciando la transferencia de propiedad...',
+    transferSuccess: 'Transferencia de propiedad iniciada. El nuevo owner debe aceptarla.',
+    transferFailed: 'No se pudo transferir la propiedad',
+    cancelLabel: 'Cancelar la transferencia de propiedad',
+    cancelling: 'Cancelando la transferencia de propiedad...',
+    cancelSuccess: 'Transferencia de propiedad cancelada.',
+    cancelFailed: 'No se pudo cancelar la transferencia de propiedad',
+    acceptLabel: 'Aceptar la propiedad',
+    accepting: 'Aceptando la propiedad...',
+    acceptSuccess: '¡Ahora eres el owner del contrato!',
+    acceptFailed: 'No se pudo aceptar la propiedad',
+    renounceLabel: 'Renunciar a la propiedad (no se puede deshacer)',
+    renouncing: 'Renunciando a la propiedad...',
+    renounceSuccess: 'Propiedad renunciada. El contrato ya no tiene owner.',
+    renounceFailed: 'No se pudo renunciar a la propiedad',
+  },
+
+  treasury: {
+    title: 'Aprobaciones del tesoro',
+    policy: 'Los retiros necesitan {threshold} de {count} firmantes',
+    you: '(tú)',
+    openTitle: 'Propuestas abiertas',
+    empty: 'No hay propuestas abiertas',
+    kinds: {
+      withdrawal: 'Retirar {amount} a {recipient}',
+      addSigner: 'Agregar al firmante {signer} (umbral {threshold})',
+      removeSigner: 'Quitar al firmante {signer} (umbral {threshold})',
+      changeThreshold: 'Cambiar el umbral a {threshold}',
+      tokenWithdrawal: 'Retirar {amount} a {recipient}',
+    },
+    meta: 'Propuesta de {proposer}, abierta hasta el {date}',
+    approvals: 'Aprobaciones: {count}/{threshold}',
+    approve: 'Aprobar',
+    approved: 'Aprobada',
+    execute: 'Ejecutar',
+    notReady: 'Necesita más aprobaciones para poder ejecutarse',
+    newTitle: 'Nueva propuesta',
+    expiry: 'Abierta durante (horas)',
+    proposeWithdrawal: 'Proponer retiro',
+    tokenAmountPlaceholder: 'Cantidad de tokens a retirar',
+    proposeTokenWithdrawal: 'Proponer retiro de tokens',
+    signerPlaceholder: 'Dirección del firmante',
+    thresholdPlaceholder: 'Nuevo umbral',
+    proposeAddSigner: 'Proponer agregar firmante',
+    proposeRemoveSigner: 'Proponer quitar firmante',
+    proposeThreshold: 'Proponer umbral',
+    connect: 'Conecta la billetera de un firmante para proponer y aprobar retiros.',
+    notSigner: 'Solo los firmantes del tesoro pueden proponer y aprobar retiros.',
+    invalidExpiry: 'Introduce cuántas horas queda abierta la propuesta.',
+    invalidThreshold: 'Introduce un umbral de al menos 1.',
+    invalidSigner: 'Introduce una dirección de firmante válida.',
+    withdrawalLabel: 'Proponer retirar {amount} a {recipient}',
+    tokenWithdrawalLabel: 'Proponer retirar {amount} a {recipient}',
+    addSignerLabel: 'Proponer agregar a {signer} como firmante (umbral {threshold})',
+    removeSignerLabel: 'Proponer quitar al firmante {signer} (umbral {threshold})',
+    thresholdLabel: 'Proponer un umbral de {threshold}',
+    proposing: 'Creando la propuesta...',
+    proposeSuccess: 'Propuesta creada con tu aprobación.',
+    proposeFailed: 'No se pudo crear la propuesta',
+    approveLabel: 'Aprobar la propuesta #{id}',
+    approving: 'Aprobando la propuesta...',
+    approveSuccess: 'Propuesta aprobada.',
+    approveFailed: 'No se pudo aprobar la propuesta',
+    executeLabel: 'Ejecutar la propuesta #{id}',
+    executing: 'Ejecutando la propuesta...',
+    executeSuccess: 'Propuesta ejecutada.',
+    executeFailed: 'No se pudo ejecutar la propuesta',
+  },
+
+  activity: {
+    title: 'Actividad',
+    loading: 'Cargando la actividad reciente...',
+    loadFailed: 'No se pudo cargar la actividad: {error}',
+    empty: 'No hay actividad reciente',
+    events: {
+      MessageStored: 'Mensaje guardado',
+      Deposited: 'Depósito',
+      Withdrawn: 'Retiro',
+      TokenDeposited: 'Depósito de tokens',
+      TokenWithdrawn: 'Retiro de tokens',
+    },
+  },
+
+  history: {
+    title: 'Exportar historial',
+    fromPlaceholder: 'Desde el bloque (por defecto: último - {blocks})',
+    toPlaceholder: 'Hasta el bloque (por defecto: el último)',
+    onlyMine: 'Solo mi dirección',
+    scan: 'Escanear historial',
+    scanning: 'Escaneando...',
+    progress: 'Escaneados {scanned} de {total} bloques...',
+    result: '{count} registros entre los bloques {from} y {to}.',
+    downloadCsv: 'Descargar CSV',
+    downloadJson: 'Descargar JSON',
+    invalidRange: 'Introduce un rango de bloques válido (números enteros, el primer bloque no posterior al último).',
+    scanFailed: 'No se pudo escanear el historial',
+  },
+
+  tx: {
+    title: 'Transacción',
+    invalidHash: 'Esto no es un hash de transacción válido.',
+    loading: 'Buscando la transacción...',
+    loadFailed: 'No se pudo cargar la transacción: {error}',
+    notFound: 'No se encontró esta transacción en esta red.',
+    notContract: 'Esta transacción no se envió al contrato SimpleStorage en uso ({address}).',
+    status: 'Estado: {status}',
+    statuses: {
+      pending: 'Pendiente',
+      success: 'Correcta',
+      failed: 'Fallida',
+    },
+    hash: 'Hash:',
+    from: 'Desde:',
+    to: 'Para: {address}',
+    creation: 'creación de contrato',
+    value: 'Valor: {amount}',
+    block: 'Bloque: {block}',
+    time: 'Hora: {time}',
+    gasUsed: 'Gas usado: {gas}',
+    fee: 'Comisión pagada: {fee}',
+    call: 'Llamada: {name}',
+  },
+
+  address: {
+    title: 'Cuenta {address}',
+    invalid: 'Esto no es una dirección de Ethereum válida.',
+    loading: 'Cargando las interacciones de la cuenta...',
+    loadFailed: 'No se pudieron cargar las interacciones de la cuenta: {error}',
+    deposits: 'Depósitos: {amount}',
+    range: 'Interacciones entre los bloques {from} y {to}',
+    empty: 'No hay interacciones con el contrato en estos bloques',
+    actions: {
+      deposit: 'Depósito',
+      withdrawal: 'Retiro',
+      'token-deposit': 'Depósito de tokens',
+      'token-withdrawal': 'Retiro de tokens',
+      message: 'Mensaje',
+      'ownership-transfer-started': 'Nominada como owner',
+      'ownership-transferred': 'Pasó a ser owner',
+      'proposal-created': 'Propuesta del tesoro',
+      'proposal-approved': 'Propuesta aprobada',
+      'proposal-executed': 'Propuesta ejecutada',
+      'signer-added': 'Agregado como firmante',
+      'signer-removed': 'Quitado como firmante',
+    },
+  },
+
+  cache: {
+    stale: 'Mostrando los últimos valores conocidos, actualizando...',
+  },
+
+  notifications: {
+    title: 'Notificaciones',
+    clear: 'Borrar',
+    empty: 'Todavía no hay notificaciones en esta sesión',
+    dismiss: 'Descartar',
+    browser: 'Avisarme cuando una transacción termine mientras esta pestaña está en segundo plano',
+    permissionDenied: 'El navegador no permitió las notificaciones. Puedes permitirlas en la configuración del sitio.',
+    transactionStatus: 'Estado: {status}',
+    refreshFailed: 'No se pudieron actualizar los datos del contrato: {message}',
+    types: {
+      loading: 'En curso',
+      info: 'Información',
+      success: 'Éxito',
+      warning: 'Aviso',
+      error: 'Error',
+    },
+  },
+
+  transactions: {
+    title: 'Transacciones',
+    confirmations: '({count}/{target} confirmaciones)',
+    replacedBy: 'por',
+    dismiss: 'Descartar',
+    statuses: {
+      submitted: 'Enviada',
+      pending: 'Pendiente',
+      confirmed: 'Confirmada',
+      failed: 'Fallida',
+      replaced: 'Reemplazada',
+      'sped-up': 'Acelerada',
+      cancelled: 'Cancelada',
+    },
+    labels: {
+      deploy: 'Desplegar SimpleStorage',
+      transferOwnership: 'Iniciar transferencia de propiedad',
+      acceptOwnership: 'Aceptar la propiedad',
+      renounceOwnership: 'Renunciar a la propiedad',
+      storeMessage: 'Guardar mensaje',
+      storeMessageRelayed: 'Guardar mensaje (con relayer)',
+      deposit: 'Depositar {amount} ETH',
+      withdrawDeposit: 'Retirar {amount} ETH de tus depósitos',
+      approveToken: 'Aprobar {amount} {symbol}',
+      depositToken: 'Depositar {amount} {symbol}',
+      proposeWithdrawal: 'Proponer retirar {amount} ETH a {recipient}',
+      proposeTokenWithdrawal: 'Proponer retirar {amount} {symbol} a {recipient}',
+      proposeAddSigner: 'Proponer agregar al firmante {signer}',
+      proposeRemoveSigner: 'Proponer quitar al firmante {signer}',
+      proposeThreshold: 'Proponer un umbral de {threshold}',
+      approveProposal: 'Aprobar la propuesta #{id}',
+      executeProposal: 'Ejecutar la propuesta #{id}',
+      console: 'Consola: {name}',
+    },
+  },
+
+  preview: {
+    title: 'Confirmar: {label}',
+    estimating: 'Estimando gas y comisiones...',
+    wouldRevert: 'Esta transacción sería revertida: {reason}',
+    estimatedGas: 'Gas estimado: {gas}',
+    maxFee: 'Comisión máxima (gwei)',
+    maxPriorityFee: 'Comisión de prioridad máxima (gwei)',
+    gasPrice: 'Precio del gas (gwei)',
+    amount: 'Cantidad: {amount}',
+    networkFee: 'Comisión de red: ~{fee} (máx. {max})',
+    total: 'Total estimado: {total}',
+    cancel: 'Cancelar',
+    confirm: 'Confirmar',
+    invalidGasPrice: 'Introduce un precio del gas válido.',
+    invalidFees: 'Introduce comisiones válidas.',
+    priorityAboveMax: 'La comisión de prioridad máxima no puede superar la comisión máxima.',
+  },
+
+  console: {
+    groups: {
+      read: { title: 'Lectura', description: 'Funciones view y pure, que se llaman sin transacción.' },
+      write: { title: 'Escritura', description: 'Funciones que envían una transacción.' },
+      payable: { title: 'Payable', description: 'Funciones que envían una transacción con ETH.' },
+    },
+    valuePlaceholder: 'Valor (ETH)',
+    read: 'Leer',
+    reading: 'Leyendo...',
+    send: 'Enviar',
+    invalidValue: 'Introduce una cantidad de ETH válida.',
+    sending: 'Enviando {name}...',
+    sendSuccess: '¡{name} confirmada!',
+    sendFailed: 'No se pudo enviar {name}',
+    status: 'Estado: {status}',
+    success: 'Correcta',
+    failure: 'Fallida',
+    transaction: 'Transacción:',
+    block: 'Bloque: {block}',
+    gasUsed: 'Gas usado: {gas}',
+    gasPrice: 'Precio del gas: {price} gwei',
+    event: 'Evento {name}',
+  },
+
+  abi: {
+    argument: 'Argumento {number}',
+    placeholders: {
+      json: '{type} en JSON, p. ej. {example}',
+      bool: 'true o false',
+    },
+    errors: {
+      argument: '{name}: {reason}',
+      element: 'Elemento {index}: {reason}',
+      wholeNumber: '{type} espera un número entero',
+      outOfRange: '{value} está fuera del rango de {type}',
+      jsonArray: '{type} espera un array JSON, p. ej. {example}',
+      jsonArrayOrObject: '{type} espera un array u objeto JSON',
+      valueCount: '{type} espera {count} valores',
+      elementCount: '{type} espera exactamente {count} elementos',
+      address: '"{value}" no es una dirección válida',
+      bool: 'bool espera true o false',
+      hexBytes: '{type} espera bytes en hexadecimal con prefijo 0x',
+      byteCount: '{type} espera exactamente {count} bytes',
+      unsupported: 'Tipo no compatible: {type}',
+    },
+  },
+
+  errors: {
+    userRejected: 'La solicitud se rechazó en tu billetera.',
+    chainNotAdded: 'Esta red no se ha añadido a tu billetera.',
+    insufficientFunds: 'Tu cuenta no tiene suficiente ETH para pagar esta transacción y su gas.',
+    nonce: 'La transacción entra en conflicto con otra transacción de tu cuenta.',
+    rpcUnavailable: 'No se pudo acceder a la red.',
+    contractRevert: 'El contrato rechazó la transacción.',
+    contractRevertReason: 'El contrato rechazó la transacción: {reason}',
+    contractNotDeployed: 'No hay ningún contrato desplegado aquí: {address} en {network} no tiene código de contrato.',
+    session: 'Tu sesión no es válida.',
+    transactionCancelled: 'La transacción se canceló desde tu billetera.',
+    transactionReplaced: 'La transacción fue reemplazada por otra con el mismo nonce.',
+    siwe: {
+      invalidMessage: 'El mensaje de inicio de sesión no es un mensaje EIP-4361 válido.',
+      malformedSignature: 'La firma de inicio de sesión está mal formada.',
+      wrongSigner: 'El mensaje de inicio de sesión no lo firmó la cuenta que indica.',
+      expired: 'La sesión ha caducado.',
+      notYetValid: 'El mensaje de inicio de sesión todavía no es válido.',
+      wrongDomain: 'El mensaje de inicio de sesión es para {domain}, no para {expected}.',
+      unknownNonce: 'El nonce de inicio de sesión es desconocido o ya se usó.',
+    },
+    hints: {
+      USER_REJECTED: 'Vuelve a intentarlo y aprueba la solicitud en tu billetera.',
+      CHAIN_NOT_ADDED: 'Cambia de red de nuevo para añadirla a tu billetera, o añádela manualmente.',
+      INSUFFICIENT_FUNDS: 'Añade ETH a tu cuenta (por ejemplo, desde un faucet) o reduce la cantidad.',
+      NONCE: 'Espera a que se confirmen tus transacciones pendientes y vuelve a intentarlo. Si sigue fallando, restablece el nonce de la cuenta en tu billetera.',
+      RPC_UNAVAILABLE: 'Comprueba tu conexión o la URL del RPC y vuelve a intentarlo.',
+      CONTRACT_REVERT: 'Comprueba las condiciones de esta acción (por ejemplo, solo los firmantes del tesoro pueden aprobar, y solo antes de que venza la propuesta).',
+      CONTRACT_NOT_DEPLOYED: 'Despliega SimpleStorage en esta red y configura su dirección (p. ej. VITE_LOCAL_CONTRACT_ADDRESS), o cambia a otra red.',
+      SESSION: 'Vuelve a iniciar sesión con tu billetera.',
+    },
+  },
+
+  reverts: {
+    reentrancy: 'Reentrada no permitida',
+    onlyOwnerTransfer: 'Solo el owner puede transferir la propiedad',
+    onlyNomineeAccept: 'Solo el nuevo owner puede aceptar',
+    onlyOwnerRenounce: 'Solo el owner puede renunciar',
+    signatureExpired: 'La firma ha caducado',
+    invalidNonce: 'Nonce inválido',
+    invalidSignature: 'Firma inválida',
+    invalidAmount: 'Cantidad inválida',
+    insufficientDeposit: 'Tu saldo depositado es insuficiente',
+    noFunds: 'El contrato no tiene fondos suficientes',
+    invalidRecipient: 'Destinatario inválido',
+    transferFailed: 'La transferencia de ETH falló',
+    invalidToken: 'La dirección no es un contrato de token, o el token nunca se depositó',
+    tokenTransferFailed: 'La transferencia del token falló (revisa la cantidad aprobada y tu saldo)',
+    onlySigner: 'Solo un firmante del tesoro puede hacer esto',
+    invalidSigner: 'Firmante inválido',
+    invalidThreshold: 'Umbral inválido para la cantidad de firmantes',
+    invalidExpiry: 'El vencimiento debe ser futuro',
+    unknownProposal: 'La propuesta no existe',
+    proposalExecuted: 'La propuesta ya se ejecutó',
+    proposalExpired: 'La propuesta venció',
+    alreadyApproved: 'Ya aprobaste esta propuesta',
+    missingApprovals: 'La propuesta todavía no tiene suficientes aprobaciones',
+    noReason: 'sin motivo indicado',
+  },
+};
+
+export default es;
@@ -0,0 +1,159 @@
+// Internationalisation
+// Message catalogues (one per locale, keyed by dotted paths such as 'app.title'), the locale preference and the
+// locale-aware formatting of ETH amounts and dates. Modules outside the UI do not translate: they hand over
+// catalogue keys (transaction labels, error message keys, revert reasons) and the UI translates them here.
+import { ethers } from 'ethers';
+import en from './en';
+import es from './es';
+
+// Supported locales, with the name shown in the locale switcher
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  es: { name: 'Español', messages: es },
+};
+
+// Locale used when neither the saved preference nor the browser language is supported
+export const DEFAULT_LOCALE = 'en';
+
+// localStorage key holding the chosen locale
+const STORAGE_KEY = 'eth-dapp:locale';
+
+// Revert reasons of SimpleStorage.sol and the catalogue keys that translate them
+const REVERT_REASON_KEYS = {
+  'Reentrada no permitida': 'reverts.reentrancy',
+  'Solo el owner puede transferir': 'reverts.onlyOwnerTransfer',
+  'Solo el nuevo owner puede aceptar': 'reverts.onlyNomineeAccept',
+  'Solo el owner puede renunciar': 'reverts.onlyOwnerRenounce',
+  'Firma expirada': 'reverts.signatureExpired',
+  'Nonce invalido': 'reverts.invalidNonce',
+  'Firma invalida': 'reverts.invalidSignature',
+  'Monto invalido': 'reverts.invalidAmount',
+  'Saldo insuficiente': 'reverts.insufficientDeposit',
+  'Sin fondos': 'reverts.noFunds',
+  'Destino invalido': 'reverts.invalidRecipient',
+  'Transferencia fallida': 'reverts.transferFailed',
+  'Token invalido': 'reverts.invalidToken',
+  'Transferencia de token fallida': 'reverts.tokenTransferFailed',
+  'Solo un firmante': 'reverts.onlySigner',
+  'Firmante invalido': 'reverts.invalidSigner',
+  'Umbral invalido': 'reverts.invalidThreshold',
+  'Vencimiento invalido': 'reverts.invalidExpiry',
+  'Propuesta inexistente': 'reverts.unknownProposal',
+  'Propuesta ya ejecutada': 'reverts.proposalExecuted',
+  'Propuesta vencida': 'reverts.proposalExpired',
+  'Ya aprobada': 'reverts.alreadyApproved',
+  'Faltan aprobaciones': 'reverts.missingApprovals',
+  // Reported by previewTransaction when a revert has no reason string
+  'no reason given': 'reverts.noReason',
+};
+
+// Get initial locale
+// This function returns the saved locale, or the browser's language when it is supported, or DEFAULT_LOCALE.
+export const getInitialLocale = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved && LOCALES[saved]) return saved;
+  } catch {
+    // localStorage unavailable
+  }
+
+  const language = typeof navigator !== 'undefined' ? (navigator.language || '').slice(0, 2).toLowerCase() : '';
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+};
+
+// Save the chosen locale for the next visits
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('Could not persist locale:', error);
+  }
+};
+
+// Look up a dotted key in a catalogue
+const lookup = (messages, key) => {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+};
+
+// Translate
+// This function returns the message of 'key' in 'locale', with every {name} placeholder replaced by params.name.
+// A param can itself be a { key, params } entry, which is translated first (e.g. the reason of a validation error).
+// Missing keys fall back to English, then to the key itself, so a gap in a catalogue never breaks the UI.
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(LOCALES[locale]?.messages, key);
+  if (typeof message !== 'string') message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const param = params[name];
+    if (param === undefined || param === null) return match;
+    return typeof param === 'object' && param.key ? translate(locale, param.key, param.params) : String(param);
+  });
+};
+
+// Translate label
+// Transaction labels and similar descriptions are either plain text or a { key, params } catalogue entry.
+export const translateLabel = (locale, label) => {
+  if (!label || typeof label === 'string') return label || '';
+  return translate(locale, label.key, label.params);
+};
+
+// Format ETH amount
+// This function formats an amount (a decimal ETH string such as '1.5', or a BigNumber in wei) with the locale's
+// digit grouping and decimal separator, keeping up to 'maximumFractionDigits' decimals without rounding errors.
+export const formatEthAmount = (locale, amount, maximumFractionDigits = 6) => {
+  const text = ethers.BigNumber.isBigNumber(amount) ? ethers.utils.formatEther(amount) : amount;
+  return formatTokenAmount(locale, text, 'ETH', maximumFractionDigits);
+};
+
+// Format token amount
+// This function formats an amount of an ERC-20 token (a decimal string in whole tokens) like formatEthAmount,
+// followed by the token's symbol.
+export const formatTokenAmount = (locale, amount, symbol, maximumFractionDigits = 6) => {
+  const text = String(amount ?? '0').trim();
+  if (!/^-?\d*(\.\d*)?$/.test(text)) return `${text} ${symbol}`;
+  const [integer, fraction = ''] = text.split('.');
+  const negative = integer.startsWith('-');
+
+  const numberFormat = new Intl.NumberFormat(locale);
+  const whole = numberFormat.format(BigInt(integer.replace('-', '') || '0'));
+  const decimals = fraction.slice(0, maximumFractionDigits).replace(/0+$/, '');
+  const separator = numberFormat.formatToParts(1.1).find((part) => part.type === 'decimal').value;
+
+  return `${negative ? '-' : ''}${whole}${decimals ? `${separator}${decimals}` : ''} ${symbol}`;
+};
+
+// Format date
+// This function formats a date (a Date, a timestamp in milliseconds or an ISO string) in the locale's style.
+// 'style' is 'datetime' (date and time) or 'time'.
+export const formatDateTime = (locale, date, style = 'datetime') => {
+  const options = style === 'time' ? { timeStyle: 'short' } : { dateStyle: 'medium', timeStyle: 'short' };
+  return new Intl.DateTimeFormat(locale, options).format(new Date(date));
+};
+
+// Translate revert reason
+// This function translates a require() reason of SimpleStorage.sol, or returns unknown reasons unchanged.
+export const translateRevertReason = (locale, reason) => {
+  return REVERT_REASON_KEYS[reason] ? translate(locale, REVERT_REASON_KEYS[reason]) : reason;
+};
+
+// Describe error
+// This function translates a decoded error (see utils/errors.js) into { message, hint } in 'locale'.
+// Contract reverts show their reason translated; errors without a catalogue key keep their original text.
+export const describeError = (locale, error) => {
+  if (!error) return { message: '', hint: '' };
+
+  const hintKey = `errors.hints.${error.type}`;
+  const hint = lookup(LOCALES[DEFAULT_LOCALE].messages, hintKey) ? translate(locale, hintKey) : error.retryHint || '';
+
+  if (error.messageKey) {
+    return { message: translate(locale, error.messageKey, error.messageParams), hint };
+  }
+  if (error.type === 'CONTRACT_REVERT') {
+    const message = error.reason
+      ? translate(locale, 'errors.contractRevertReason', { reason: translateRevertReason(locale, error.reason) })
+      : translate(locale, 'errors.contractRevert');
+    return { message, hint };
+  }
+  return { message: error.message || String(error), hint };
+};
@@ -2,9 +2,30 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import I18nProvider from './context/I18nProvider.jsx'
+import NotificationProvider from './context/NotificationProvider.jsx'
+import WalletProvider from './context/WalletProvider.jsx'
+import SessionProvider from './context/SessionProvider.jsx'
+import { isSandboxEnabled, announceSandboxWallet } from './sandbox'
+import { keepDeploymentsInMemory } from './contract/deployments'
+
+// Offer the in-memory sandbox wallet before the DApp starts looking for wallets
+// Sandbox chains reset on reload, so contracts deployed on them are not remembered
+if (isSandboxEnabled()) {
+  keepDeploymentsInMemory()
+  announceSandboxWallet()
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <NotificationProvider>
+        <WalletProvider>
+          <SessionProvider>
+            <App />
+          </SessionProvider>
+        </WalletProvider>
+      </NotificationProvider>
+    </I18nProvider>
   </StrictMode>,
 )
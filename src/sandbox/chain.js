@@ -0,0 +1,771 @@
+// Simulated chain
+// An in-memory blockchain with SimpleStorage contracts, used by the sandbox provider.
+// Every transaction is mined immediately in its own block. Contract calls are decoded with the real ABI
+// and run against a JavaScript copy of SimpleStorage.sol that follows the same require() rules and events.
+// Deploying the compiled bytecode creates a new instance with its own state.
+// Every chain also has a test ERC-20 token (SANDBOX_TOKEN), funded for the test accounts, to try token deposits.
+import { ethers } from 'ethers';
+import { ERC20_ABI } from '../contract/erc20';
+import { MULTICALL3_ADDRESS } from '../utils/multicall';
+
+const tokenInterface = new ethers.utils.Interface(ERC20_ABI);
+
+// Multicall3's aggregate3, so batched reads work in the sandbox as on a real network
+const multicallInterface = new ethers.utils.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+// Base fee of every block (1 gwei), so fee estimates behave like an EIP-1559 network
+export const BASE_FEE_PER_GAS = 1000000000n;
+
+// Default priority fee (1 gwei)
+export const PRIORITY_FEE_PER_GAS = 1000000000n;
+
+// Gas charged for a plain transfer, a contract call and a deployment
+const TRANSFER_GAS = 21000n;
+const CALL_GAS = 60000n;
+const DEPLOY_GAS = 1500000n;
+
+// Code returned for every contract (the simulation does not run bytecode)
+const CONTRACT_CODE = '0x6080604052';
+
+// Block gas limit (30M, as on mainnet)
+export const BLOCK_GAS_LIMIT = 30000000n;
+
+// ETH given to every test account
+const INITIAL_BALANCE = ethers.utils.parseEther('100').toBigInt();
+
+// Test stablecoin that exists on every sandbox chain
+export const SANDBOX_TOKEN = {
+  address: '0x5FC8d32690cc91D4c39d9d3abcBD16989F875707',
+  name: 'Sandbox USD',
+  symbol: 'sUSD',
+  decimals: 6,
+};
+
+// Test tokens given to every test account (10,000 sUSD)
+const INITIAL_TOKEN_BALANCE = ethers.utils.parseUnits('10000', SANDBOX_TOKEN.decimals).toBigInt();
+
+// Revert raised by the simulated contract, carrying the require() reason
+export class SandboxRevert extends Error {
+  constructor(reason = '') {
+    super(reason ? `execution reverted: ${reason}` : 'execution reverted');
+    this.reason = reason;
+  }
+}
+
+// Revert unless the condition holds, like Solidity's require()
+const check = (condition, reason) => {
+  if (!condition) throw new SandboxRevert(reason);
+};
+
+// Error returned by nodes when the sender cannot pay for a transaction
+const insufficientFunds = () => {
+  const error = new Error('insufficient funds for gas * price + value');
+  error.code = -32000;
+  return error;
+};
+
+// Format a number or BigInt as a JSON-RPC quantity
+export const toQuantity = (value) => `0x${BigInt(value).toString(16)}`;
+
+// Normalize an address for use as a map key
+const key = (address) => address.toLowerCase();
+
+// Gas a transaction is estimated at: a deployment, a contract call or a plain transfer
+const gasFor = ({ to, data }) => {
+  if (!to) return DEPLOY_GAS;
+  return data && data !== '0x' ? CALL_GAS : TRANSFER_GAS;
+};
+
+// State of a new SimpleStorage instance, as left by its constructor: the deployer is the owner and the only signer
+const createContractState = (owner) => ({
+  owner,
+  pendingOwner: ethers.constants.AddressZero,
+  messages: [],
+  deposits: {},
+  nonces: {},
+  signers: [owner],
+  threshold: 1,
+  proposals: [],
+  approvals: {},
+  tokenBalances: {},
+  tokens: [],
+});
+
+// State of the test token, with INITIAL_TOKEN_BALANCE minted to each account
+const createTokenState = (accounts) => ({
+  name: SANDBOX_TOKEN.name,
+  symbol: SANDBOX_TOKEN.symbol,
+  decimals: SANDBOX_TOKEN.decimals,
+  totalSupply: INITIAL_TOKEN_BALANCE * BigInt(accounts.length),
+  balances: Object.fromEntries(accounts.map((account) => [key(account), INITIAL_TOKEN_BALANCE])),
+  allowances: {},
+});
+
+// Events emitted by the constructor
+const constructorEvents = (address, deployer) => [
+  { address, name: 'OwnershipTransferred', values: [ethers.constants.AddressZero, deployer] },
+  { address, name: 'SignerAdded', values: [deployer] },
+  { address, name: 'ThresholdChanged', values: [1] },
+];
+
+// Proposal kinds, in the order of SimpleStorage.sol's ProposalKind enum
+const PROPOSAL_KINDS = { withdrawal: 0, addSigner: 1, removeSigner: 2, changeThreshold: 3, tokenWithdrawal: 4 };
+
+// Check whether an address is a signer of the treasury
+const isSigner = (state, address) => state.signers.some((signer) => key(signer) === key(address));
+
+// Current signers that approved a proposal
+const approversOf = (state, id) => state.signers.filter((signer) => (state.approvals[id] || {})[key(signer)]);
+
+// Get a proposal that exists, was not executed and has not expired, like _openProposal
+const openProposal = (state, ctx, id) => {
+  check(id < state.proposals.length, 'Propuesta inexistente');
+  const proposal = state.proposals[id];
+  check(!proposal.executed, 'Propuesta ya ejecutada');
+  check(BigInt(ctx.timestamp) <= proposal.expiresAt, 'Propuesta vencida');
+  return proposal;
+};
+
+// Create a proposal approved by its proposer, like _propose
+const propose = (state, ctx, kind, target, value, expiresAt, token = ethers.constants.AddressZero) => {
+  check(expiresAt.toBigInt() > BigInt(ctx.timestamp), 'Vencimiento invalido');
+  const id = state.proposals.length;
+  state.proposals.push({ kind, proposer: ctx.sender, target, value, expiresAt: expiresAt.toBigInt(), executed: false, token });
+  ctx.emit('ProposalCreated', [id, ctx.sender, kind, target, value, expiresAt.toBigInt(), token]);
+  state.approvals[id] = { [key(ctx.sender)]: true };
+  ctx.emit('ProposalApproved', [id, ctx.sender]);
+  return [id];
+};
+
+// Call a token from the contract, like _callToken: the call must not revert nor return false
+const callToken = (ctx, token, method, args) => {
+  let success;
+  try {
+    [success] = ctx.callToken(token, method, args);
+  } catch (error) {
+    if (!(error instanceof SandboxRevert)) throw error;
+    success = false;
+  }
+  check(success, 'Transferencia de token fallida');
+};
+
+// Change the threshold, like _setThreshold
+const setThreshold = (state, ctx, threshold) => {
+  state.threshold = Number(threshold);
+  ctx.emit('ThresholdChanged', [threshold]);
+};
+
+// EIP-712 types of a signed message, as in SimpleStorage.sol
+const STORE_MESSAGE_TYPES = {
+  StoreMessage: [
+    { name: 'message', type: 'string' },
+    { name: 'author', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Largest 's' value of a non-malleable signature (half the secp256k1 curve order)
+const SECP256K1_HALF_ORDER = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0n;
+
+// SimpleStorage
+// Each function receives the contract state, the call context and the decoded arguments,
+// and returns the output values. It mirrors SimpleStorage.sol, including the revert reasons.
+const SIMPLE_STORAGE = {
+  owner: (state) => [state.owner],
+  pendingOwner: (state) => [state.pendingOwner],
+
+  transferOwnership: (state, ctx, [newOwner]) => {
+    check(key(ctx.sender) === key(state.owner), 'Solo el owner puede transferir');
+    state.pendingOwner = newOwner;
+    ctx.emit('OwnershipTransferStarted', [state.owner, newOwner]);
+    return [];
+  },
+
+  acceptOwnership: (state, ctx) => {
+    check(key(ctx.sender) === key(state.pendingOwner), 'Solo el nuevo owner puede aceptar');
+    ctx.emit('OwnershipTransferred', [state.owner, state.pendingOwner]);
+    state.owner = state.pendingOwner;
+    state.pendingOwner = ethers.constants.AddressZero;
+    return [];
+  },
+
+  renounceOwnership: (state, ctx) => {
+    check(key(ctx.sender) === key(state.owner), 'Solo el owner puede renunciar');
+    ctx.emit('OwnershipTransferred', [state.owner, ethers.constants.AddressZero]);
+    state.owner = ethers.constants.AddressZero;
+    state.pendingOwner = ethers.constants.AddressZero;
+    return [];
+  },
+
+  storeMessage: (state, ctx, [text]) => {
+    state.messages.push({ author: ctx.sender, text, timestamp: ctx.timestamp });
+    ctx.emit('MessageStored', [ctx.sender, text]);
+    return [];
+  },
+
+  storeMessageWithSig: (state, ctx, [text, author, nonce, deadline, signature]) => {
+    check(BigInt(ctx.timestamp) <= deadline.toBigInt(), 'Firma expirada');
+    check(nonce.toBigInt() === (state.nonces[key(author)] || 0n), 'Nonce invalido');
+    let signer = null;
+    try {
+      const digest = ethers.utils._TypedDataEncoder.hash(
+        { name: 'SimpleStorage', version: '1', chainId: ctx.chainId, verifyingContract: ctx.address },
+        STORE_MESSAGE_TYPES,
+        { message: text, author, nonce, deadline }
+      );
+      // Like the contract, only 65-byte signatures with a low 's' are accepted
+      const bytes = ethers.utils.arrayify(signature);
+      const v = bytes[64];
+      if (bytes.length === 65 && BigInt(ethers.utils.hexlify(bytes.slice(32, 64))) <= SECP256K1_HALF_ORDER && (v === 27 || v === 28)) {
+        signer = ethers.utils.recoverAddress(digest, signature);
+      }
+    } catch {
+      // Malformed signature
+    }
+    check(author !== ethers.constants.AddressZero && signer === author, 'Firma invalida');
+    state.nonces[key(author)] = nonce.toBigInt() + 1n;
+    state.messages.push({ author, text, timestamp: ctx.timestamp });
+    ctx.emit('MessageStored', [author, text]);
+    return [];
+  },
+
+  nonces: (state, ctx, [author]) => [state.nonces[key(author)] || 0n],
+
+  STORE_MESSAGE_TYPEHASH: () => [ethers.utils.id('StoreMessage(string message,address author,uint256 nonce,uint256 deadline)')],
+
+  DOMAIN_SEPARATOR: (state, ctx) => [ethers.utils._TypedDataEncoder.hashDomain(
+    { name: 'SimpleStorage', version: '1', chainId: ctx.chainId, verifyingContract: ctx.address }
+  )],
+
+  getMessage: (state) => {
+    const latest = state.messages[state.messages.length - 1];
+    return [latest ? latest.text : ''];
+  },
+
+  messageCount: (state) => [state.messages.length],
+
+  getMessages: (state, ctx, [offset, limit]) => {
+    const length = BigInt(state.messages.length);
+    if (offset.toBigInt() >= length) return [[]];
+    const start = offset.toBigInt();
+    const end = limit.toBigInt() < length - start ? start + limit.toBigInt() : length;
+    return [state.messages.slice(Number(start), Number(end)).map((message) => [message.author, message.text, message.timestamp])];
+  },
+
+  deposit: (state, ctx) => {
+    state.deposits[key(ctx.sender)] = (state.deposits[key(ctx.sender)] || 0n) + ctx.value;
+    ctx.emit('Deposited', [ctx.sender, ctx.value]);
+    return [];
+  },
+
+  depositOf: (state, ctx, [account]) => [state.deposits[key(account)] || 0n],
+
+  withdrawDeposit: (state, ctx, [amount]) => {
+    const value = amount.toBigInt();
+    const deposited = state.deposits[key(ctx.sender)] || 0n;
+    check(value > 0n, 'Monto invalido');
+    check(deposited >= value, 'Saldo insuficiente');
+    check(ctx.balance() >= value, 'Sin fondos');
+    state.deposits[key(ctx.sender)] = deposited - value;
+    ctx.send(ctx.sender, value);
+    return [];
+  },
+
+  depositToken: (state, ctx, [token, amount]) => {
+    check(ctx.hasCode(token), 'Token invalido');
+    check(amount.toBigInt() > 0n, 'Monto invalido');
+    const [balanceBefore] = ctx.callToken(token, 'balanceOf', [ctx.address]);
+    callToken(ctx, token, 'transferFrom', [ctx.sender, ctx.address, amount]);
+    const received = ctx.callToken(token, 'balanceOf', [ctx.address])[0] - balanceBefore;
+
+    if (!state.tokens.some((known) => key(known) === key(token))) {
+      state.tokens.push(token);
+    }
+    state.tokenBalances[key(token)] = (state.tokenBalances[key(token)] || 0n) + received;
+    ctx.emit('TokenDeposited', [token, ctx.sender, received]);
+    return [];
+  },
+
+  tokenBalances: (state, ctx, [token]) => [state.tokenBalances[key(token)] || 0n],
+  getTokens: (state) => [state.tokens],
+
+  proposeWithdrawal: (state, ctx, [to, amount, expiresAt]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    check(to !== ethers.constants.AddressZero, 'Destino invalido');
+    check(amount.toBigInt() > 0n, 'Monto invalido');
+    return propose(state, ctx, PROPOSAL_KINDS.withdrawal, to, amount.toBigInt(), expiresAt);
+  },
+
+  proposeTokenWithdrawal: (state, ctx, [token, to, amount, expiresAt]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    check(state.tokens.some((known) => key(known) === key(token)), 'Token invalido');
+    check(to !== ethers.constants.AddressZero, 'Destino invalido');
+    check(amount.toBigInt() > 0n, 'Monto invalido');
+    return propose(state, ctx, PROPOSAL_KINDS.tokenWithdrawal, to, amount.toBigInt(), expiresAt, token);
+  },
+
+  proposeAddSigner: (state, ctx, [signer, newThreshold, expiresAt]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    check(signer !== ethers.constants.AddressZero && !isSigner(state, signer), 'Firmante invalido');
+    check(newThreshold.toBigInt() > 0n && newThreshold.toBigInt() <= BigInt(state.signers.length + 1), 'Umbral invalido');
+    return propose(state, ctx, PROPOSAL_KINDS.addSigner, signer, newThreshold.toBigInt(), expiresAt);
+  },
+
+  proposeRemoveSigner: (state, ctx, [signer, newThreshold, expiresAt]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    check(isSigner(state, signer), 'Firmante invalido');
+    check(newThreshold.toBigInt() > 0n && newThreshold.toBigInt() < BigInt(state.signers.length), 'Umbral invalido');
+    return propose(state, ctx, PROPOSAL_KINDS.removeSigner, signer, newThreshold.toBigInt(), expiresAt);
+  },
+
+  proposeThreshold: (state, ctx, [newThreshold, expiresAt]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    check(newThreshold.toBigInt() > 0n && newThreshold.toBigInt() <= BigInt(state.signers.length), 'Umbral invalido');
+    return propose(state, ctx, PROPOSAL_KINDS.changeThreshold, ethers.constants.AddressZero, newThreshold.toBigInt(), expiresAt);
+  },
+
+  approveProposal: (state, ctx, [id]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    openProposal(state, ctx, id.toNumber());
+    const approvals = state.approvals[id.toNumber()];
+    check(!approvals[key(ctx.sender)], 'Ya aprobada');
+    approvals[key(ctx.sender)] = true;
+    ctx.emit('ProposalApproved', [id.toNumber(), ctx.sender]);
+    return [];
+  },
+
+  executeProposal: (state, ctx, [id]) => {
+    check(isSigner(state, ctx.sender), 'Solo un firmante');
+    const proposal = openProposal(state, ctx, id.toNumber());
+    check(approversOf(state, id.toNumber()).length >= state.threshold, 'Faltan aprobaciones');
+    proposal.executed = true;
+    ctx.emit('ProposalExecuted', [id.toNumber(), ctx.sender]);
+
+    if (proposal.kind === PROPOSAL_KINDS.withdrawal) {
+      check(ctx.balance() >= proposal.value, 'Sin fondos');
+      ctx.send(proposal.target, proposal.value);
+    } else if (proposal.kind === PROPOSAL_KINDS.tokenWithdrawal) {
+      check((state.tokenBalances[key(proposal.token)] || 0n) >= proposal.value, 'Sin fondos');
+      state.tokenBalances[key(proposal.token)] -= proposal.value;
+      callToken(ctx, proposal.token, 'transfer', [proposal.target, proposal.value]);
+      ctx.emit('TokenWithdrawn', [proposal.token, proposal.target, proposal.value]);
+    } else if (proposal.kind === PROPOSAL_KINDS.addSigner) {
+      check(!isSigner(state, proposal.target), 'Firmante invalido');
+      check(proposal.value <= BigInt(state.signers.length + 1), 'Umbral invalido');
+      state.signers.push(proposal.target);
+      ctx.emit('SignerAdded', [proposal.target]);
+      setThreshold(state, ctx, proposal.value);
+    } else if (proposal.kind === PROPOSAL_KINDS.removeSigner) {
+      check(isSigner(state, proposal.target), 'Firmante invalido');
+      check(proposal.value < BigInt(state.signers.length), 'Umbral invalido');
+      // Like the contract, the last signer takes the place of the removed one
+      const index = state.signers.findIndex((signer) => key(signer) === key(proposal.target));
+      state.signers[index] = state.signers[state.signers.length - 1];
+      state.signers.pop();
+      ctx.emit('SignerRemoved', [proposal.target]);
+      setThreshold(state, ctx, proposal.value);
+    } else {
+      check(proposal.value <= BigInt(state.signers.length), 'Umbral invalido');
+      setThreshold(state, ctx, proposal.value);
+    }
+    return [];
+  },
+
+  getSigners: (state) => [state.signers],
+  isSigner: (state, ctx, [account]) => [isSigner(state, account)],
+  threshold: (state) => [state.threshold],
+  proposalCount: (state) => [state.proposals.length],
+
+  getProposal: (state, ctx, [id]) => {
+    check(id.toNumber() < state.proposals.length, 'Propuesta inexistente');
+    const { kind, proposer, target, value, expiresAt, executed, token } = state.proposals[id.toNumber()];
+    return [[kind, proposer, target, value.toString(), expiresAt.toString(), executed, token]];
+  },
+
+  hasApproved: (state, ctx, [id, signer]) => [Boolean((state.approvals[id.toNumber()] || {})[key(signer)])],
+  getApprovals: (state, ctx, [id]) => [approversOf(state, id.toNumber())],
+  approvalCount: (state, ctx, [id]) => [approversOf(state, id.toNumber()).length],
+
+  getBalance: (state, ctx) => [ctx.balance()],
+};
+
+// Move test tokens between accounts, like OpenZeppelin's ERC20._transfer
+const transferTokens = (state, ctx, from, to, amount) => {
+  const available = state.balances[key(from)] || 0n;
+  check(to !== ethers.constants.AddressZero, 'ERC20: transfer to the zero address');
+  check(available >= amount, 'ERC20: transfer amount exceeds balance');
+  state.balances[key(from)] = available - amount;
+  state.balances[key(to)] = (state.balances[key(to)] || 0n) + amount;
+  ctx.emit('Transfer', [from, to, amount]);
+};
+
+// Test token
+// A plain ERC-20 token, called the same way as SIMPLE_STORAGE with the state of the token.
+const ERC20_TOKEN = {
+  name: (state) => [state.name],
+  symbol: (state) => [state.symbol],
+  decimals: (state) => [state.decimals],
+  totalSupply: (state) => [state.totalSupply],
+  balanceOf: (state, ctx, [account]) => [state.balances[key(account)] || 0n],
+  allowance: (state, ctx, [owner, spender]) => [(state.allowances[key(owner)] || {})[key(spender)] || 0n],
+
+  approve: (state, ctx, [spender, amount]) => {
+    state.allowances[key(ctx.sender)] = { ...state.allowances[key(ctx.sender)], [key(spender)]: amount.toBigInt() };
+    ctx.emit('Approval', [ctx.sender, spender, amount.toBigInt()]);
+    return [true];
+  },
+
+  transfer: (state, ctx, [to, amount]) => {
+    transferTokens(state, ctx, ctx.sender, to, amount.toBigInt());
+    return [true];
+  },
+
+  transferFrom: (state, ctx, [from, to, amount]) => {
+    const allowed = (state.allowances[key(from)] || {})[key(ctx.sender)] || 0n;
+    check(allowed >= amount.toBigInt(), 'ERC20: insufficient allowance');
+    state.allowances[key(from)] = { ...state.allowances[key(from)], [key(ctx.sender)]: allowed - amount.toBigInt() };
+    transferTokens(state, ctx, from, to, amount.toBigInt());
+    return [true];
+  },
+};
+
+// Simulated chain
+// Holds the blocks, transactions, receipts, logs, account balances and the state of every SimpleStorage
+// instance and test token of one chain. 'contractAddress' is the instance that exists from the start, owned by accounts[0].
+// 'contract' is the compiled SimpleStorage artifact { abi, bytecode }: calls and events are encoded with its ABI
+// and only its bytecode can be deployed.
+export class SandboxChain {
+  constructor(chainId, contractAddress, accounts, contract) {
+    this.chainId = chainId;
+    this.contractInterface = new ethers.utils.Interface(contract.abi);
+    this.bytecode = contract.bytecode;
+    this.blocks = [];
+    this.transactions = new Map();
+    this.receipts = new Map();
+    this.logs = [];
+    this.nonces = {};
+    this.hashCounter = 0;
+
+    // Mutable state, kept separate so a call can run on a copy and be discarded on revert
+    this.state = {
+      balances: Object.fromEntries(accounts.map((account) => [key(account), INITIAL_BALANCE])),
+      contracts: contractAddress ? { [key(contractAddress)]: createContractState(accounts[0]) } : {},
+      tokens: { [key(SANDBOX_TOKEN.address)]: createTokenState(accounts) },
+    };
+
+    this.mineBlock([]);
+  }
+
+  // Create a unique 32-byte hash
+  nextHash(kind) {
+    this.hashCounter += 1;
+    return ethers.utils.id(`sandbox:${this.chainId}:${kind}:${this.hashCounter}:${Date.now()}`);
+  }
+
+  // Get the latest block
+  latestBlock() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  // Get a block by tag ('latest', 'earliest', 'pending' or a hex number), or null
+  getBlock(tag) {
+    if (tag === 'latest' || tag === 'pending' || tag === undefined) return this.latestBlock();
+    if (tag === 'earliest') return this.blocks[0];
+    return this.blocks[Number(tag)] || null;
+  }
+
+  // Get the number a block tag refers to, which may be past the latest block
+  getBlockNumber(tag) {
+    if (tag === 'latest' || tag === 'pending' || tag === undefined) return this.latestBlock().number;
+    if (tag === 'earliest') return 0;
+    return Number(tag);
+  }
+
+  // Get the timestamp of the next block
+  // Timestamps must strictly increase, even when blocks are mined within the same second
+  nextTimestamp() {
+    const now = Math.floor(Date.now() / 1000);
+    return this.blocks.length > 0 ? Math.max(now, this.latestBlock().timestamp + 1) : now;
+  }
+
+  // Mine a block holding the given transaction hashes
+  mineBlock(transactionHashes, timestamp = this.nextTimestamp()) {
+    const parent = this.blocks.length > 0 ? this.latestBlock() : null;
+    const block = {
+      number: this.blocks.length,
+      hash: this.nextHash('block'),
+      parentHash: parent ? parent.hash : ethers.constants.HashZero,
+      timestamp,
+      transactions: transactionHashes,
+      gasUsed: 0n,
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  // Get the ETH balance of an address
+  getBalance(address) {
+    return this.state.balances[key(address)] || 0n;
+  }
+
+  // Get the number of transactions sent by an address
+  getNonce(address) {
+    return this.nonces[key(address)] || 0;
+  }
+
+  // Check whether an address is a SimpleStorage instance
+  isContract(address) {
+    return Boolean(address && this.state.contracts[key(address)]);
+  }
+
+  // Check whether an address is a test token
+  isToken(address) {
+    return Boolean(address && this.state.tokens[key(address)]);
+  }
+
+  // Get the code stored at an address (a placeholder for contracts, nothing for accounts)
+  getCode(address) {
+    return this.isContract(address) || this.isToken(address) || key(address) === key(MULTICALL3_ADDRESS)
+      ? CONTRACT_CODE
+      : '0x';
+  }
+
+  // Run a Multicall3 aggregate3 call: each sub-call runs on the same state, with Multicall3 as the sender
+  aggregate3(data, timestamp) {
+    const [calls] = multicallInterface.decodeFunctionData('aggregate3', data);
+    const results = calls.map(({ target, allowFailure, callData }) => {
+      try {
+        return [true, this.execute({ from: MULTICALL3_ADDRESS, to: target, data: callData }, timestamp).output];
+      } catch (error) {
+        if (!(error instanceof SandboxRevert) || !allowFailure) throw error;
+        const revertData = error.reason
+          ? ethers.utils.hexConcat(['0x08c379a0', ethers.utils.defaultAbiCoder.encode(['string'], [error.reason])])
+          : '0x';
+        return [false, revertData];
+      }
+    });
+    return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+  }
+
+  // Execute
+  // This function runs a call or transaction against a copy of the state and returns the output,
+  // the emitted logs, the new state and, for a deployment, the new contract address.
+  // Throws SandboxRevert when the contract reverts.
+  execute({ from, to, data = '0x', value = 0n }, timestamp) {
+    const state = structuredClone(this.state);
+    const sender = ethers.utils.getAddress(from || ethers.constants.AddressZero);
+    const events = [];
+
+    const move = (fromAddress, toAddress, amount) => {
+      const available = state.balances[key(fromAddress)] || 0n;
+      check(available >= amount, '');
+      state.balances[key(fromAddress)] = available - amount;
+      state.balances[key(toAddress)] = (state.balances[key(toAddress)] || 0n) + amount;
+    };
+
+    // Like a node, refuse to run a call whose value the sender cannot pay
+    if (this.getBalance(sender) < value) {
+      throw insufficientFunds();
+    }
+
+    // Deployment: only SimpleStorage's bytecode can be deployed, and its constructor is not payable
+    if (!to) {
+      check(data.toLowerCase() === this.bytecode.toLowerCase() && value === 0n, '');
+      const contractAddress = ethers.utils.getContractAddress({ from: sender, nonce: this.getNonce(sender) });
+      state.contracts[key(contractAddress)] = createContractState(sender);
+      events.push(...constructorEvents(contractAddress, sender));
+      return { output: CONTRACT_CODE, events, state, contractAddress };
+    }
+
+    if (value > 0n) {
+      move(sender, to, value);
+    }
+
+    // Batched reads
+    if (to && key(to) === key(MULTICALL3_ADDRESS) && data.startsWith(multicallInterface.getSighash('aggregate3'))) {
+      return { output: this.aggregate3(data, timestamp), events, state };
+    }
+
+    // Plain transfer to an account
+    const isToken = this.isToken(to);
+    if (!this.isContract(to) && !isToken) {
+      return { output: '0x', events, state };
+    }
+
+    const targetInterface = isToken ? tokenInterface : this.contractInterface;
+    let fragment;
+    let args;
+    try {
+      fragment = targetInterface.getFunction(data.slice(0, 10));
+      args = targetInterface.decodeFunctionData(fragment, data);
+    } catch {
+      // No matching function and no fallback: revert without a reason
+      throw new SandboxRevert();
+    }
+
+    // Non-payable functions reject ETH
+    check(fragment.payable || value === 0n, '');
+
+    // Context of a call to 'address'; logs keep the interface that encodes them
+    const contextFor = (address, caller, callValue) => ({
+      sender: caller,
+      value: callValue,
+      timestamp,
+      chainId: this.chainId,
+      address,
+      balance: () => state.balances[key(address)] || 0n,
+      send: (recipient, amount) => {
+        move(address, recipient, amount);
+        events.push({ address, name: 'Withdrawn', values: [recipient, amount], abi: this.contractInterface });
+      },
+      emit: (name, values) => events.push({
+        address,
+        name,
+        values,
+        abi: state.tokens[key(address)] ? tokenInterface : this.contractInterface,
+      }),
+      hasCode: (target) => this.getCode(target) !== '0x',
+      // Call a test token from this address; other contracts have no ERC-20 functions and revert without a reason
+      callToken: (token, method, callArgs) => {
+        check(state.tokens[key(token)], '');
+        const tokenContext = contextFor(ethers.utils.getAddress(token), address, 0n);
+        return ERC20_TOKEN[method](state.tokens[key(token)], tokenContext, callArgs.map((arg) => (
+          typeof arg === 'bigint' ? ethers.BigNumber.from(arg.toString()) : arg
+        )));
+      },
+    });
+
+    const address = ethers.utils.getAddress(to);
+    const ctx = contextFor(address, sender, value);
+    const outputs = isToken
+      ? ERC20_TOKEN[fragment.name](state.tokens[key(address)], ctx, args)
+      : SIMPLE_STORAGE[fragment.name](state.contracts[key(address)], ctx, args);
+    const output = targetInterface.encodeFunctionResult(
+      fragment,
+      outputs.map((output) => (typeof output === 'bigint' ? output.toString() : output))
+    );
+    return { output, events, state };
+  }
+
+  // Call
+  // This function runs a call without changing the state (eth_call) and returns the encoded output.
+  call(transaction) {
+    return this.execute(transaction, this.latestBlock().timestamp).output;
+  }
+
+  // Estimate gas
+  // This function checks that the transaction would succeed and returns a fixed gas estimate.
+  estimateGas(transaction) {
+    this.execute(transaction, this.latestBlock().timestamp);
+    return gasFor(transaction);
+  }
+
+  // Send transaction
+  // This function mines the transaction in a new block and returns its hash.
+  // A reverted transaction is mined with status 0 and still pays for its gas, as on a real chain.
+  sendTransaction(transaction) {
+    const from = ethers.utils.getAddress(transaction.from);
+    const gasLimit = transaction.gas !== undefined ? BigInt(transaction.gas) : gasFor(transaction);
+    const gasUsed = gasFor(transaction) === TRANSFER_GAS ? TRANSFER_GAS : gasFor(transaction) * 5n / 6n;
+    const gasPrice = transaction.maxFeePerGas !== undefined
+      ? BigInt(transaction.maxFeePerGas) < BASE_FEE_PER_GAS + BigInt(transaction.maxPriorityFeePerGas || 0)
+        ? BigInt(transaction.maxFeePerGas)
+        : BASE_FEE_PER_GAS + BigInt(transaction.maxPriorityFeePerGas || 0)
+      : transaction.gasPrice !== undefined
+        ? BigInt(transaction.gasPrice)
+        : BASE_FEE_PER_GAS + PRIORITY_FEE_PER_GAS;
+    const value = BigInt(transaction.value || 0);
+
+    // The sender must be able to pay the value and the maximum gas up front
+    if (this.getBalance(from) < value + gasLimit * gasPrice) {
+      throw insufficientFunds();
+    }
+
+    // Raw transactions keep the hash of their signed payload, wallet transactions get a new one
+    const hash = transaction.hash || this.nextHash('tx');
+    const nonce = this.getNonce(from);
+    const timestamp = this.nextTimestamp();
+
+    let status = 1;
+    let events = [];
+    let contractAddress = null;
+    try {
+      const result = this.execute({ ...transaction, from, value }, timestamp);
+      this.state = result.state;
+      events = result.events;
+      contractAddress = result.contractAddress || null;
+    } catch (error) {
+      if (!(error instanceof SandboxRevert)) throw error;
+      status = 0;
+    }
+
+    // Charge the gas actually used
+    this.state.balances[key(from)] = this.getBalance(from) - gasUsed * gasPrice;
+    this.nonces[key(from)] = nonce + 1;
+
+    const block = this.mineBlock([hash], timestamp);
+    block.gasUsed = gasUsed;
+
+    const logs = events.map((event, logIndex) => {
+      const eventInterface = event.abi || this.contractInterface;
+      const { data, topics } = eventInterface.encodeEventLog(
+        eventInterface.getEvent(event.name),
+        event.values.map((value) => (typeof value === 'bigint' ? value.toString() : value))
+      );
+      return {
+        address: event.address,
+        topics,
+        data,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        transactionHash: hash,
+        transactionIndex: 0,
+        logIndex,
+        removed: false,
+      };
+    });
+    this.logs.push(...logs);
+
+    this.transactions.set(hash, {
+      hash,
+      type: transaction.maxFeePerGas !== undefined ? 2 : 0,
+      from,
+      to: transaction.to ? ethers.utils.getAddress(transaction.to) : null,
+      nonce,
+      value,
+      data: transaction.data || '0x',
+      gasLimit,
+      gasPrice,
+      maxFeePerGas: transaction.maxFeePerGas !== undefined ? BigInt(transaction.maxFeePerGas) : null,
+      maxPriorityFeePerGas: transaction.maxPriorityFeePerGas !== undefined ? BigInt(transaction.maxPriorityFeePerGas) : null,
+      blockNumber: block.number,
+      blockHash: block.hash,
+    });
+    this.receipts.set(hash, { status, gasUsed, gasPrice, logs, contractAddress });
+
+    return hash;
+  }
+
+  // Get logs
+  // This function returns the logs matching an eth_getLogs filter (block range, address and topics).
+  // A range starting past the latest block matches nothing; one ending past it stops at the latest block.
+  getLogs({ fromBlock = 'earliest', toBlock = 'latest', address, topics = [], blockHash } = {}) {
+    const head = this.latestBlock().number;
+    const from = blockHash ? null : this.getBlockNumber(fromBlock);
+    const to = blockHash ? null : Math.min(this.getBlockNumber(toBlock), head);
+    if (from > head) return [];
+    const addresses = address ? [].concat(address).map(key) : null;
+
+    return this.logs.filter((log) => {
+      if (blockHash ? log.blockHash !== blockHash : log.blockNumber < from || log.blockNumber > to) return false;
+      if (addresses && !addresses.includes(key(log.address))) return false;
+      return topics.every((topic, index) => {
+        if (topic === null || topic === undefined) return true;
+        return [].concat(topic).map(key).includes(key(log.topics[index] || ''));
+      });
+    });
+  }
+}
@@ -0,0 +1,56 @@
+// Sandbox mode
+// When enabled (VITE_SANDBOX=true, or ?sandbox in the URL) an in-memory wallet is announced through EIP-6963
+// and the read-only providers read from the same simulated chains, so the DApp runs without a wallet or a node.
+import { CONTRACT_ABI, CONTRACT_BYTECODE } from '../contract/config';
+import { DEFAULT_CHAIN_ID, getSupportedNetworks } from '../contract/networks';
+import { SandboxProvider } from './provider';
+
+export { SANDBOX_RELAYER_PRIVATE_KEY } from './provider';
+export { SANDBOX_TOKEN } from './chain';
+
+// EIP-6963 info of the sandbox wallet
+const SANDBOX_WALLET_INFO = {
+  uuid: 'b8a3c6f4-5d1e-4f0a-9c2b-7e6d5a4b3c21',
+  name: 'Sandbox Wallet',
+  icon: `data:image/svg+xml,${encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="6" fill="#f5a623"/>' +
+    '<text x="16" y="22" font-size="16" text-anchor="middle" fill="#fff" font-family="sans-serif">S</text></svg>'
+  )}`,
+  rdns: 'local.sandbox',
+};
+
+// Sandbox provider, created on first use
+let sandboxProvider = null;
+
+// Check sandbox mode
+// This function tells whether the DApp should run against the in-memory sandbox.
+export const isSandboxEnabled = () => {
+  if (import.meta.env.VITE_SANDBOX === 'true') return true;
+  return typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('sandbox');
+};
+
+// Get sandbox provider
+// This function returns the shared sandbox provider, so the wallet and the read-only views see the same chains.
+export const getSandboxProvider = () => {
+  if (!sandboxProvider) {
+    sandboxProvider = new SandboxProvider({
+      chainId: DEFAULT_CHAIN_ID,
+      networks: getSupportedNetworks().map(({ chainId, contractAddress }) => ({ chainId, contractAddress })),
+      contract: { abi: CONTRACT_ABI, bytecode: CONTRACT_BYTECODE },
+    });
+  }
+  return sandboxProvider;
+};
+
+// Announce sandbox wallet
+// This function announces the sandbox as an EIP-6963 wallet, now and whenever the DApp asks for wallets again.
+export const announceSandboxWallet = () => {
+  const announce = () => {
+    window.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+      detail: Object.freeze({ info: SANDBOX_WALLET_INFO, provider: getSandboxProvider() }),
+    }));
+  };
+
+  window.addEventListener('eip6963:requestProvider', announce);
+  announce();
+};
@@ -0,0 +1,404 @@
+// Sandbox provider
+// An in-memory EIP-1193 provider that behaves like a wallet connected to a chain where SimpleStorage is deployed.
+// It answers the JSON-RPC methods ethers.js needs for the DApp, holds a set of funded test accounts
+// (the first one deploys the contract and is its owner) and emits 'accountsChanged' and 'chainChanged'
+// like a real wallet, so the whole UI can be exercised without MetaMask, a node or test ETH.
+import { ethers } from 'ethers';
+import { toChainIdNumber, toHexChainId } from '../contract/chainIds';
+import {
+  SandboxChain,
+  SandboxRevert,
+  BASE_FEE_PER_GAS,
+  BLOCK_GAS_LIMIT,
+  PRIORITY_FEE_PER_GAS,
+  toQuantity
+} from './chain';
+
+// Private keys of the default Hardhat/Anvil test accounts (public, never use them on a real network)
+const TEST_PRIVATE_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+  '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6',
+];
+
+// Private key of the account that pays the gas of relayed transactions in the sandbox (Hardhat/Anvil account 4)
+export const SANDBOX_RELAYER_PRIVATE_KEY = '0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a';
+
+// Interval between the empty blocks mined in the background, so confirmations keep progressing
+const BLOCK_INTERVAL_MS = 5000;
+
+// Methods that need the wallet, rejected by the read-only views
+const WALLET_METHODS = [
+  'eth_requestAccounts',
+  'eth_sendTransaction',
+  'personal_sign',
+  'eth_signTypedData_v4',
+  'wallet_switchEthereumChain',
+  'wallet_addEthereumChain',
+];
+
+// Error returned to the caller, with an EIP-1193 / JSON-RPC code
+class ProviderRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+// Turn a contract revert into the JSON-RPC error nodes return (code 3 with the Error(string) payload)
+const toRevertError = (revert) => {
+  const data = revert.reason
+    ? ethers.utils.hexConcat(['0x08c379a0', ethers.utils.defaultAbiCoder.encode(['string'], [revert.reason])])
+    : '0x';
+  return new ProviderRpcError(3, revert.message, data);
+};
+
+// Parse the transaction object of eth_call, eth_estimateGas and eth_sendTransaction
+const parseTransaction = (transaction = {}) => ({
+  ...transaction,
+  value: BigInt(transaction.value || 0),
+  data: transaction.data || transaction.input || '0x',
+});
+
+// Format a block for eth_getBlockByNumber and eth_getBlockByHash
+const formatBlock = (chain, block, includeTransactions) => ({
+  number: toQuantity(block.number),
+  hash: block.hash,
+  parentHash: block.parentHash,
+  timestamp: toQuantity(block.timestamp),
+  nonce: '0x0000000000000000',
+  difficulty: '0x0',
+  gasLimit: toQuantity(BLOCK_GAS_LIMIT),
+  gasUsed: toQuantity(block.gasUsed),
+  baseFeePerGas: toQuantity(BASE_FEE_PER_GAS),
+  miner: ethers.constants.AddressZero,
+  extraData: '0x',
+  transactions: includeTransactions
+    ? block.transactions.map((hash) => formatTransaction(chain, chain.transactions.get(hash)))
+    : block.transactions,
+});
+
+// Format a transaction for eth_getTransactionByHash
+const formatTransaction = (chain, transaction) => ({
+  hash: transaction.hash,
+  type: toQuantity(transaction.type),
+  chainId: toQuantity(chain.chainId),
+  from: transaction.from,
+  to: transaction.to,
+  nonce: toQuantity(transaction.nonce),
+  value: toQuantity(transaction.value),
+  input: transaction.data,
+  gas: toQuantity(transaction.gasLimit),
+  gasPrice: toQuantity(transaction.gasPrice),
+  ...(transaction.maxFeePerGas !== null && {
+    maxFeePerGas: toQuantity(transaction.maxFeePerGas),
+    maxPriorityFeePerGas: toQuantity(transaction.maxPriorityFeePerGas),
+  }),
+  blockNumber: toQuantity(transaction.blockNumber),
+  blockHash: transaction.blockHash,
+  transactionIndex: '0x0',
+});
+
+// Format a log for eth_getLogs and receipts
+const formatLog = (log) => ({
+  ...log,
+  blockNumber: toQuantity(log.blockNumber),
+  transactionIndex: toQuantity(log.transactionIndex),
+  logIndex: toQuantity(log.logIndex),
+});
+
+// Format a receipt for eth_getTransactionReceipt
+const formatReceipt = (chain, transaction, receipt) => ({
+  transactionHash: transaction.hash,
+  transactionIndex: '0x0',
+  blockNumber: toQuantity(transaction.blockNumber),
+  blockHash: transaction.blockHash,
+  from: transaction.from,
+  to: transaction.to,
+  contractAddress: receipt.contractAddress,
+  type: toQuantity(transaction.type),
+  status: toQuantity(receipt.status),
+  gasUsed: toQuantity(receipt.gasUsed),
+  cumulativeGasUsed: toQuantity(receipt.gasUsed),
+  effectiveGasPrice: toQuantity(receipt.gasPrice),
+  logsBloom: `0x${'0'.repeat(512)}`,
+  logs: receipt.logs.map(formatLog),
+});
+
+// Sandbox provider
+// Chains are created on first use, one per network in 'networks' ([{ chainId, contractAddress }], where
+// SimpleStorage exists from the start), and keep their state until the page reloads. 'contract' is the compiled
+// SimpleStorage artifact { abi, bytecode } the chains run. Both are passed in rather than read from the build
+// configuration, so the sandbox also runs outside Vite (e.g. in tests).
+export class SandboxProvider {
+  constructor({ chainId, networks, contract, blockInterval = BLOCK_INTERVAL_MS }) {
+    this.isSandbox = true;
+    this.wallets = TEST_PRIVATE_KEYS.map((privateKey) => new ethers.Wallet(privateKey));
+    this.accountIndex = 0;
+    this.authorized = false;
+    this.contract = contract;
+    this.contractAddresses = new Map(networks.map((network) => [network.chainId, network.contractAddress]));
+    this.knownChains = new Set(this.contractAddresses.keys());
+    this.chainId = this.knownChains.has(toChainIdNumber(chainId)) ? toChainIdNumber(chainId) : [...this.knownChains][0];
+    this.chains = new Map();
+    this.listeners = new Map();
+
+    // Keep the chain moving like a real network
+    if (blockInterval > 0) {
+      this.blockTimer = setInterval(() => this.mineBlock(), blockInterval);
+    }
+  }
+
+  // Get the test accounts with their index
+  getAccounts() {
+    return this.wallets.map((wallet, index) => ({ index, address: wallet.address }));
+  }
+
+  // Get the address of the current account
+  getAddress() {
+    return this.wallets[this.accountIndex].address;
+  }
+
+  // Get the wallet of the current account, checking that it is the one a signature or transaction is requested from
+  getSigner(address) {
+    if (!this.authorized || !address || address.toLowerCase() !== this.getAddress().toLowerCase()) {
+      throw new ProviderRpcError(4100, 'The requested account has not been authorized by the user.');
+    }
+    return this.wallets[this.accountIndex];
+  }
+
+  // Get the simulated chain for a chain ID (the current one by default)
+  getChain(chainId = this.chainId) {
+    if (!this.chains.has(chainId)) {
+      this.chains.set(chainId, new SandboxChain(
+        chainId,
+        this.contractAddresses.get(chainId) || null,
+        [...this.wallets.map((wallet) => wallet.address), new ethers.Wallet(SANDBOX_RELAYER_PRIVATE_KEY).address],
+        this.contract
+      ));
+    }
+    return this.chains.get(chainId);
+  }
+
+  // Switch account
+  // This function makes another test account the current one and notifies the DApp, as a wallet would.
+  setAccount(index) {
+    if (!this.wallets[index] || index === this.accountIndex) return;
+    this.accountIndex = index;
+    if (this.authorized) {
+      this.emit('accountsChanged', [this.getAddress()]);
+    }
+  }
+
+  // Mine block
+  // This function mines an empty block on the current chain, moving pending confirmations forward.
+  mineBlock() {
+    this.getChain().mineBlock([]);
+  }
+
+  // Stop mining blocks in the background
+  destroy() {
+    clearInterval(this.blockTimer);
+  }
+
+  // Read-only view
+  // This function returns an EIP-1193 provider that reads a given chain without requiring a connection,
+  // used in place of a public RPC while the sandbox is enabled. Wallet requests are rejected, but signed raw
+  // transactions are accepted, as a node would.
+  readOnly(chainId) {
+    return {
+      isSandbox: true,
+      request: ({ method, params = [] }) => {
+        if (WALLET_METHODS.includes(method)) {
+          return Promise.reject(new ProviderRpcError(4200, `Method not supported by a read-only provider: ${method}`));
+        }
+        if (method === 'eth_accounts') return Promise.resolve([]);
+        return this.handleRead(toChainIdNumber(chainId), method, params);
+      },
+    };
+  }
+
+  // Subscribe to a provider event ('accountsChanged', 'chainChanged', 'connect', 'disconnect')
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  // Unsubscribe from a provider event
+  removeListener(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) listeners.delete(listener);
+    return this;
+  }
+
+  // Notify the listeners of an event
+  emit(event, ...args) {
+    for (const listener of [...(this.listeners.get(event) || [])]) {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Sandbox ${event} listener error:`, error);
+      }
+    }
+  }
+
+  // EIP-1193 request
+  // Errors are rejected with EIP-1193 / JSON-RPC codes, so they go through the same decoding as a real wallet's.
+  async request({ method, params = [] }) {
+    switch (method) {
+      case 'eth_requestAccounts':
+        if (!this.authorized) {
+          this.authorized = true;
+          this.emit('connect', { chainId: toHexChainId(this.chainId) });
+        }
+        return [this.getAddress()];
+
+      case 'eth_accounts':
+        return this.authorized ? [this.getAddress()] : [];
+
+      case 'wallet_switchEthereumChain': {
+        const chainId = toChainIdNumber(params[0] && params[0].chainId);
+        if (!this.knownChains.has(chainId)) {
+          throw new ProviderRpcError(4902, `Unrecognized chain ID ${params[0] && params[0].chainId}. Try adding the chain using wallet_addEthereumChain first.`);
+        }
+        if (chainId !== this.chainId) {
+          this.chainId = chainId;
+          this.emit('chainChanged', toHexChainId(chainId));
+        }
+        return null;
+      }
+
+      case 'wallet_addEthereumChain': {
+        const chainId = toChainIdNumber(params[0] && params[0].chainId);
+        if (!chainId) {
+          throw new ProviderRpcError(-32602, 'Invalid chain ID');
+        }
+        this.knownChains.add(chainId);
+        return null;
+      }
+
+      case 'eth_sendTransaction': {
+        const transaction = parseTransaction(params[0]);
+        this.getSigner(transaction.from);
+        return this.getChain().sendTransaction(transaction);
+      }
+
+      case 'personal_sign': {
+        // personal_sign takes [message, address]; some callers send them the other way around
+        const [first, second] = params;
+        const [data, address] = ethers.utils.isAddress(first) && !ethers.utils.isAddress(second) ? [second, first] : [first, second];
+        return this.getSigner(address).signMessage(ethers.utils.isHexString(data) ? ethers.utils.arrayify(data) : data);
+      }
+
+      case 'eth_signTypedData_v4': {
+        // eth_signTypedData_v4 takes [address, typed data as JSON]
+        const { domain, types, message } = typeof params[1] === 'string' ? JSON.parse(params[1]) : params[1];
+        const { EIP712Domain: _domainType, ...messageTypes } = types;
+        return this.getSigner(params[0])._signTypedData(domain, messageTypes, message);
+      }
+
+      default:
+        return this.handleRead(this.chainId, method, params);
+    }
+  }
+
+  // Handle a node JSON-RPC method on a chain (anything that does not need the wallet's accounts)
+  async handleRead(chainId, method, params) {
+    const chain = this.getChain(chainId);
+
+    switch (method) {
+      case 'eth_chainId':
+        return toHexChainId(chainId);
+
+      case 'net_version':
+        return String(chainId);
+
+      case 'eth_blockNumber':
+        return toQuantity(chain.latestBlock().number);
+
+      case 'eth_getBlockByNumber': {
+        const block = chain.getBlock(params[0]);
+        return block ? formatBlock(chain, block, Boolean(params[1])) : null;
+      }
+
+      case 'eth_getBlockByHash': {
+        const block = chain.blocks.find((current) => current.hash === params[0]);
+        return block ? formatBlock(chain, block, Boolean(params[1])) : null;
+      }
+
+      case 'eth_getBalance':
+        return toQuantity(chain.getBalance(params[0]));
+
+      case 'eth_getTransactionCount':
+        return toQuantity(chain.getNonce(params[0]));
+
+      case 'eth_getCode':
+        return chain.getCode(params[0]);
+
+      case 'eth_gasPrice':
+        return toQuantity(BASE_FEE_PER_GAS + PRIORITY_FEE_PER_GAS);
+
+      case 'eth_maxPriorityFeePerGas':
+        return toQuantity(PRIORITY_FEE_PER_GAS);
+
+      case 'eth_call':
+        try {
+          return chain.call(parseTransaction(params[0]));
+        } catch (error) {
+          if (error instanceof SandboxRevert) throw toRevertError(error);
+          throw error;
+        }
+
+      case 'eth_estimateGas':
+        try {
+          return toQuantity(chain.estimateGas(parseTransaction(params[0])));
+        } catch (error) {
+          if (error instanceof SandboxRevert) throw toRevertError(error);
+          throw error;
+        }
+
+      case 'eth_sendRawTransaction': {
+        const transaction = ethers.utils.parseTransaction(params[0]);
+        if (transaction.chainId !== chainId) {
+          throw new ProviderRpcError(-32000, 'invalid chain id for signer');
+        }
+        if (transaction.nonce !== chain.getNonce(transaction.from)) {
+          throw new ProviderRpcError(-32000, transaction.nonce < chain.getNonce(transaction.from) ? 'nonce too low' : 'nonce too high');
+        }
+        return chain.sendTransaction({
+          hash: transaction.hash,
+          from: transaction.from,
+          to: transaction.to,
+          data: transaction.data,
+          value: transaction.value.toHexString(),
+          gas: transaction.gasLimit.toHexString(),
+          ...(transaction.type === 2
+            ? {
+              maxFeePerGas: transaction.maxFeePerGas.toHexString(),
+              maxPriorityFeePerGas: transaction.maxPriorityFeePerGas.toHexString(),
+            }
+            : { gasPrice: transaction.gasPrice.toHexString() }),
+        });
+      }
+
+      case 'eth_getTransactionByHash': {
+        const transaction = chain.transactions.get(params[0]);
+        return transaction ? formatTransaction(chain, transaction) : null;
+      }
+
+      case 'eth_getTransactionReceipt': {
+        const transaction = chain.transactions.get(params[0]);
+        return transaction ? formatReceipt(chain, transaction, chain.receipts.get(params[0])) : null;
+      }
+
+      case 'eth_getLogs':
+        return chain.getLogs(params[0]).map(formatLog);
+
+      default:
+        throw new ProviderRpcError(4200, `The sandbox does not support the method ${method}`);
+    }
+  }
+}
@@ -0,0 +1,129 @@
+// Sandbox provider tests
+// These tests drive the in-memory wallet and chain through their EIP-1193 interface with ethers.js, as the DApp does,
+// against the SimpleStorage artifact compiled from the contract source.
+import { fileURLToPath } from 'node:url';
+import { ethers } from 'ethers';
+import { afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { compileSolidity } from '../../plugins/solidity';
+import { ERC20_ABI } from '../contract/erc20';
+import { SANDBOX_TOKEN } from './chain';
+import { SandboxProvider } from './provider';
+
+const CHAIN_ID = 31337;
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+describe('SandboxProvider', () => {
+  let contract; // Compiled SimpleStorage artifact
+  let sandbox;
+  let provider;
+
+  beforeAll(() => {
+    const { contracts } = compileSolidity(fileURLToPath(new URL('../contract/SimpleStorage.sol', import.meta.url)));
+    contract = contracts.SimpleStorage;
+  });
+
+  beforeEach(() => {
+    sandbox = new SandboxProvider({
+      chainId: CHAIN_ID,
+      networks: [{ chainId: CHAIN_ID, contractAddress: CONTRACT_ADDRESS }],
+      contract,
+      blockInterval: 0,
+    });
+    provider = new ethers.providers.Web3Provider(sandbox);
+  });
+
+  afterEach(() => {
+    sandbox.destroy();
+  });
+
+  // Connect and get the SimpleStorage contract for the connected account
+  const connect = async () => {
+    await provider.send('eth_requestAccounts', []);
+    return new ethers.Contract(CONTRACT_ADDRESS, contract.abi, provider.getSigner());
+  };
+
+  it('connects the first test account on the configured chain', async () => {
+    const [address] = await provider.send('eth_requestAccounts', []);
+
+    expect(address).toBe(sandbox.getAccounts()[0].address);
+    expect(await provider.send('eth_chainId', [])).toBe('0x7a69');
+    expect((await provider.getBalance(address)).gt(0)).toBe(true);
+  });
+
+  it('rejects transactions before the account is connected', async () => {
+    const [{ address }] = sandbox.getAccounts();
+
+    await expect(sandbox.request({
+      method: 'eth_sendTransaction',
+      params: [{ from: address, to: address, value: '0x0' }],
+    })).rejects.toMatchObject({ code: 4100 });
+  });
+
+  it('deposits ETH and credits the depositor', async () => {
+    const storage = await connect();
+    const address = await provider.getSigner().getAddress();
+
+    const tx = await storage.deposit({ value: ethers.utils.parseEther('1.5') });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toBe(1);
+    expect(ethers.utils.formatEther(await storage.depositOf(address))).toBe('1.5');
+    expect(ethers.utils.formatEther(await storage.getBalance())).toBe('1.5');
+    const [event] = receipt.logs.map((log) => storage.interface.parseLog(log));
+    expect(event.name).toBe('Deposited');
+    expect(event.args.from).toBe(address);
+  });
+
+  it('stores a message and emits MessageStored', async () => {
+    const storage = await connect();
+
+    const receipt = await (await storage.storeMessage('Hello sandbox')).wait();
+
+    expect(await storage.getMessage()).toBe('Hello sandbox');
+    expect((await storage.messageCount()).toNumber()).toBe(1);
+    const logs = await provider.getLogs({ address: CONTRACT_ADDRESS, topics: [storage.interface.getEventTopic('MessageStored')] });
+    expect(logs.map((log) => log.transactionHash)).toEqual([receipt.transactionHash]);
+  });
+
+  it('reverts with the contract reason', async () => {
+    const storage = await connect();
+
+    await expect(storage.callStatic.withdrawDeposit(ethers.utils.parseEther('1')))
+      .rejects.toMatchObject({ reason: 'Saldo insuficiente' });
+    await expect(storage.withdrawDeposit(ethers.utils.parseEther('1'))).rejects.toThrow(/Saldo insuficiente/);
+  });
+
+  it('withdraws deposited tokens only through an executed treasury proposal', async () => {
+    const storage = await connect();
+    const token = new ethers.Contract(SANDBOX_TOKEN.address, ERC20_ABI, provider.getSigner());
+    const [, recipient] = sandbox.getAccounts().map((account) => account.address);
+    const amount = ethers.utils.parseUnits('25', SANDBOX_TOKEN.decimals);
+    const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+
+    await (await token.approve(CONTRACT_ADDRESS, amount)).wait();
+    await (await storage.depositToken(SANDBOX_TOKEN.address, amount)).wait();
+    await (await storage.proposeTokenWithdrawal(SANDBOX_TOKEN.address, recipient, amount, expiresAt)).wait();
+    const proposal = await storage.getProposal(0);
+    expect(proposal.token).toBe(SANDBOX_TOKEN.address);
+    expect((await storage.tokenBalances(SANDBOX_TOKEN.address)).eq(amount)).toBe(true);
+
+    const before = await token.balanceOf(recipient);
+    const receipt = await (await storage.executeProposal(0)).wait();
+
+    expect((await token.balanceOf(recipient)).sub(before).eq(amount)).toBe(true);
+    expect((await storage.tokenBalances(SANDBOX_TOKEN.address)).isZero()).toBe(true);
+    const names = receipt.logs
+      .filter((log) => log.address === CONTRACT_ADDRESS)
+      .map((log) => storage.interface.parseLog(log).name);
+    expect(names).toEqual(['ProposalExecuted', 'TokenWithdrawn']);
+  });
+
+  it('returns no logs for a range starting past the latest block', async () => {
+    const storage = await connect();
+    await (await storage.storeMessage('Hello sandbox')).wait();
+    const head = await provider.getBlockNumber();
+
+    expect(await provider.getLogs({ address: CONTRACT_ADDRESS, fromBlock: head + 1, toBlock: head + 10 })).toEqual([]);
+    expect(await provider.getLogs({ address: CONTRACT_ADDRESS, fromBlock: head, toBlock: head + 10 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,195 @@
+// ABI helpers
+// Parse form inputs into the values a Solidity parameter expects, and format decoded values for display.
+// They work from ethers' ParamType, so any function of the ABI can be called without hand-written code.
+import { ethers } from 'ethers';
+
+// Invalid input
+// Raised by parseInputs. Like DAppError, it carries the catalogue key of its message and the values to fill in,
+// so the console shows it in the user's language.
+export class InvalidInputError extends Error {
+  constructor(message, messageKey, messageParams = {}) {
+    super(message);
+    this.name = 'InvalidInputError';
+    this.messageKey = messageKey;
+    this.messageParams = messageParams;
+  }
+}
+
+// The catalogue entry of an invalid input error, to nest it in another one (other errors keep their text)
+const reasonOf = (error) => (error.messageKey ? { key: error.messageKey, params: error.messageParams } : error.message);
+
+// Example JSON value of an array or tuple parameter
+const exampleFor = (param) => {
+  if (param.baseType === 'array') {
+    const length = param.arrayLength > 0 ? param.arrayLength : 2;
+    return `[${Array(length).fill(exampleFor(param.arrayChildren)).join(', ')}]`;
+  }
+  if (param.baseType === 'tuple') return `[${param.components.map(exampleFor).join(', ')}]`;
+  if (param.type === 'address') return '"0x..."';
+  if (param.type === 'bool') return 'true';
+  if (param.type.startsWith('bytes')) return '"0x..."';
+  if (param.type === 'string') return '"text"';
+  return '1';
+};
+
+// Placeholder shown in the input of a parameter, as a hint of the expected format
+// Returns the type itself, or a { key, params } catalogue entry for the formats that need explaining.
+export const getInputPlaceholder = (param) => {
+  if (param.baseType === 'array' || param.baseType === 'tuple') {
+    return { key: 'abi.placeholders.json', params: { type: param.type, example: exampleFor(param) } };
+  }
+  if (param.type === 'bool') return { key: 'abi.placeholders.bool' };
+  return param.type;
+};
+
+// Parse integer
+// uint<N> and int<N> accept decimal or 0x-prefixed hex and must fit in N bits.
+const parseInteger = (param, raw) => {
+  const text = String(raw).trim();
+  if (!/^-?(\d+|0x[0-9a-fA-F]+)$/.test(text)) {
+    throw new InvalidInputError(`${param.type} expects a whole number`, 'abi.errors.wholeNumber', { type: param.type });
+  }
+  const value = text.startsWith('-') ? ethers.BigNumber.from(text.slice(1)).mul(-1) : ethers.BigNumber.from(text);
+
+  const bits = Number(param.type.replace(/^u?int/, '') || 256);
+  const unsigned = param.type.startsWith('uint');
+  const max = ethers.BigNumber.from(2).pow(unsigned ? bits : bits - 1);
+  const min = unsigned ? ethers.constants.Zero : max.mul(-1);
+  if (value.lt(min) || value.gte(max)) {
+    throw new InvalidInputError(`${text} is out of range for ${param.type}`, 'abi.errors.outOfRange', { value: text, type: param.type });
+  }
+  return value;
+};
+
+// Parse a decoded JSON element or a raw input string into the value of 'param'
+const parseParam = (param, raw) => {
+  if (param.baseType === 'array' || param.baseType === 'tuple') {
+    let value = raw;
+    if (typeof raw === 'string') {
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        throw new InvalidInputError(`${param.type} expects a JSON array, e.g. ${exampleFor(param)}`, 'abi.errors.jsonArray', {
+          type: param.type,
+          example: exampleFor(param),
+        });
+      }
+    }
+
+    if (param.baseType === 'tuple') {
+      // Tuples accept an array in component order, or an object keyed by component name
+      if (typeof value !== 'object' || value === null) {
+        throw new InvalidInputError(`${param.type} expects a JSON array or object`, 'abi.errors.jsonArrayOrObject', { type: param.type });
+      }
+      const items = Array.isArray(value) ? value : param.components.map((component) => value[component.name]);
+      if (items.length !== param.components.length) {
+        throw new InvalidInputError(`${param.type} expects ${param.components.length} values`, 'abi.errors.valueCount', {
+          type: param.type,
+          count: param.components.length,
+        });
+      }
+      return param.components.map((component, index) => parseParam(component, items[index]));
+    }
+
+    if (!Array.isArray(value)) {
+      throw new InvalidInputError(`${param.type} expects a JSON array, e.g. ${exampleFor(param)}`, 'abi.errors.jsonArray', {
+        type: param.type,
+        example: exampleFor(param),
+      });
+    }
+    if (param.arrayLength >= 0 && value.length !== param.arrayLength) {
+      throw new InvalidInputError(`${param.type} expects exactly ${param.arrayLength} elements`, 'abi.errors.elementCount', {
+        type: param.type,
+        count: param.arrayLength,
+      });
+    }
+    return value.map((item, index) => {
+      try {
+        return parseParam(param.arrayChildren, item);
+      } catch (error) {
+        throw new InvalidInputError(`Element ${index}: ${error.message}`, 'abi.errors.element', { index, reason: reasonOf(error) });
+      }
+    });
+  }
+
+  if (param.type === 'address') {
+    const text = String(raw ?? '').trim();
+    if (!ethers.utils.isAddress(text)) {
+      throw new InvalidInputError(`"${text}" is not a valid address`, 'abi.errors.address', { value: text });
+    }
+    return ethers.utils.getAddress(text);
+  }
+
+  if (param.type === 'bool') {
+    if (raw === true || raw === false) return raw;
+    const text = String(raw ?? '').trim().toLowerCase();
+    if (text !== 'true' && text !== 'false') throw new InvalidInputError('bool expects true or false', 'abi.errors.bool');
+    return text === 'true';
+  }
+
+  if (param.type === 'string') {
+    return String(raw ?? '');
+  }
+
+  if (param.type.startsWith('bytes')) {
+    const text = String(raw ?? '').trim();
+    if (!ethers.utils.isHexString(text) || text.length % 2 !== 0) {
+      throw new InvalidInputError(`${param.type} expects 0x-prefixed hex bytes`, 'abi.errors.hexBytes', { type: param.type });
+    }
+    const size = Number(param.type.slice(5));
+    if (size && ethers.utils.hexDataLength(text) !== size) {
+      throw new InvalidInputError(`${param.type} expects exactly ${size} bytes`, 'abi.errors.byteCount', { type: param.type, count: size });
+    }
+    return text;
+  }
+
+  if (/^u?int\d*$/.test(param.type)) {
+    return parseInteger(param, raw);
+  }
+
+  throw new InvalidInputError(`Unsupported type: ${param.type}`, 'abi.errors.unsupported', { type: param.type });
+};
+
+// Parse inputs
+// This function validates the raw form inputs of a function against its parameter types
+// and returns the arguments to call it with. Throws an InvalidInputError naming the first invalid parameter.
+export const parseInputs = (params, rawInputs) => {
+  return params.map((param, index) => {
+    try {
+      return parseParam(param, rawInputs[index] ?? '');
+    } catch (error) {
+      throw new InvalidInputError(`${param.name || `Argument ${index + 1}`}: ${error.message}`, 'abi.errors.argument', {
+        name: param.name || { key: 'abi.argument', params: { number: index + 1 } },
+        reason: reasonOf(error),
+      });
+    }
+  });
+};
+
+// Format value
+// This function turns a decoded value into plain JSON-friendly data: numbers as decimal strings,
+// tuples as objects keyed by component name (or arrays when unnamed).
+export const formatValue = (param, value) => {
+  if (param.baseType === 'array') {
+    return value.map((item) => formatValue(param.arrayChildren, item));
+  }
+  if (param.baseType === 'tuple') {
+    const named = param.components.every((component) => component.name);
+    const items = param.components.map((component, index) => formatValue(component, value[index]));
+    return named ? Object.fromEntries(param.components.map((component, index) => [component.name, items[index]])) : items;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return value;
+};
+
+// Format outputs
+// This function pairs the decoded outputs of a call with their names (or positions) for display.
+export const formatOutputs = (params, result) => {
+  return params.map((param, index) => ({
+    name: param.name || `${index}`,
+    type: param.type,
+    value: formatValue(param, result[index]),
+  }));
+};
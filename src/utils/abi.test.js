@@ -0,0 +1,119 @@
+// ABI helper tests
+// These tests parse console inputs against the parameter types of ethers fragments, valid and invalid, and check
+// the catalogue entries of the errors, including the ones nested for array elements and arguments.
+import { ethers } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import { InvalidInputError, formatOutputs, getInputPlaceholder, parseInputs } from './abi';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// Parameters of a function signature
+const paramsOf = (signature) => ethers.utils.Fragment.from(`function ${signature}`).inputs;
+
+// Return the error parsing 'rawInputs' against 'signature' throws
+const parseError = (signature, rawInputs) => {
+  try {
+    parseInputs(paramsOf(signature), rawInputs);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected ${JSON.stringify(rawInputs)} to be rejected`);
+};
+
+describe('parseInputs', () => {
+  it('parses every supported type', () => {
+    const args = parseInputs(
+      paramsOf('call(uint8 small, int16 delta, address to, bool flag, bytes4 selector, bytes data, string note)'),
+      ['0xff', ' -300 ', ADDRESS.toLowerCase(), 'TRUE', '0x12345678', '0x', 'hello']
+    );
+
+    expect(args[0].toNumber()).toBe(255);
+    expect(args[1].toNumber()).toBe(-300);
+    expect(args.slice(2)).toEqual([ADDRESS, true, '0x12345678', '0x', 'hello']);
+  });
+
+  it('parses arrays and tuples from JSON, tuples also by component name', () => {
+    const [pair, items] = parseInputs(
+      paramsOf('call(uint256[2] pair, tuple(address to, uint256 amount)[] items)'),
+      ['[1, "0x2"]', `[["${ADDRESS}", 5], {"to": "${ADDRESS}", "amount": "6"}]`]
+    );
+
+    expect(pair.map(String)).toEqual(['1', '2']);
+    expect(items.map(([to, amount]) => [to, amount.toString()])).toEqual([[ADDRESS, '5'], [ADDRESS, '6']]);
+  });
+
+  it('rejects integers out of the range of their type', () => {
+    expect(parseError('call(uint8 small)', ['256']).messageParams.reason).toMatchObject({ key: 'abi.errors.outOfRange' });
+    expect(parseError('call(uint256 amount)', ['-1']).messageParams.reason).toMatchObject({ key: 'abi.errors.outOfRange' });
+    expect(parseError('call(int8 delta)', ['-129']).messageParams.reason).toMatchObject({ key: 'abi.errors.outOfRange' });
+    expect(parseInputs(paramsOf('call(int8 delta)'), ['-128'])[0].toNumber()).toBe(-128);
+  });
+
+  it('rejects numbers that are not whole', () => {
+    ['1.5', '1e18', '', '0xzz'].forEach((raw) => {
+      expect(parseError('call(uint256 amount)', [raw]).messageParams.reason).toMatchObject({ key: 'abi.errors.wholeNumber' });
+    });
+  });
+
+  it('names the invalid argument, or its position when it has no name', () => {
+    const named = parseError('call(address to)', ['0x1234']);
+    const unnamed = parseError('call(uint256, bool)', ['1', 'yes']);
+
+    expect(named).toBeInstanceOf(InvalidInputError);
+    expect(named.message).toBe('to: "0x1234" is not a valid address');
+    expect(named).toMatchObject({
+      messageKey: 'abi.errors.argument',
+      messageParams: { name: 'to', reason: { key: 'abi.errors.address', params: { value: '0x1234' } } },
+    });
+    expect(unnamed.messageParams).toMatchObject({
+      name: { key: 'abi.argument', params: { number: 2 } },
+      reason: { key: 'abi.errors.bool' },
+    });
+  });
+
+  it('nests the error of an invalid array element', () => {
+    const error = parseError('call(address[] recipients)', [`["${ADDRESS}", "nope"]`]);
+
+    expect(error.message).toBe('recipients: Element 1: "nope" is not a valid address');
+    expect(error.messageParams.reason).toEqual({
+      key: 'abi.errors.element',
+      params: { index: 1, reason: { key: 'abi.errors.address', params: { value: 'nope' } } },
+    });
+  });
+
+  it('rejects malformed JSON, wrong lengths and wrong byte sizes', () => {
+    const reasonKey = (signature, raw) => parseError(signature, [raw]).messageParams.reason.key;
+
+    expect(reasonKey('call(uint256[] values)', '[1, 2')).toBe('abi.errors.jsonArray');
+    expect(reasonKey('call(uint256[] values)', '{"a": 1}')).toBe('abi.errors.jsonArray');
+    expect(reasonKey('call(uint256[2] pair)', '[1]')).toBe('abi.errors.elementCount');
+    expect(reasonKey('call(tuple(address to, uint256 amount) item)', '[1]')).toBe('abi.errors.valueCount');
+    expect(reasonKey('call(tuple(address to, uint256 amount) item)', '5')).toBe('abi.errors.jsonArrayOrObject');
+    expect(reasonKey('call(bytes4 selector)', '0x1234')).toBe('abi.errors.byteCount');
+    expect(reasonKey('call(bytes data)', '0x123')).toBe('abi.errors.hexBytes');
+  });
+});
+
+describe('getInputPlaceholder', () => {
+  it('gives an example for JSON parameters and the type for the others', () => {
+    const [amount, pair, flag] = paramsOf('call(uint256 amount, address[2] pair, bool flag)');
+
+    expect(getInputPlaceholder(amount)).toBe('uint256');
+    expect(getInputPlaceholder(pair)).toEqual({ key: 'abi.placeholders.json', params: { type: 'address[2]', example: '["0x...", "0x..."]' } });
+    expect(getInputPlaceholder(flag)).toEqual({ key: 'abi.placeholders.bool' });
+  });
+});
+
+describe('formatOutputs', () => {
+  it('formats numbers as strings and named tuples as objects', () => {
+    const outputs = ethers.utils.Fragment.from(
+      'function get() returns (uint256, tuple(address to, uint256 amount) item, uint8[] sizes)'
+    ).outputs;
+
+    expect(formatOutputs(outputs, [ethers.BigNumber.from(7), [ADDRESS, ethers.BigNumber.from(3)], [1, 2]])).toEqual([
+      { name: '0', type: 'uint256', value: '7' },
+      { name: 'item', type: 'tuple', value: { to: ADDRESS, amount: '3' } },
+      { name: 'sizes', type: 'uint8[]', value: [1, 2] },
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+// Contract cache
+// The last values read from each contract and the history records of the blocks already scanned are kept in
+// IndexedDB, keyed by chain ID and contract address. A reload shows them right away, marked as stale, while the chain
+// is read again, and a later history scan only requests the blocks mined since the last one.
+// Without IndexedDB (e.g. some private browsing modes) nothing is cached and every read goes to the chain.
+import { isSandboxEnabled } from '../sandbox';
+
+// Number of blocks below the head that a reorg may still replace; their hashes are kept to detect it
+// (VITE_CACHE_REORG_DEPTH, 12 by default)
+export const CACHE_REORG_DEPTH = Number(import.meta.env.VITE_CACHE_REORG_DEPTH) || 12;
+
+// Database version, raised whenever the stores change
+const DATABASE_VERSION = 1;
+
+// Store holding the last values read, keyed by contract and read name
+const READS_STORE = 'reads';
+
+// Store holding the scanned history of each contract
+const SCANS_STORE = 'scans';
+
+// Database connection, opened on first use (resolves with null without IndexedDB)
+let database = null;
+
+// Open the database
+// The sandbox chains only live as long as the page, so they get a database of their own instead of mixing with
+// the data of the real networks they share chain IDs with.
+const openDatabase = () => {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(isSandboxEnabled() ? 'eth-dapp-sandbox-cache' : 'eth-dapp-cache', DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(READS_STORE);
+        request.result.createObjectStore(SCANS_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('Contract cache unavailable:', error);
+      return null;
+    });
+  }
+  return database;
+};
+
+// Run one request against a store and resolve with its result (null without IndexedDB)
+const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const request = createRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Get the cache key of a contract on a chain
+const toContractKey = (chainId, contractAddress) => `${Number(chainId)}:${contractAddress.toLowerCase()}`;
+
+// Load cached read
+// This function returns the last value saved for a read of a contract as { value, savedAt }, or null if there is none.
+// The cache is only a head start, so a failure is logged and treated as a miss.
+export const loadCachedRead = async (chainId, contractAddress, name) => {
+  try {
+    return await runRequest(READS_STORE, 'readonly', (store) => store.get(`${toContractKey(chainId, contractAddress)}:${name}`));
+  } catch (error) {
+    console.warn('Could not load a cached read:', error);
+    return null;
+  }
+};
+
+// Save cached read
+// This function keeps the latest value of a read of a contract. Values must be structured-cloneable (no BigNumbers).
+export const saveCachedRead = async (chainId, contractAddress, name, value) => {
+  try {
+    await runRequest(READS_STORE, 'readwrite', (store) => store.put(
+      { value, savedAt: Date.now() },
+      `${toContractKey(chainId, contractAddress)}:${name}`
+    ));
+  } catch (error) {
+    console.warn('Could not cache a read:', error);
+  }
+};
+
+// Load cached scan
+// This function returns the history scanned for a contract, or null if it was never scanned:
+// { fromBlock, toBlock, blockHashes, entries }, where 'blockHashes' maps the last CACHE_REORG_DEPTH scanned block
+// numbers to their hashes and 'entries' holds { blockNumber, logIndex, record } in block order.
+export const loadCachedScan = async (chainId, contractAddress) => {
+  try {
+    return await runRequest(SCANS_STORE, 'readonly', (store) => store.get(toContractKey(chainId, contractAddress)));
+  } catch (error) {
+    console.warn('Could not load the cached history:', error);
+    return null;
+  }
+};
+
+// Save the history scanned for a contract
+export const saveCachedScan = async (chainId, contractAddress, scan) => {
+  try {
+    await runRequest(SCANS_STORE, 'readwrite', (store) => store.put(scan, toContractKey(chainId, contractAddress)));
+  } catch (error) {
+    console.warn('Could not cache the history:', error);
+  }
+};
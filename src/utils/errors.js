@@ -0,0 +1,276 @@
+// Error decoding
+// Wallets, JSON-RPC nodes and ethers all report failures differently (EIP-1193 codes, ethers error codes,
+// nested JSON-RPC bodies). This module turns them into typed errors with a user-friendly message
+// and a retry hint the UI can act on. Errors also carry the catalogue key of their message ('messageKey'),
+// so the UI can show them in the user's language (see i18n/index.js).
+import { ethers } from 'ethers';
+
+// Error types
+export const ERROR_TYPES = {
+  USER_REJECTED: 'USER_REJECTED',
+  CHAIN_NOT_ADDED: 'CHAIN_NOT_ADDED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  NONCE: 'NONCE',
+  RPC_UNAVAILABLE: 'RPC_UNAVAILABLE',
+  CONTRACT_REVERT: 'CONTRACT_REVERT',
+  CONTRACT_NOT_DEPLOYED: 'CONTRACT_NOT_DEPLOYED',
+  SESSION: 'SESSION',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Base class for decoded errors
+// 'retryable' tells the UI whether offering "Try again" makes sense; 'retryHint' tells the user what to do first.
+// 'messageKey' and 'messageParams' translate the message; errors without a key are shown as they are.
+export class DAppError extends Error {
+  constructor(message, {
+    type = ERROR_TYPES.UNKNOWN, retryable = false, retryHint = '', cause = null, action = '', messageKey = null, messageParams = {}
+  } = {}) {
+    super(message);
+    this.name = 'DAppError';
+    this.type = type;
+    this.retryable = retryable;
+    this.retryHint = retryHint;
+    this.cause = cause;
+    this.action = action;
+    this.messageKey = messageKey;
+    this.messageParams = messageParams;
+  }
+}
+
+// The user rejected the request in the wallet (EIP-1193 code 4001)
+export class UserRejectedError extends DAppError {
+  constructor(options = {}) {
+    super(options.message || 'The request was rejected in your wallet.', {
+      messageKey: options.message ? null : 'errors.userRejected',
+      ...options,
+      type: ERROR_TYPES.USER_REJECTED,
+      retryable: true,
+      retryHint: 'Try again and approve the request in your wallet.',
+    });
+    this.name = 'UserRejectedError';
+  }
+}
+
+// The wallet does not know the requested chain (EIP-1193 code 4902)
+export class ChainNotAddedError extends DAppError {
+  constructor(options = {}) {
+    super(options.message || 'This network has not been added to your wallet.', {
+      messageKey: options.message ? null : 'errors.chainNotAdded',
+      ...options,
+      type: ERROR_TYPES.CHAIN_NOT_ADDED,
+      retryable: true,
+      retryHint: 'Switch network again to add it to your wallet, or add it manually.',
+    });
+    this.name = 'ChainNotAddedError';
+  }
+}
+
+// The account cannot pay for the value and gas of the transaction
+export class InsufficientFundsError extends DAppError {
+  constructor(options = {}) {
+    super(options.message || 'Your account does not have enough ETH to pay for this transaction and its gas.', {
+      messageKey: options.message ? null : 'errors.insufficientFunds',
+      ...options,
+      type: ERROR_TYPES.INSUFFICIENT_FUNDS,
+      retryable: false,
+      retryHint: 'Add ETH to your account (e.g. from a faucet) or lower the amount.',
+    });
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+// The nonce is already used, or a replacement transaction was rejected or won
+export class NonceError extends DAppError {
+  constructor(options = {}) {
+    super(options.message || 'The transaction conflicts with another transaction from your account.', {
+      messageKey: options.message ? null : 'errors.nonce',
+      ...options,
+      type: ERROR_TYPES.NONCE,
+      retryable: true,
+      retryHint: 'Wait for your pending transactions to confirm, then try again. If it keeps failing, reset the account nonce in your wallet.',
+    });
+    this.name = 'NonceError';
+  }
+}
+
+// The JSON-RPC node could not be reached or failed to answer
+export class RpcUnavailableError extends DAppError {
+  constructor(options = {}) {
+    super(options.message || 'The network could not be reached.', {
+      messageKey: options.message ? null : 'errors.rpcUnavailable',
+      ...options,
+      type: ERROR_TYPES.RPC_UNAVAILABLE,
+      retryable: true,
+      retryHint: 'Check your connection or the RPC URL, then try again.',
+    });
+    this.name = 'RpcUnavailableError';
+  }
+}
+
+// The contract rejected the call; 'reason' holds the require() message when there is one
+export class ContractRevertError extends DAppError {
+  constructor(reason, options = {}) {
+    super(reason ? `The contract rejected the transaction: ${reason}` : 'The contract rejected the transaction.', {
+      ...options,
+      type: ERROR_TYPES.CONTRACT_REVERT,
+      retryable: false,
+      retryHint: 'Check the conditions of this action (e.g. only treasury signers can approve, and only before the proposal expires).',
+    });
+    this.name = 'ContractRevertError';
+    this.reason = reason;
+  }
+}
+
+// There is no contract code at the configured address, e.g. a local node restarted without deploying again
+export class ContractNotDeployedError extends DAppError {
+  constructor(address, networkName, options = {}) {
+    super(`No contract deployed here: ${address} on ${networkName} has no contract code.`, {
+      messageKey: 'errors.contractNotDeployed',
+      messageParams: { address, network: networkName },
+      ...options,
+      type: ERROR_TYPES.CONTRACT_NOT_DEPLOYED,
+      retryable: true,
+      retryHint: 'Deploy SimpleStorage to this network and set its address (e.g. VITE_LOCAL_CONTRACT_ADDRESS), or switch to another network.',
+    });
+    this.name = 'ContractNotDeployedError';
+    this.address = address;
+  }
+}
+
+// A Sign-In with Ethereum message or signature was rejected, or the session is no longer valid
+export class SessionError extends DAppError {
+  constructor(message, options = {}) {
+    super(message || 'Your sign-in session is not valid.', {
+      messageKey: message ? null : 'errors.session',
+      ...options,
+      type: ERROR_TYPES.SESSION,
+      retryable: true,
+      retryHint: 'Sign in again with your wallet.',
+    });
+    this.name = 'SessionError';
+  }
+}
+
+// Selector of the Solidity Error(string) revert payload
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+// Walk the nested errors that wallets and ethers wrap around the original one
+const unwrapErrors = (error) => {
+  const chain = [];
+  const queue = [error];
+  while (queue.length > 0 && chain.length < 10) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || chain.includes(current)) continue;
+    chain.push(current);
+    queue.push(current.error, current.data && current.data.originalError, current.cause);
+
+    // ethers keeps the raw JSON-RPC response as a string in 'body'
+    if (typeof current.body === 'string') {
+      try {
+        queue.push(JSON.parse(current.body).error);
+      } catch {
+        // Not JSON
+      }
+    }
+  }
+  return chain;
+};
+
+// Decode a Solidity Error(string) payload
+const decodeRevertData = (data) => {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR)) return null;
+  try {
+    return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+  } catch {
+    return null;
+  }
+};
+
+// Patterns nodes use to embed the reason string in the message
+const REVERT_MESSAGE_PATTERNS = [
+  /reverted with reason string '([^']+)'/,
+  /execution reverted: ([^"\\]+)/,
+  /VM Exception while processing transaction: revert ([^"\\]+)/,
+];
+
+// Extract revert reason
+// This function pulls the require() reason string out of a failed call, or returns null.
+export const extractRevertReason = (error) => {
+  for (const current of unwrapErrors(error)) {
+    const fromData = decodeRevertData(current.data);
+    if (fromData) return fromData;
+
+    // ethers also sets 'reason' to its own message on the errors it wraps around others; those are not revert reasons
+    const isWrapperMessage = typeof current.message === 'string' && current.message.startsWith(`${current.reason} `);
+    if (typeof current.reason === 'string' && !isWrapperMessage && !/^(execution reverted|transaction failed)$/.test(current.reason)) {
+      const match = current.reason.match(/execution reverted: (.+)/);
+      return match ? match[1] : current.reason;
+    }
+
+    if (typeof current.message === 'string') {
+      for (const pattern of REVERT_MESSAGE_PATTERNS) {
+        const match = current.message.match(pattern);
+        if (match) return match[1].trim();
+      }
+    }
+  }
+  return null;
+};
+
+// Check whether any error in the chain matches a predicate
+const someError = (chain, predicate) => chain.some((current) => {
+  try {
+    return predicate(current);
+  } catch {
+    return false;
+  }
+});
+
+// Decode error
+// This function turns any wallet, RPC or contract error into a typed DAppError.
+// 'action' describes what was being done (e.g. 'Failed to store message') and is kept for logging.
+// Errors that are already decoded are returned unchanged.
+export const decodeError = (error, action = '') => {
+  if (error instanceof DAppError) return error;
+
+  const chain = unwrapErrors(error);
+  const options = { cause: error, action };
+  const messages = chain.map((current) => String(current.message || '')).join(' | ').toLowerCase();
+  const hasCode = (...codes) => someError(chain, (current) => codes.includes(current.code));
+
+  if (hasCode(4001, 'ACTION_REJECTED') || messages.includes('user rejected') || messages.includes('user denied')) {
+    return new UserRejectedError(options);
+  }
+
+  if (hasCode(4902) || messages.includes('unrecognized chain id')) {
+    return new ChainNotAddedError(options);
+  }
+
+  if (hasCode(ethers.errors.INSUFFICIENT_FUNDS) || messages.includes('insufficient funds')) {
+    return new InsufficientFundsError(options);
+  }
+
+  if (
+    hasCode(ethers.errors.NONCE_EXPIRED, ethers.errors.REPLACEMENT_UNDERPRICED, ethers.errors.TRANSACTION_REPLACED) ||
+    messages.includes('nonce too low') ||
+    messages.includes('nonce has already been used') ||
+    messages.includes('replacement transaction underpriced')
+  ) {
+    return new NonceError(options);
+  }
+
+  const reason = extractRevertReason(error);
+  if (reason || hasCode(ethers.errors.CALL_EXCEPTION, ethers.errors.UNPREDICTABLE_GAS_LIMIT, 3) || messages.includes('revert')) {
+    return new ContractRevertError(reason, options);
+  }
+
+  if (
+    hasCode(ethers.errors.NETWORK_ERROR, ethers.errors.SERVER_ERROR, ethers.errors.TIMEOUT, -32603, -32005) ||
+    messages.includes('failed to fetch') ||
+    messages.includes('could not detect network')
+  ) {
+    return new RpcUnavailableError(options);
+  }
+
+  return new DAppError(error && error.message ? error.message : String(error), options);
+};
@@ -0,0 +1,126 @@
+// Error decoding tests
+// These tests feed decodeError the shapes wallets, JSON-RPC nodes and ethers report failures in, and check the type
+// each is mapped to, along with the revert reason it extracts.
+import { ethers } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  ChainNotAddedError,
+  ContractRevertError,
+  DAppError,
+  ERROR_TYPES,
+  InsufficientFundsError,
+  NonceError,
+  RpcUnavailableError,
+  UserRejectedError,
+  decodeError,
+  extractRevertReason,
+} from './errors';
+
+// ABI-encoded Error(string) payload, as returned by a reverted call
+const revertData = (reason) => `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)}`;
+
+// Error built by ethers, with its code and message format
+const ethersError = (message, code, params = {}) => ethers.logger.makeError(message, code, params);
+
+describe('decodeError', () => {
+  it('maps a wallet rejection to UserRejectedError', () => {
+    const decoded = decodeError({ code: 4001, message: 'User rejected the request.' }, 'Failed to store message');
+
+    expect(decoded).toBeInstanceOf(UserRejectedError);
+    expect(decoded).toMatchObject({ type: ERROR_TYPES.USER_REJECTED, action: 'Failed to store message', messageKey: 'errors.userRejected' });
+  });
+
+  it('maps a rejection ethers wrapped around the wallet error to UserRejectedError', () => {
+    const error = ethersError('user rejected transaction', ethers.errors.ACTION_REJECTED, {
+      action: 'sendTransaction',
+      error: { code: 4001, message: 'MetaMask Tx Signature: User denied transaction signature.' },
+    });
+
+    expect(decodeError(error)).toBeInstanceOf(UserRejectedError);
+  });
+
+  it('maps an unknown chain to ChainNotAddedError', () => {
+    expect(decodeError({ code: 4902, message: 'Unrecognized chain ID "0x4268".' })).toBeInstanceOf(ChainNotAddedError);
+  });
+
+  it('maps a balance too low for the value and gas to InsufficientFundsError', () => {
+    const error = ethersError('insufficient funds for intrinsic transaction cost', ethers.errors.INSUFFICIENT_FUNDS);
+
+    expect(decodeError(error)).toBeInstanceOf(InsufficientFundsError);
+  });
+
+  it('maps a nonce reported inside the JSON-RPC response body to NonceError', () => {
+    const error = ethersError('processing response error', ethers.errors.SERVER_ERROR, {
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'nonce too low' } }),
+    });
+
+    expect(decodeError(error)).toBeInstanceOf(NonceError);
+  });
+
+  describe('contract reverts', () => {
+    it('decodes the Error(string) payload of a reverted call', () => {
+      const error = ethersError('call revert exception', ethers.errors.CALL_EXCEPTION, {
+        error: { code: -32603, message: 'Internal JSON-RPC error.', data: { originalError: { code: 3, data: revertData('Saldo insuficiente') } } },
+      });
+
+      const decoded = decodeError(error);
+
+      expect(decoded).toBeInstanceOf(ContractRevertError);
+      expect(decoded).toMatchObject({ type: ERROR_TYPES.CONTRACT_REVERT, reason: 'Saldo insuficiente', retryable: false });
+    });
+
+    it('reads the reason a node writes in the message', () => {
+      expect(extractRevertReason({ message: "VM Exception while processing transaction: reverted with reason string 'Solo firmantes'" }))
+        .toBe('Solo firmantes');
+      expect(extractRevertReason({ message: 'execution reverted: Propuesta expirada' })).toBe('Propuesta expirada');
+    });
+
+    it('reads the reason from a failed gas estimate', () => {
+      const error = ethersError('cannot estimate gas; transaction may fail or may require manual gas limit', ethers.errors.UNPREDICTABLE_GAS_LIMIT, {
+        error: { code: -32000, message: 'execution reverted: Cantidad invalida' },
+      });
+
+      expect(decodeError(error)).toMatchObject({ reason: 'Cantidad invalida' });
+    });
+
+    it('maps a revert without a reason to ContractRevertError with no reason', () => {
+      const decoded = decodeError(ethersError('transaction failed', ethers.errors.CALL_EXCEPTION, { reason: 'transaction failed' }));
+
+      expect(decoded).toBeInstanceOf(ContractRevertError);
+      expect(decoded.reason).toBeNull();
+    });
+  });
+
+  describe('RPC failures', () => {
+    it('maps network errors and timeouts to a retryable RpcUnavailableError', () => {
+      [
+        ethersError('could not detect network', ethers.errors.NETWORK_ERROR, { event: 'noNetwork' }),
+        ethersError('timeout', ethers.errors.TIMEOUT, { timeout: 120000 }),
+        ethersError('missing response', ethers.errors.SERVER_ERROR, { serverError: new TypeError('Failed to fetch') }),
+        { code: -32005, message: 'limit exceeded' },
+      ].forEach((error) => {
+        const decoded = decodeError(error);
+
+        expect(decoded).toBeInstanceOf(RpcUnavailableError);
+        expect(decoded).toMatchObject({ type: ERROR_TYPES.RPC_UNAVAILABLE, retryable: true });
+      });
+    });
+
+    it('does not read the message ethers puts in "reason" as a revert reason', () => {
+      expect(extractRevertReason(ethersError('missing response', ethers.errors.SERVER_ERROR))).toBeNull();
+    });
+  });
+
+  it('keeps the message of an error it does not recognise', () => {
+    const decoded = decodeError(new Error('Something odd'), 'Failed to read');
+
+    expect(decoded).toBeInstanceOf(DAppError);
+    expect(decoded).toMatchObject({ type: ERROR_TYPES.UNKNOWN, message: 'Something odd', action: 'Failed to read' });
+  });
+
+  it('returns an error that is already decoded unchanged', () => {
+    const decoded = new NonceError();
+
+    expect(decodeError(decoded, 'Failed to deposit')).toBe(decoded);
+  });
+});
@@ -1,100 +1,271 @@
 // Import ethers.js library for interacting with Ethereum blockchain
 import { ethers } from 'ethers';
-import { CONTRACT_ADDRESS, CONTRACT_ABI } from '../contract/config';
+import { CONTRACT_ABI, CONTRACT_BYTECODE } from '../contract/config';
+import { ERC20_ABI } from '../contract/erc20';
+import {
+  DEFAULT_CHAIN_ID,
+  getNetwork,
+  getNetworkTokens,
+  getContractAddress,
+  isSupportedChain,
+  toChainIdNumber,
+  toHexChainId
+} from '../contract/networks';
+import { saveDeployment } from '../contract/deployments';
+import { getActiveProvider } from './wallets';
+import { sendTransaction, resumeTransactions } from './transactions';
+import { decodeError, ContractRevertError, ContractNotDeployedError } from './errors';
+import { batchCalls } from './multicall';
+import {
+  HISTORY_EVENTS,
+  HISTORY_FORMAT_VERSION,
+  getLogsInChunks,
+  fetchInBatches,
+  formatHistoryRecord,
+  recordInvolves,
+  canExtendScan,
+  getMissingRanges,
+  rollBackReorg,
+  mergeScan
+} from './history';
+import { loadCachedScan, saveCachedScan } from './cache';
+import { isSandboxEnabled, getSandboxProvider, SANDBOX_TOKEN } from '../sandbox';
 
-// Check if MetaMask is installed
-// This function verifies if the MetaMask extension is available in the browser.
-export const isMetaMaskInstalled = () => {
-  return window.ethereum !== undefined;
+// Check if a wallet is selected
+// This function verifies that the user picked a wallet whose EIP-1193 provider the helpers can use.
+export const isWalletSelected = () => {
+  return getActiveProvider() !== null;
 };
 
-// Request account access from MetaMask
+// Get the selected provider
+// All wallet requests go through the provider chosen in the wallet chooser, never through window.ethereum.
+const getProvider = () => {
+  const provider = getActiveProvider();
+  if (!provider) {
+    throw new Error("No wallet selected");
+  }
+  return provider;
+};
+
+// Request account access from the selected wallet
 // This function prompts the user to connect their wallet and returns the connected account address.
 export const connectWallet = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error("MetaMask is not installed");
-  }
+  const provider = getProvider();
   
   try {
     // Request account access
-    const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    const accounts = await provider.request({ method: 'eth_requestAccounts' });
     return accounts[0];
   } catch (error) {
-    throw new Error(`Failed to connect to wallet: ${error.message}`);
+    throw decodeError(error, 'Failed to connect to wallet');
   }
 };
 
-// Check if connected to Sepolia network
-// This function checks the current network and verifies if it matches the Sepolia testnet.
+// Get connected account
+// This function returns the account already authorized in the selected wallet, without prompting, or null.
+export const getConnectedAccount = async () => {
+  try {
+    const accounts = await getProvider().request({ method: 'eth_accounts' });
+    return accounts[0] || null;
+  } catch (error) {
+    throw decodeError(error, 'Failed to get accounts');
+  }
+};
+
+// Get current chain ID
+// This function reads the chain the wallet is connected to and returns it as a decimal number.
+export const getChainId = async () => {
+  try {
+    const chainId = await getProvider().request({ method: 'eth_chainId' });
+    return toChainIdNumber(chainId);
+  } catch (error) {
+    throw decodeError(error, 'Failed to get chain ID');
+  }
+};
+
+// Sign message
+// This function asks the wallet to sign a text message with personal_sign (EIP-191) and returns the signature.
+// Signing is free and does not send a transaction.
+export const signMessage = async (account, message) => {
+  try {
+    return await getProvider().request({
+      method: 'personal_sign',
+      params: [ethers.utils.hexlify(ethers.utils.toUtf8Bytes(message)), account],
+    });
+  } catch (error) {
+    throw decodeError(error, 'Failed to sign message');
+  }
+};
+
+// Check if connected to a supported network
+// This function checks the current network and verifies that the contract is deployed on it.
 export const checkNetwork = async () => {
   try {
-    const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-    // Sepolia chain ID is 0xaa36a7 (11155111 in decimal)
-    return chainId === '0xaa36a7';
+    const chainId = await getChainId();
+    return isSupportedChain(chainId);
   } catch (error) {
-    throw new Error(`Failed to check network: ${error.message}`);
+    throw decodeError(error, 'Failed to check network');
   }
 };
 
-// Switch to Sepolia network
-// This function switches the user's wallet to the Sepolia testnet. If the network is not added, it attempts to add it.
-export const switchToSepolia = async () => {
+// Switch network
+// This function switches the user's wallet to a network from the registry. If the network is not added, it attempts to add it.
+export const switchNetwork = async (chainId) => {
+  const network = getNetwork(chainId);
+  if (!network) {
+    throw new Error(`Unknown network: ${chainId}`);
+  }
+  const provider = getProvider();
+
   try {
-    await window.ethereum.request({
+    await provider.request({
       method: 'wallet_switchEthereumChain',
-      params: [{ chainId: '0xaa36a7' }], // Sepolia chain ID
+      params: [{ chainId: toHexChainId(network.chainId) }],
     });
     return true;
   } catch (error) {
-    // This error code indicates that the chain has not been added to MetaMask
+    // This error code indicates that the chain has not been added to the wallet
     if (error.code === 4902) {
       try {
-        await window.ethereum.request({
+        await provider.request({
           method: 'wallet_addEthereumChain',
           params: [
             {
-              chainId: '0xaa36a7',
-              chainName: 'Sepolia Testnet',
-              nativeCurrency: {
-                name: 'Sepolia ETH',
-                symbol: 'ETH',
-                decimals: 18,
-              },
-              rpcUrls: ['https://sepolia.infura.io/v3/'],
-              blockExplorerUrls: ['https://sepolia.etherscan.io/'],
+              chainId: toHexChainId(network.chainId),
+              chainName: network.name,
+              nativeCurrency: network.nativeCurrency,
+              rpcUrls: [network.rpcUrl],
+              blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : null,
             },
           ],
         });
         return true;
       } catch (addError) {
-        throw new Error(`Failed to add Sepolia network: ${addError.message}`);
+        throw decodeError(addError, `Failed to add ${network.name} network`);
       }
     }
-    throw new Error(`Failed to switch to Sepolia network: ${error.message}`);
+    throw decodeError(error, `Failed to switch to ${network.name} network`);
+  }
+};
+
+// Read-only providers, created once per chain
+const readOnlyProviders = {};
+
+// Get read-only provider
+// This function returns a JSON-RPC provider for a network from the registry, so data can be read without a wallet.
+// The RPC URL comes from the registry and can be pointed at a local node through the VITE_*_RPC_URL env variables.
+// In sandbox mode the simulated chain is read instead.
+export const getReadOnlyProvider = (chainId = DEFAULT_CHAIN_ID) => {
+  const network = getNetwork(chainId);
+  if (!network) {
+    throw new Error(`Unknown network: ${chainId}`);
+  }
+
+  if (!readOnlyProviders[network.chainId]) {
+    const networkInfo = { chainId: network.chainId, name: network.name };
+    readOnlyProviders[network.chainId] = isSandboxEnabled()
+      ? new ethers.providers.Web3Provider(getSandboxProvider().readOnly(network.chainId), networkInfo)
+      : new ethers.providers.JsonRpcProvider(network.rpcUrl, networkInfo);
+  }
+  return readOnlyProviders[network.chainId];
+};
+
+// Get read provider
+// Reads go through the selected wallet when it is on a supported network, and through the public RPC otherwise.
+const getReadProvider = async () => {
+  const walletProvider = getActiveProvider();
+  if (walletProvider) {
+    const provider = new ethers.providers.Web3Provider(walletProvider);
+    const { chainId } = await provider.getNetwork();
+    if (isSupportedChain(chainId)) {
+      return provider;
+    }
   }
+  return getReadOnlyProvider();
 };
 
 // Get contract instance
 // This function creates an instance of the smart contract using ethers.js.
-// If 'withSigner' is true, the contract instance allows sending transactions.
+// The contract address is resolved on every call for the chain the provider is on: the instance selected in the
+// contract switcher, or the one configured in the network registry.
+// If 'withSigner' is true, the contract instance allows sending transactions and a wallet is required.
+// Otherwise, the instance is read-only and works without a wallet.
 export const getContract = async (withSigner = false) => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error("MetaMask is not installed");
-  }
-
   try {
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
-
     if (withSigner) {
       // A signer is used to send transactions to the blockchain (write operations).
-      const signer = provider.getSigner();
-      return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+      const provider = new ethers.providers.Web3Provider(getProvider());
+      const { chainId } = await provider.getNetwork();
+      return new ethers.Contract(resolveContractAddress(chainId), CONTRACT_ABI, provider.getSigner());
     }
 
     // A provider is used to read data from the blockchain (read operations).
-    return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+    const provider = await getReadProvider();
+    const { chainId } = await provider.getNetwork();
+    return new ethers.Contract(resolveContractAddress(chainId), CONTRACT_ABI, provider);
   } catch (error) {
-    throw new Error(`Failed to get contract: ${error.message}`);
+    throw decodeError(error, 'Failed to get contract');
+  }
+};
+
+// Get contract factory
+// This function creates an ethers ContractFactory that deploys SimpleStorage from its compiled bytecode,
+// signed by the wallet's account.
+const getContractFactory = () => {
+  const provider = new ethers.providers.Web3Provider(getProvider());
+  return new ethers.ContractFactory(CONTRACT_ABI, CONTRACT_BYTECODE, provider.getSigner());
+};
+
+// Deploy contract
+// This function deploys a new SimpleStorage instance from the wallet's account and waits for the deployment receipt.
+// The new address is saved for the wallet's chain and selected, so the DApp uses it right away.
+// Returns the address of the new instance.
+export const deployContract = async (overrides = {}) => {
+  try {
+    const factory = getContractFactory();
+    const provider = factory.signer.provider;
+    const { chainId } = await provider.getNetwork();
+    const receipt = await sendTransaction({ key: 'transactions.labels.deploy' }, provider, async () => {
+      const contract = await factory.deploy(overrides);
+      return contract.deployTransaction;
+    });
+
+    saveDeployment(chainId, {
+      address: receipt.contractAddress,
+      transactionHash: receipt.transactionHash,
+      deployer: receipt.from,
+    });
+    return receipt.contractAddress;
+  } catch (error) {
+    throw decodeError(error, 'Failed to deploy contract');
+  }
+};
+
+// Resolve the SimpleStorage address for a chain, failing when the contract is not deployed there
+const resolveContractAddress = (chainId) => {
+  const contractAddress = getContractAddress(chainId);
+  if (!contractAddress) {
+    throw new Error(`SimpleStorage is not deployed on chain ${chainId}`);
+  }
+  return contractAddress;
+};
+
+// Check contract deployment
+// This function checks with eth_getCode that the configured address holds contract code on the network reads go to.
+// An empty address (e.g. a restarted local node) is reported as a ContractNotDeployedError instead of failing
+// later on the first call. Returns the contract address.
+export const checkContractDeployment = async () => {
+  try {
+    const provider = await getReadProvider();
+    const { chainId } = await provider.getNetwork();
+    const contractAddress = resolveContractAddress(chainId);
+    const code = await provider.getCode(contractAddress);
+    if (code === '0x') {
+      throw new ContractNotDeployedError(contractAddress, getNetwork(chainId).name);
+    }
+    return contractAddress;
+  } catch (error) {
+    throw decodeError(error, 'Failed to check contract deployment');
   }
 };
 
@@ -105,19 +276,233 @@ export const getContractOwner = async () => {
     const contract = await getContract();
     return await contract.owner();
   } catch (error) {
-    throw new Error(`Failed to get contract owner: ${error.message}`);
+    throw decodeError(error, 'Failed to get contract owner');
+  }
+};
+
+// Get pending owner
+// This function retrieves the address nominated to become the new owner, or null if no transfer is pending.
+export const getPendingOwner = async () => {
+  try {
+    const contract = await getContract();
+    const pendingOwner = await contract.pendingOwner();
+    return pendingOwner === ethers.constants.AddressZero ? null : pendingOwner;
+  } catch (error) {
+    throw decodeError(error, 'Failed to get pending owner');
+  }
+};
+
+// Transfer ownership
+// This function starts a two-step ownership transfer to 'newOwner' (owner only).
+// The nominee becomes the owner once they call acceptOwnership.
+export const transferOwnership = async (newOwner, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.transferOwnership' }, contract.provider, () => contract.transferOwnership(newOwner, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to transfer ownership');
+  }
+};
+
+// Accept ownership
+// This function completes a pending ownership transfer (nominee only).
+export const acceptOwnership = async (overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.acceptOwnership' }, contract.provider, () => contract.acceptOwnership(overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to accept ownership');
+  }
+};
+
+// Renounce ownership
+// This function leaves the contract without an owner, permanently (owner only).
+export const renounceOwnership = async (overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.renounceOwnership' }, contract.provider, () => contract.renounceOwnership(overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to renounce ownership');
   }
 };
 
+// Method name of a deployment in the preview: the constructor, run by deployContract
+export const DEPLOY_METHOD = 'constructor';
+
+// Prepare the pre-flight checks of a contract call, or of a call to the ERC-20 token at 'tokenAddress'
+const prepareCall = async (method, args, overrides, tokenAddress) => {
+  const contract = tokenAddress ? await getTokenContract(tokenAddress, true) : await getContract(true);
+  return {
+    provider: contract.provider,
+    callStatic: () => contract.callStatic[method](...args, overrides),
+    estimateGas: () => contract.estimateGas[method](...args, overrides),
+  };
+};
+
+// Prepare the pre-flight checks of a deployment
+const prepareDeployment = async (args, overrides) => {
+  const factory = getContractFactory();
+  const transaction = factory.getDeployTransaction(...args, overrides);
+  return {
+    provider: factory.signer.provider,
+    callStatic: () => factory.signer.call(transaction),
+    estimateGas: () => factory.signer.estimateGas(transaction),
+  };
+};
+
+// Preview transaction
+// This function runs the pre-flight checks for a write before it is sent to the wallet:
+// a static call to detect reverts, a gas estimate and the current EIP-1559 fee data.
+// 'value' is the amount of ETH sent with the call, already parsed in wei or as a decimal string. When 'tokenAddress'
+// is set, 'method' is a function of that ERC-20 token (e.g. approve) instead of SimpleStorage.
+export const previewTransaction = async (method, args = [], value = null, tokenAddress = null) => {
+  try {
+    const wei = value && (ethers.BigNumber.isBigNumber(value) ? value : ethers.utils.parseEther(value.toString()));
+    const overrides = wei ? { value: wei } : {};
+    const { provider, callStatic, estimateGas } = method === DEPLOY_METHOD
+      ? await prepareDeployment(args, overrides)
+      : await prepareCall(method, args, overrides, tokenAddress);
+
+    // A static call runs the function without sending it, so require() failures show up here
+    let revertReason = null;
+    try {
+      await callStatic();
+    } catch (error) {
+      const decoded = decodeError(error);
+      if (!(decoded instanceof ContractRevertError)) throw decoded;
+      revertReason = decoded.reason || 'no reason given';
+    }
+
+    const gasLimit = revertReason ? null : await estimateGas();
+    const feeData = await provider.getFeeData();
+
+    return {
+      method,
+      args,
+      value: overrides.value || ethers.constants.Zero,
+      gasLimit,
+      revertReason,
+      supportsEip1559: feeData.maxFeePerGas !== null,
+      baseFeePerGas: feeData.lastBaseFeePerGas,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      gasPrice: feeData.gasPrice,
+    };
+  } catch (error) {
+    throw decodeError(error, 'Failed to preview transaction');
+  }
+};
+
+// Calculate transaction cost
+// This function computes the expected and maximum fee of a previewed write for the given fees,
+// and the total (fee plus the ETH sent with the call). Returns BigNumbers in wei.
+export const calculateTransactionCost = (preview, fees) => {
+  if (!preview.gasLimit) return null;
+
+  let expectedGasPrice;
+  let maxGasPrice;
+  if (preview.supportsEip1559) {
+    // The base fee is burned and the priority fee goes to the validator, capped by maxFeePerGas
+    const expected = preview.baseFeePerGas.add(fees.maxPriorityFeePerGas);
+    expectedGasPrice = expected.lt(fees.maxFeePerGas) ? expected : fees.maxFeePerGas;
+    maxGasPrice = fees.maxFeePerGas;
+  } else {
+    expectedGasPrice = fees.gasPrice;
+    maxGasPrice = fees.gasPrice;
+  }
+
+  const expectedFee = preview.gasLimit.mul(expectedGasPrice);
+  const maxFee = preview.gasLimit.mul(maxGasPrice);
+  return {
+    expectedFee,
+    maxFee,
+    expectedTotal: preview.value.add(expectedFee),
+    maxTotal: preview.value.add(maxFee),
+  };
+};
+
 // Store message
 // This function sends a transaction to store a message in the smart contract.
-export const storeMessage = async (message) => {
+// The transaction is tracked by the transaction manager until it is mined.
+// 'overrides' holds the fee settings confirmed in the preview (maxFeePerGas, maxPriorityFeePerGas or gasPrice).
+export const storeMessage = async (message, overrides = {}) => {
   try {
     const contract = await getContract(true);
-    const tx = await contract.storeMessage(message);
-    return await tx.wait();
+    return await sendTransaction({ key: 'transactions.labels.storeMessage' }, contract.provider, () => contract.storeMessage(message, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to store message');
+  }
+};
+
+// How long a signed message can be relayed (10 minutes)
+export const SIGNATURE_VALIDITY_SECONDS = 600;
+
+// EIP-712 types of a signed message, as defined in SimpleStorage.sol
+const STORE_MESSAGE_TYPES = {
+  StoreMessage: [
+    { name: 'message', type: 'string' },
+    { name: 'author', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Get message nonce
+// This function retrieves the nonce the next signed message of an author must use.
+export const getMessageNonce = async (author) => {
+  try {
+    const contract = await getContract();
+    const nonce = await contract.nonces(author);
+    return nonce.toString();
+  } catch (error) {
+    throw decodeError(error, 'Failed to get message nonce');
+  }
+};
+
+// Sign message for relaying
+// This function asks the wallet to sign a message with eth_signTypedData_v4 (EIP-712), without sending anything.
+// The signature is bound to the chain, the contract, the author's current nonce and a deadline.
+// Returns the relay request { chainId, message, author, nonce, deadline, signature } for a relayer.
+export const signStoreMessage = async (account, message) => {
+  try {
+    const provider = new ethers.providers.Web3Provider(getProvider());
+    const { chainId } = await provider.getNetwork();
+    const contract = new ethers.Contract(resolveContractAddress(chainId), CONTRACT_ABI, provider);
+    const author = ethers.utils.getAddress(account);
+    const nonce = (await contract.nonces(author)).toString();
+    const latestBlock = await provider.getBlock('latest');
+    const deadline = String(latestBlock.timestamp + SIGNATURE_VALIDITY_SECONDS);
+
+    const domain = { name: 'SimpleStorage', version: '1', chainId, verifyingContract: contract.address };
+    const value = { message, author, nonce, deadline };
+    const typedData = ethers.utils._TypedDataEncoder.getPayload(domain, STORE_MESSAGE_TYPES, value);
+
+    const signature = await getProvider().request({
+      method: 'eth_signTypedData_v4',
+      params: [author, JSON.stringify(typedData)],
+    });
+    return { chainId, ...value, signature };
+  } catch (error) {
+    throw decodeError(error, 'Failed to sign message');
+  }
+};
+
+// Store signed message
+// This function submits a signed message with storeMessageWithSig from 'signer', which pays the gas.
+// It is what a relayer calls; the message is stored with the signer of the request as its author.
+export const storeMessageWithSig = async (request, signer, overrides = {}) => {
+  try {
+    const contract = new ethers.Contract(resolveContractAddress(request.chainId), CONTRACT_ABI, signer);
+    return await sendTransaction({ key: 'transactions.labels.storeMessageRelayed' }, signer.provider, () => contract.storeMessageWithSig(
+      request.message,
+      request.author,
+      request.nonce,
+      request.deadline,
+      request.signature,
+      overrides
+    ));
   } catch (error) {
-    throw new Error(`Failed to store message: ${error.message}`);
+    throw decodeError(error, 'Failed to relay message');
   }
 };
 
@@ -128,33 +513,403 @@ export const getMessage = async () => {
     const contract = await getContract();
     return await contract.getMessage();
   } catch (error) {
-    throw new Error(`Failed to get message: ${error.message}`);
+    throw decodeError(error, 'Failed to get message');
+  }
+};
+
+// Get message count
+// This function retrieves how many messages have been stored in the contract's history.
+export const getMessageCount = async () => {
+  try {
+    const contract = await getContract();
+    const count = await contract.messageCount();
+    return count.toNumber();
+  } catch (error) {
+    throw decodeError(error, 'Failed to get message count');
+  }
+};
+
+// Get message history
+// This function retrieves one page of the message history, newest first.
+// Page 0 holds the latest 'pageSize' messages. Returns the messages and the total count.
+export const getMessageHistory = async (page = 0, pageSize = 10) => {
+  try {
+    const contract = await getContract();
+    const total = (await contract.messageCount()).toNumber();
+
+    // The contract pages in chronological order, so the newest page is at the end
+    const end = Math.max(0, total - page * pageSize);
+    const offset = Math.max(0, end - pageSize);
+    const entries = end > 0 ? await contract.getMessages(offset, end - offset) : [];
+
+    const messages = entries
+      .map((entry, index) => ({
+        index: offset + index,
+        author: entry.author,
+        text: entry.text,
+        timestamp: entry.timestamp.toNumber() * 1000,
+      }))
+      .reverse();
+
+    return { messages, total };
+  } catch (error) {
+    throw decodeError(error, 'Failed to get message history');
   }
 };
 
 // Deposit ETH
 // This function sends a transaction to deposit ETH into the smart contract.
-export const deposit = async (amount) => {
+// 'amount' is the already parsed amount in wei.
+export const deposit = async (amount, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    const label = { key: 'transactions.labels.deposit', params: { amount: ethers.utils.formatEther(amount) } };
+    return await sendTransaction(label, contract.provider, () => contract.deposit({ ...overrides, value: amount }));
+  } catch (error) {
+    throw decodeError(error, 'Failed to deposit ETH');
+  }
+};
+
+// Withdraw own deposits
+// This function sends a transaction for a depositor to withdraw up to the amount they deposited.
+// 'amount' is the already parsed amount in wei.
+export const withdrawDeposit = async (amount, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    const label = { key: 'transactions.labels.withdrawDeposit', params: { amount: ethers.utils.formatEther(amount) } };
+    return await sendTransaction(label, contract.provider, () => contract.withdrawDeposit(amount, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to withdraw deposits');
+  }
+};
+
+// Get token contract
+// This function creates an instance of an ERC-20 token, signed by the wallet's account when 'withSigner' is true
+// and read-only otherwise. Read-only instances go through the same provider as SimpleStorage's reads.
+const getTokenContract = async (tokenAddress, withSigner = false) => {
+  if (withSigner) {
+    const provider = new ethers.providers.Web3Provider(getProvider());
+    return new ethers.Contract(tokenAddress, ERC20_ABI, provider.getSigner());
+  }
+  return new ethers.Contract(tokenAddress, ERC20_ABI, await getReadProvider());
+};
+
+// Token name, symbol and decimals already read, keyed by chain ID and token address (they never change)
+const tokenInfoCache = new Map();
+
+// Get token list
+// This function returns the addresses of the ERC-20 tokens offered in the token selector on a chain: the ones listed
+// in the network registry, or the test token in sandbox mode.
+export const getTokenList = (chainId) => {
+  return isSandboxEnabled() ? [SANDBOX_TOKEN.address] : getNetworkTokens(chainId);
+};
+
+// Get token info
+// This function reads the name, symbol and decimals of an ERC-20 token in one batch.
+// Returns { address, name, symbol, decimals }; an address without code is rejected instead of read as empty values.
+export const getTokenInfo = async (tokenAddress) => {
+  try {
+    const token = await getTokenContract(tokenAddress);
+    const { chainId } = await token.provider.getNetwork();
+    const cacheKey = `${chainId}:${tokenAddress.toLowerCase()}`;
+    if (!tokenInfoCache.has(cacheKey)) {
+      if ((await token.provider.getCode(tokenAddress)) === '0x') {
+        throw new Error(`No token contract at ${tokenAddress}`);
+      }
+      const [name, symbol, decimals] = (await batchCalls(token.provider, [
+        { contract: token, method: 'name' },
+        { contract: token, method: 'symbol' },
+        { contract: token, method: 'decimals' },
+      ])).map((result) => {
+        if (!result.success) throw result.error;
+        return result.value;
+      });
+      tokenInfoCache.set(cacheKey, { address: ethers.utils.getAddress(tokenAddress), name, symbol, decimals });
+    }
+    return tokenInfoCache.get(cacheKey);
+  } catch (error) {
+    throw decodeError(error, 'Failed to read token');
+  }
+};
+
+// Read tokens
+// This function reads the info of several tokens with getTokenInfo, a few at a time, and returns it in a Map keyed by
+// address. A token that cannot be read (e.g. not deployed on a local fork) is mapped to null instead of failing the rest.
+export const readTokens = async (addresses) => {
+  return await fetchInBatches(addresses, (address) => getTokenInfo(address).catch((error) => {
+    console.warn(`Could not read token ${address}:`, error);
+    return null;
+  }));
+};
+
+// Get token account data
+// This function reads how many tokens of 'token' (from getTokenInfo) 'account' holds and how many SimpleStorage may
+// still pull from it (the allowance), both in whole tokens as decimal strings.
+export const getTokenAccountData = async (token, account) => {
+  try {
+    const [contract, tokenContract] = await Promise.all([getContract(), getTokenContract(token.address)]);
+    const [balance, allowance] = (await batchCalls(contract.provider, [
+      { contract: tokenContract, method: 'balanceOf', args: [account] },
+      { contract: tokenContract, method: 'allowance', args: [account, contract.address] },
+    ])).map((result) => {
+      if (!result.success) throw result.error;
+      return result.value;
+    });
+    return {
+      balance: ethers.utils.formatUnits(balance, token.decimals),
+      allowance: ethers.utils.formatUnits(allowance, token.decimals),
+    };
+  } catch (error) {
+    throw decodeError(error, 'Failed to read token balance');
+  }
+};
+
+// Approve token
+// This function sends a transaction approving SimpleStorage to pull exactly 'amount' (already parsed, in the token's
+// smallest unit) of 'token' (from getTokenInfo), which depositToken needs first.
+export const approveToken = async (token, amount, overrides = {}) => {
   try {
     const contract = await getContract(true);
-    const tx = await contract.deposit({
-      value: ethers.utils.parseEther(amount.toString())
+    const tokenContract = await getTokenContract(token.address, true);
+    const label = {
+      key: 'transactions.labels.approveToken',
+      params: { amount: ethers.utils.formatUnits(amount, token.decimals), symbol: token.symbol }
+    };
+    return await sendTransaction(label, contract.provider, () => tokenContract.approve(contract.address, amount, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to approve token');
+  }
+};
+
+// Deposit tokens
+// This function sends a transaction depositing 'amount' (already parsed, in the token's smallest unit) of 'token'
+// (from getTokenInfo) into the contract. The contract pulls it with transferFrom, so the allowance must cover
+// 'amount' (see approveToken).
+export const depositToken = async (token, amount, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    const label = {
+      key: 'transactions.labels.depositToken',
+      params: { amount: ethers.utils.formatUnits(amount, token.decimals), symbol: token.symbol }
+    };
+    return await sendTransaction(label, contract.provider, () => contract.depositToken(token.address, amount, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to deposit tokens');
+  }
+};
+
+// Get token holdings
+// This function lists every ERC-20 token ever deposited into the contract with the amount it holds now, as
+// { address, name, symbol, decimals, balance } with 'balance' in whole tokens. Tokens sent to the contract without
+// depositToken are not counted.
+export const getTokenHoldings = async () => {
+  try {
+    const contract = await getContract();
+    const tokens = await contract.getTokens();
+    const [infos, balances] = await Promise.all([
+      Promise.all(tokens.map((address) => getTokenInfo(address))),
+      batchCalls(contract.provider, tokens.map((address) => ({ contract, method: 'tokenBalances', args: [address] }))),
+    ]);
+
+    return infos.map((info, index) => {
+      if (!balances[index].success) throw balances[index].error;
+      return { ...info, balance: ethers.utils.formatUnits(balances[index].value, info.decimals) };
     });
-    return await tx.wait();
   } catch (error) {
-    throw new Error(`Failed to deposit ETH: ${error.message}`);
+    throw decodeError(error, 'Failed to get token holdings');
   }
 };
 
-// Withdraw ETH
-// This function sends a transaction to withdraw all ETH from the smart contract.
-export const withdraw = async () => {
+// Treasury proposal kinds, in the order of SimpleStorage.sol's ProposalKind enum
+export const PROPOSAL_KINDS = ['withdrawal', 'addSigner', 'removeSigner', 'changeThreshold', 'tokenWithdrawal'];
+
+// Number of most recent proposals read by getTreasuryData
+export const PROPOSALS_SHOWN = 20;
+
+// Propose a withdrawal
+// This function sends a signer's proposal to withdraw 'amount' (already parsed, in wei) from the contract to 'recipient'.
+// 'expiresAt' is the Unix time (in seconds) until which the proposal can be approved and executed.
+// The proposer's approval is counted right away.
+export const proposeWithdrawal = async (recipient, amount, expiresAt, overrides = {}) => {
   try {
     const contract = await getContract(true);
-    const tx = await contract.withdraw();
-    return await tx.wait();
+    const label = { key: 'transactions.labels.proposeWithdrawal', params: { amount: ethers.utils.formatEther(amount), recipient } };
+    return await sendTransaction(label, contract.provider, () => contract.proposeWithdrawal(recipient, amount, expiresAt, overrides));
   } catch (error) {
-    throw new Error(`Failed to withdraw ETH: ${error.message}`);
+    throw decodeError(error, 'Failed to propose withdrawal');
+  }
+};
+
+// Propose a token withdrawal
+// This function sends a signer's proposal to withdraw 'amount' (already parsed, in the token's smallest unit) of
+// 'token' (from getTokenInfo) from the contract to 'recipient'. Like ETH, deposited tokens only leave the contract
+// once 'threshold' signers approved.
+export const proposeTokenWithdrawal = async (token, recipient, amount, expiresAt, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    const label = {
+      key: 'transactions.labels.proposeTokenWithdrawal',
+      params: { amount: ethers.utils.formatUnits(amount, token.decimals), symbol: token.symbol, recipient }
+    };
+    return await sendTransaction(label, contract.provider, () => contract.proposeTokenWithdrawal(
+      token.address,
+      recipient,
+      amount,
+      expiresAt,
+      overrides
+    ));
+  } catch (error) {
+    throw decodeError(error, 'Failed to propose token withdrawal');
+  }
+};
+
+// Propose adding a signer
+// This function sends a signer's proposal to add 'signer' to the treasury, with the threshold that applies afterwards.
+export const proposeAddSigner = async (signer, threshold, expiresAt, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.proposeAddSigner', params: { signer, threshold } }, contract.provider, () => contract.proposeAddSigner(
+      signer,
+      threshold,
+      expiresAt,
+      overrides
+    ));
+  } catch (error) {
+    throw decodeError(error, 'Failed to propose signer');
+  }
+};
+
+// Propose removing a signer
+// This function sends a signer's proposal to remove 'signer' from the treasury, with the threshold that applies afterwards.
+export const proposeRemoveSigner = async (signer, threshold, expiresAt, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.proposeRemoveSigner', params: { signer, threshold } }, contract.provider, () => contract.proposeRemoveSigner(
+      signer,
+      threshold,
+      expiresAt,
+      overrides
+    ));
+  } catch (error) {
+    throw decodeError(error, 'Failed to propose signer removal');
+  }
+};
+
+// Propose a threshold
+// This function sends a signer's proposal to change how many approvals a proposal needs.
+export const proposeThreshold = async (threshold, expiresAt, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.proposeThreshold', params: { threshold } }, contract.provider, () => contract.proposeThreshold(
+      threshold,
+      expiresAt,
+      overrides
+    ));
+  } catch (error) {
+    throw decodeError(error, 'Failed to propose threshold');
+  }
+};
+
+// Approve proposal
+// This function sends a signer's approval of an open proposal.
+export const approveProposal = async (id, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.approveProposal', params: { id } }, contract.provider, () => contract.approveProposal(id, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to approve proposal');
+  }
+};
+
+// Execute proposal
+// This function sends a signer's transaction executing an open proposal that has reached the threshold.
+export const executeProposal = async (id, overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    return await sendTransaction({ key: 'transactions.labels.executeProposal', params: { id } }, contract.provider, () => contract.executeProposal(id, overrides));
+  } catch (error) {
+    throw decodeError(error, 'Failed to execute proposal');
+  }
+};
+
+// Get treasury data
+// This function reads the treasury's signers and threshold and its latest PROPOSALS_SHOWN proposals, newest first,
+// with the signers that approved each one (two batched calls). Returns { signers, threshold, total, proposals },
+// where each proposal is { id, kind, proposer, target, amount, token, threshold, expiresAt, executed, expired, approvals }:
+// 'amount' is set for withdrawals, in ETH or, for token withdrawals, in whole tokens of 'token' (from getTokenInfo),
+// and 'threshold' for signer and threshold changes. 'expiresAt' is in milliseconds and 'expired' is checked against
+// the latest block, as the contract does.
+export const getTreasuryData = async () => {
+  try {
+    const contract = await getContract();
+    const unwrap = (results) => results.map((result) => {
+      if (!result.success) throw result.error;
+      return result.value;
+    });
+
+    const [signers, threshold, count] = unwrap(await batchCalls(contract.provider, [
+      { contract, method: 'getSigners' },
+      { contract, method: 'threshold' },
+      { contract, method: 'proposalCount' },
+    ]));
+    const total = count.toNumber();
+    const ids = [];
+    for (let id = total - 1; id >= Math.max(0, total - PROPOSALS_SHOWN); id -= 1) {
+      ids.push(id);
+    }
+
+    const [values, latestBlock] = await Promise.all([
+      batchCalls(contract.provider, ids.flatMap((id) => [
+        { contract, method: 'getProposal', args: [id] },
+        { contract, method: 'getApprovals', args: [id] },
+      ])).then(unwrap),
+      contract.provider.getBlock('latest'),
+    ]);
+
+    // Token withdrawals are shown in whole tokens, so their tokens are read first
+    const tokenAddresses = [...new Set(ids
+      .map((id, index) => values[index * 2])
+      .filter((proposal) => PROPOSAL_KINDS[proposal.kind] === 'tokenWithdrawal')
+      .map((proposal) => proposal.token))];
+    const tokens = new Map(await Promise.all(tokenAddresses.map(async (address) => [address, await getTokenInfo(address)])));
+
+    const proposals = ids.map((id, index) => {
+      const proposal = values[index * 2];
+      const kind = PROPOSAL_KINDS[proposal.kind];
+      const token = kind === 'tokenWithdrawal' ? tokens.get(proposal.token) : null;
+      let amount = null;
+      if (kind === 'withdrawal') amount = ethers.utils.formatEther(proposal.value);
+      if (token) amount = ethers.utils.formatUnits(proposal.value, token.decimals);
+      return {
+        id,
+        kind,
+        proposer: proposal.proposer,
+        target: proposal.target,
+        amount,
+        token,
+        threshold: amount === null ? proposal.value.toNumber() : null,
+        expiresAt: proposal.expiresAt.toNumber() * 1000,
+        executed: proposal.executed,
+        expired: proposal.expiresAt.toNumber() < latestBlock.timestamp,
+        approvals: values[index * 2 + 1],
+      };
+    });
+
+    return { signers, threshold: threshold.toNumber(), total, proposals };
+  } catch (error) {
+    throw decodeError(error, 'Failed to get treasury data');
+  }
+};
+
+// Get deposits of an account
+// This function retrieves how much ETH an address has deposited and not withdrawn yet.
+export const getDepositOf = async (address) => {
+  try {
+    const contract = await getContract();
+    const balance = await contract.depositOf(address);
+    return ethers.utils.formatEther(balance);
+  } catch (error) {
+    throw decodeError(error, 'Failed to get deposits');
   }
 };
 
@@ -166,26 +921,355 @@ export const getBalance = async () => {
     const balance = await contract.getBalance();
     return ethers.utils.formatEther(balance);
   } catch (error) {
-    throw new Error(`Failed to get balance: ${error.message}`);
+    throw decodeError(error, 'Failed to get balance');
   }
 };
 
+// Get contract data
+// This function reads everything the main view shows in one batch (a single Multicall3 call where available):
+// owner, pending owner (null if none), contract balance, message count and the deposits of 'account'.
+// Balances are returned in ETH.
+export const getContractData = async (account = null) => {
+  try {
+    const contract = await getContract();
+    const calls = [
+      { contract, method: 'owner' },
+      { contract, method: 'pendingOwner' },
+      { contract, method: 'getBalance' },
+      { contract, method: 'messageCount' },
+    ];
+    if (account) {
+      calls.push({ contract, method: 'depositOf', args: [account] });
+    }
+
+    const values = (await batchCalls(contract.provider, calls)).map((result) => {
+      if (!result.success) throw result.error;
+      return result.value;
+    });
+    const [owner, pendingOwner, balance, messageCount, deposits] = values;
+    return {
+      owner,
+      pendingOwner: pendingOwner === ethers.constants.AddressZero ? null : pendingOwner,
+      balance: ethers.utils.formatEther(balance),
+      messageCount: messageCount.toNumber(),
+      deposits: deposits ? ethers.utils.formatEther(deposits) : '0',
+    };
+  } catch (error) {
+    throw decodeError(error, 'Failed to get contract data');
+  }
+};
+
+// Decode the logs emitted by the contract, skipping other contracts' logs and events missing from the ABI
+const parseContractEvents = (contract, logs) => {
+  return logs
+    .filter((log) => log.address.toLowerCase() === contract.address.toLowerCase())
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        // Not an event of this ABI
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Get transaction details
+// This function looks up a transaction on the displayed network for the transaction view: the transaction itself,
+// its receipt (null while pending), the time of its block, and, when it was sent to the contract in use, the decoded
+// call and contract events. Returns null when the node does not know the transaction.
+export const getTransactionDetails = async (hash) => {
+  try {
+    const contract = await getContract();
+    const provider = contract.provider;
+    const { chainId } = await provider.getNetwork();
+    const transaction = await provider.getTransaction(hash);
+    if (!transaction) return null;
+
+    const toContract = Boolean(transaction.to) && transaction.to.toLowerCase() === contract.address.toLowerCase();
+    let call = null;
+    if (toContract) {
+      try {
+        call = contract.interface.parseTransaction({ data: transaction.data, value: transaction.value });
+      } catch {
+        // Not a function of this ABI (e.g. a plain ETH transfer)
+        call = null;
+      }
+    }
+
+    const receipt = transaction.blockNumber ? await provider.getTransactionReceipt(hash) : null;
+    const block = receipt ? await provider.getBlock(receipt.blockNumber) : null;
+    const gasPrice = receipt ? receipt.effectiveGasPrice || transaction.gasPrice : null;
+
+    return {
+      chainId,
+      contractAddress: contract.address,
+      toContract,
+      transaction,
+      receipt,
+      timestamp: block ? block.timestamp * 1000 : null,
+      fee: receipt && gasPrice ? receipt.gasUsed.mul(gasPrice) : null,
+      call,
+      events: receipt ? parseContractEvents(contract, receipt.logs) : [],
+    };
+  } catch (error) {
+    throw decodeError(error, 'Failed to get transaction');
+  }
+};
+
+// Call contract function
+// This function calls a view or pure function by its signature (e.g. 'depositOf(address)') for the developer console,
+// and returns every decoded output, even when the function has a single one.
+export const callContractFunction = async (signature, args = []) => {
+  try {
+    const contract = await getContract();
+    return await contract.functions[signature](...args);
+  } catch (error) {
+    throw decodeError(error, `Failed to call ${signature}`);
+  }
+};
+
+// Send contract function
+// This function sends a transaction to any function by its signature for the developer console.
+// 'overrides' carries the fees and, for payable functions, the ETH value.
+// Returns the receipt and the contract events it emitted, decoded with the ABI.
+export const sendContractFunction = async (signature, args = [], overrides = {}) => {
+  try {
+    const contract = await getContract(true);
+    const label = { key: 'transactions.labels.console', params: { name: contract.interface.getFunction(signature).name } };
+    const receipt = await sendTransaction(label, contract.provider, () => contract[signature](...args, overrides));
+    return { receipt, events: parseContractEvents(contract, receipt.logs) };
+  } catch (error) {
+    throw decodeError(error, `Failed to send ${signature}`);
+  }
+};
+
+// Resume pending transactions
+// This function watches again the transactions left pending before a reload.
+// Each one is followed through the wallet when it is on the transaction's chain, otherwise through the read-only provider.
+export const resumePendingTransactions = async () => {
+  let walletChainId = null;
+  const walletProvider = getActiveProvider();
+  if (walletProvider) {
+    walletChainId = await getChainId();
+  }
+
+  resumeTransactions((chainId) => {
+    if (chainId === walletChainId) {
+      return new ethers.providers.Web3Provider(walletProvider);
+    }
+    return getReadOnlyProvider(chainId);
+  });
+};
+
 // Listen for account changes
 // This function sets up a listener for changes in the connected wallet account.
+// The callback receives the new account, or null when the wallet disconnects. Returns a function that stops listening.
 export const listenForAccountChanges = (callback) => {
-  if (window.ethereum) {
-    window.ethereum.on('accountsChanged', (accounts) => {
-      callback(accounts[0] || null);
-    });
-  }
+  const provider = getActiveProvider();
+  if (!provider) return () => {};
+
+  const handleAccountsChanged = (accounts) => {
+    callback(accounts[0] || null);
+  };
+  provider.on('accountsChanged', handleAccountsChanged);
+  return () => {
+    provider.removeListener('accountsChanged', handleAccountsChanged);
+  };
 };
 
 // Listen for network changes
 // This function sets up a listener for changes in the connected network.
+// The callback receives the new chain ID and whether the contract is deployed on it. Returns a function that stops listening.
 export const listenForNetworkChanges = (callback) => {
-  if (window.ethereum) {
-    window.ethereum.on('chainChanged', (chainId) => {
-      callback(chainId === '0xaa36a7'); // Check if Sepolia
+  const provider = getActiveProvider();
+  if (!provider) return () => {};
+
+  const handleChainChanged = (chainId) => {
+    const id = toChainIdNumber(chainId);
+    callback(id, isSupportedChain(id));
+  };
+  provider.on('chainChanged', handleChainChanged);
+  return () => {
+    provider.removeListener('chainChanged', handleChainChanged);
+  };
+};
+
+// Contract events shown in the activity feed
+const ACTIVITY_EVENTS = ['MessageStored', 'Deposited', 'Withdrawn', 'TokenDeposited', 'TokenWithdrawn'];
+
+// Number of blocks scanned when backfilling the activity feed (public RPCs limit the range of a log query)
+export const ACTIVITY_LOOKBACK_BLOCKS = 5000;
+
+// Read the tokens of token events
+// This function reads the info of every token named by TokenDeposited and TokenWithdrawn events (decoded with
+// ethers) with readTokens.
+const readEventTokens = async (events) => {
+  const addresses = [...new Set(events.map((event) => event.args.token).filter(Boolean))];
+  return await readTokens(addresses);
+};
+
+// Format a contract event
+// This function turns an ethers event into a plain activity entry. The amount of a token event is in whole tokens of
+// 'token' (from getTokenInfo), or null when the token could not be read.
+const formatContractEvent = (event, chainId, tokens) => {
+  const tokenAddress = event.args.token;
+  const entry = {
+    id: `${event.transactionHash}-${event.logIndex}`,
+    type: event.event,
+    chainId,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    account: tokenAddress ? event.args[1] : event.args[0],
+    message: null,
+    amount: null,
+    token: tokenAddress ? tokens.get(tokenAddress) : null,
+  };
+
+  if (event.event === 'MessageStored') {
+    entry.message = event.args.message;
+  } else if (!tokenAddress) {
+    entry.amount = ethers.utils.formatEther(event.args.amount);
+  } else if (entry.token) {
+    entry.amount = ethers.utils.formatUnits(event.args.amount, entry.token.decimals);
+  }
+  return entry;
+};
+
+// Get contract events
+// This function backfills the activity feed with the contract events of the last ACTIVITY_LOOKBACK_BLOCKS blocks, newest first.
+export const getContractEvents = async (lookbackBlocks = ACTIVITY_LOOKBACK_BLOCKS) => {
+  try {
+    const contract = await getContract();
+    const { chainId } = await contract.provider.getNetwork();
+    const latestBlock = await contract.provider.getBlockNumber();
+    const fromBlock = Math.max(0, latestBlock - lookbackBlocks);
+
+    const results = await Promise.all(
+      ACTIVITY_EVENTS.map((name) => contract.queryFilter(contract.filters[name](), fromBlock, latestBlock))
+    );
+
+    const events = results.flat();
+    const tokens = await readEventTokens(events);
+    return events
+      .map((event) => formatContractEvent(event, chainId, tokens))
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  } catch (error) {
+    throw decodeError(error, 'Failed to get contract events');
+  }
+};
+
+// Get interaction history
+// This function scans the contract events between 'fromBlock' and 'toBlock' in chunked eth_getLogs requests and
+// returns the history records, oldest first, with the scanned range. 'toBlock' defaults to the latest block and
+// 'fromBlock' to ACTIVITY_LOOKBACK_BLOCKS blocks before it. Returns
+// { chainId, contractAddress, fromBlock, toBlock, account, records }.
+// Scanned blocks are cached per contract: the cached scan is first rolled back past any reorg, then only the blocks
+// it does not cover are requested.
+// When 'account' is set, only the records it sent or is the account of are kept.
+// 'onProgress' receives { scanned, total } (in blocks) while the logs are scanned.
+export const getInteractionHistory = async ({ fromBlock = null, toBlock = null, account = null, onProgress = null }) => {
+  try {
+    const contract = await getContract();
+    const provider = contract.provider;
+    const { chainId } = await provider.getNetwork();
+    const latestBlock = await provider.getBlockNumber();
+    const lastBlock = toBlock === null ? latestBlock : Math.min(toBlock, latestBlock);
+    const firstBlock = fromBlock === null ? Math.max(0, lastBlock - ACTIVITY_LOOKBACK_BLOCKS) : fromBlock;
+
+    // A scan saved in an older record format (e.g. before token events were recorded) is scanned again
+    const savedScan = await loadCachedScan(chainId, contract.address);
+    const cachedScan = savedScan && savedScan.version === HISTORY_FORMAT_VERSION
+      ? await rollBackReorg(provider, savedScan)
+      : null;
+    const extendable = canExtendScan(cachedScan, firstBlock, lastBlock);
+    const ranges = getMissingRanges(cachedScan, firstBlock, lastBlock);
+    const total = ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+
+    // One topic list matches any of the history events
+    const topics = [Object.keys(HISTORY_EVENTS).map((name) => contract.interface.getEventTopic(name))];
+    const logs = [];
+    let scanned = 0;
+    for (const [start, end] of ranges) {
+      logs.push(...(await getLogsInChunks(provider, { address: contract.address, topics }, start, end, {
+        onProgress: onProgress && ((progress) => onProgress({ scanned: scanned + progress.scanned, total }))
+      })));
+      scanned += end - start + 1;
+    }
+
+    // Receipts (sender and gas) and blocks (timestamp) are fetched once per transaction and per block
+    const receipts = await fetchInBatches([...new Set(logs.map((log) => log.transactionHash))], async (hash) => {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt.effectiveGasPrice) return receipt;
+      // Nodes from before EIP-1559 do not report the effective gas price in receipts
+      const transaction = await provider.getTransaction(hash);
+      return { ...receipt, effectiveGasPrice: transaction.gasPrice };
     });
+    const blocks = await fetchInBatches([...new Set(logs.map((log) => log.blockNumber))], (number) => provider.getBlock(number));
+
+    const events = logs.map((log) => contract.interface.parseLog(log));
+    const tokens = await readEventTokens(events);
+
+    const entries = logs.map((log, index) => ({
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      record: formatHistoryRecord(
+        events[index],
+        receipts.get(log.transactionHash),
+        blocks.get(log.blockNumber),
+        events[index].args.token ? tokens.get(events[index].args.token) : null
+      ),
+    }));
+
+    // A range the cached scan cannot be extended to replaces it, unless it ends before it (e.g. an export of old blocks)
+    const scan = ranges.length === 0
+      ? cachedScan
+      : await mergeScan(provider, extendable ? cachedScan : null, firstBlock, lastBlock, entries);
+    if (scan !== savedScan && (extendable || !cachedScan || scan.toBlock > cachedScan.toBlock)) {
+      await saveCachedScan(chainId, contract.address, scan);
+    }
+
+    const records = scan.entries
+      .filter((entry) => entry.blockNumber >= firstBlock && entry.blockNumber <= lastBlock)
+      .map((entry) => entry.record)
+      .filter((record) => !account || recordInvolves(record, account));
+
+    return { chainId, contractAddress: contract.address, fromBlock: firstBlock, toBlock: lastBlock, account, records };
+  } catch (error) {
+    throw decodeError(error, 'Failed to export history');
   }
 };
+
+// Listen for contract events
+// This function subscribes to new contract events and passes each one to the callback as an activity entry.
+// Returns a function that removes the subscriptions.
+export const listenForContractEvents = async (callback) => {
+  const contract = await getContract();
+  const { chainId } = await contract.provider.getNetwork();
+
+  const handlers = ACTIVITY_EVENTS.map((name) => {
+    // ethers passes the decoded arguments first and the event object last
+    const handler = async (...args) => {
+      const event = args[args.length - 1];
+      callback(formatContractEvent(event, chainId, await readEventTokens([event])));
+    };
+    contract.on(name, handler);
+    return [name, handler];
+  });
+
+  return () => {
+    handlers.forEach(([name, handler]) => contract.off(name, handler));
+  };
+};
+
+// Listen for new blocks
+// This function calls the callback with the block number whenever a new block is mined on the network being read.
+// Returns a function that stops listening.
+export const listenForBlocks = async (callback) => {
+  const provider = await getReadProvider();
+  provider.on('block', callback);
+  return () => {
+    provider.off('block', callback);
+  };
+};
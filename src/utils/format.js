@@ -0,0 +1,6 @@
+// Format account address for display
+// This function shortens the wallet address for better readability.
+export const formatAddress = (address) => {
+  if (!address) return '';
+  return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+};
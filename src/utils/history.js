@@ -0,0 +1,226 @@
+// Interaction history
+// The record of everything done with the contract over a block range, for the CSV and JSON exports.
+// Public RPCs cap the block range (and the number of results) of eth_getLogs, so ranges are scanned in chunks,
+// and a chunk the node rejects is split in two until it fits. Scanned ranges are cached (see utils/cache.js), so later
+// scans only cover the blocks that are not cached yet.
+import { ethers } from 'ethers';
+import { CACHE_REORG_DEPTH } from './cache';
+
+// Number of blocks requested per eth_getLogs call
+export const HISTORY_CHUNK_SIZE = 2000;
+
+// Smallest chunk tried before giving up on a failing range
+const MIN_CHUNK_SIZE = 16;
+
+// Number of receipts or blocks requested in parallel
+const FETCH_BATCH_SIZE = 10;
+
+// Version of the record format, kept with cached scans so the ones saved in an older format are scanned again
+export const HISTORY_FORMAT_VERSION = 2;
+
+// Contract events in the history, with the action they record and the argument holding the account involved
+export const HISTORY_EVENTS = {
+  Deposited: { action: 'deposit', account: 'from' },
+  Withdrawn: { action: 'withdrawal', account: 'to' },
+  TokenDeposited: { action: 'token-deposit', account: 'from' },
+  TokenWithdrawn: { action: 'token-withdrawal', account: 'to' },
+  MessageStored: { action: 'message', account: 'author' },
+  OwnershipTransferStarted: { action: 'ownership-transfer-started', account: 'newOwner' },
+  OwnershipTransferred: { action: 'ownership-transferred', account: 'newOwner' },
+  ProposalCreated: { action: 'proposal-created', account: 'proposer' },
+  ProposalApproved: { action: 'proposal-approved', account: 'signer' },
+  ProposalExecuted: { action: 'proposal-executed', account: 'executor' },
+  SignerAdded: { action: 'signer-added', account: 'signer' },
+  SignerRemoved: { action: 'signer-removed', account: 'signer' },
+};
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'blockNumber',
+  'timestamp',
+  'transactionHash',
+  'from',
+  'action',
+  'account',
+  'token',
+  'symbol',
+  'amount',
+  'amountRaw',
+  'gasPaidEth',
+  'gasPaidWei',
+];
+
+// Get logs in chunks
+// This function runs eth_getLogs over [fromBlock, toBlock] in chunks of at most 'chunkSize' blocks, halving the chunk
+// whenever the node rejects one (range or result limits), and returns every log in block order.
+// 'onProgress' receives { scanned, total } (in blocks) after each chunk.
+export const getLogsInChunks = async (provider, filter, fromBlock, toBlock, { chunkSize = HISTORY_CHUNK_SIZE, onProgress = null } = {}) => {
+  const logs = [];
+  const total = toBlock - fromBlock + 1;
+  let size = chunkSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      logs.push(...(await provider.getLogs({ ...filter, fromBlock: start, toBlock: end })));
+    } catch (error) {
+      if (size <= MIN_CHUNK_SIZE) throw error;
+      size = Math.ceil(size / 2);
+      continue;
+    }
+
+    start = end + 1;
+    if (onProgress) onProgress({ scanned: start - fromBlock, total });
+  }
+  return logs;
+};
+
+// Fetch one value per key, a few requests at a time, and return them in a Map keyed by 'key'
+export const fetchInBatches = async (keys, fetch) => {
+  const results = new Map();
+  for (let index = 0; index < keys.length; index += FETCH_BATCH_SIZE) {
+    const batch = keys.slice(index, index + FETCH_BATCH_SIZE);
+    const values = await Promise.all(batch.map(fetch));
+    batch.forEach((key, position) => results.set(key, values[position]));
+  }
+  return results;
+};
+
+// Check whether a cached scan can be extended to [fromBlock, toBlock]: the ranges overlap or touch
+export const canExtendScan = (scan, fromBlock, toBlock) => {
+  return Boolean(scan) && fromBlock <= scan.toBlock + 1 && toBlock >= scan.fromBlock - 1;
+};
+
+// Get missing ranges
+// This function returns the [from, to] block ranges of [fromBlock, toBlock] that a cached scan does not cover,
+// or the whole range when the scan cannot be extended to it.
+export const getMissingRanges = (scan, fromBlock, toBlock) => {
+  if (!canExtendScan(scan, fromBlock, toBlock)) return [[fromBlock, toBlock]];
+
+  const ranges = [];
+  if (fromBlock < scan.fromBlock) ranges.push([fromBlock, scan.fromBlock - 1]);
+  if (toBlock > scan.toBlock) ranges.push([scan.toBlock + 1, toBlock]);
+  return ranges;
+};
+
+// Roll back reorged blocks
+// This function checks the hashes kept for the last scanned blocks against the chain, newest first, and returns the
+// scan cut back to the newest block still on the chain, dropping the entries of the blocks after it.
+// Returns null when none of them is left (a reorg deeper than CACHE_REORG_DEPTH, or a reset local node).
+export const rollBackReorg = async (provider, scan) => {
+  const numbers = Object.keys(scan.blockHashes).map(Number).sort((a, b) => b - a);
+  for (const number of numbers) {
+    const block = await provider.getBlock(number);
+    if (!block || block.hash !== scan.blockHashes[number]) continue;
+    if (number === scan.toBlock) return scan;
+
+    return {
+      ...scan,
+      toBlock: number,
+      blockHashes: Object.fromEntries(numbers.filter((kept) => kept <= number).map((kept) => [kept, scan.blockHashes[kept]])),
+      entries: scan.entries.filter((entry) => entry.blockNumber <= number),
+    };
+  }
+  return null;
+};
+
+// Merge scans
+// This function adds the entries of newly scanned ranges to a cached scan (or starts one) and keeps the hashes of
+// its last CACHE_REORG_DEPTH blocks, fetching the ones it does not know yet. 'scan' is null or can be extended to
+// [fromBlock, toBlock].
+export const mergeScan = async (provider, scan, fromBlock, toBlock, entries) => {
+  const firstBlock = scan ? Math.min(fromBlock, scan.fromBlock) : fromBlock;
+  const lastBlock = scan ? Math.max(toBlock, scan.toBlock) : toBlock;
+  const known = scan ? scan.blockHashes : {};
+
+  const numbers = [];
+  for (let number = lastBlock; number >= Math.max(firstBlock, lastBlock - CACHE_REORG_DEPTH + 1); number -= 1) {
+    numbers.push(number);
+  }
+  const blocks = await fetchInBatches(numbers.filter((number) => !known[number]), (number) => provider.getBlock(number));
+
+  return {
+    version: HISTORY_FORMAT_VERSION,
+    fromBlock: firstBlock,
+    toBlock: lastBlock,
+    blockHashes: Object.fromEntries(numbers.map((number) => [number, known[number] || blocks.get(number).hash])),
+    entries: [...(scan ? scan.entries : []), ...entries]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex),
+  };
+};
+
+// Format history record
+// This function turns a decoded contract event, with the receipt and block of its transaction, into a history record.
+// Amounts are given in whole units of 'symbol' and in the smallest unit ('amountRaw'): ETH and wei, or for token
+// events the token (from getTokenInfo, null when it could not be read) and its base units, with 'token' set to its
+// address. 'gasPaidWei' is the fee of the whole transaction.
+export const formatHistoryRecord = (event, receipt, block, token = null) => {
+  const { action, account } = HISTORY_EVENTS[event.name];
+  const amount = event.args.amount;
+  const tokenAddress = event.args.token || '';
+  const gasPrice = receipt.effectiveGasPrice || ethers.constants.Zero;
+  const gasPaid = receipt.gasUsed.mul(gasPrice);
+
+  let symbol = '';
+  let formatted = '';
+  if (amount && !tokenAddress) {
+    symbol = 'ETH';
+    formatted = ethers.utils.formatEther(amount);
+  } else if (amount && token) {
+    symbol = token.symbol;
+    formatted = ethers.utils.formatUnits(amount, token.decimals);
+  }
+
+  return {
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+    transactionHash: receipt.transactionHash,
+    from: receipt.from,
+    action,
+    account: event.args[account],
+    token: tokenAddress,
+    symbol,
+    amount: formatted,
+    amountRaw: amount ? amount.toString() : '',
+    gasPaidEth: ethers.utils.formatEther(gasPaid),
+    gasPaidWei: gasPaid.toString(),
+  };
+};
+
+// Check whether a record involves an address, as the transaction sender or as the account of the event
+export const recordInvolves = (record, address) => {
+  const target = address.toLowerCase();
+  return record.from.toLowerCase() === target || (record.account || '').toLowerCase() === target;
+};
+
+// Quote a CSV field when it contains a separator, a quote or a line break
+// Some fields come from the chain (e.g. a token's symbol), so a field a spreadsheet would run as a formula (starting
+// with =, +, -, @, a tab or a carriage return) is prefixed with ' first.
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Convert records to CSV, with a header row
+export const toCsv = (records) => {
+  const rows = records.map((record) => CSV_COLUMNS.map((column) => toCsvField(record[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+// Convert an export (the scanned range and its records) to indented JSON
+export const toJson = (history) => JSON.stringify(history, null, 2);
+
+// Download file
+// This function saves 'content' as a file through a temporary link, without a round trip to a server.
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,230 @@
+// Interaction history tests
+// These tests cover the chunked log scan, the cached-scan bookkeeping (missing ranges and reorg rollback) and the
+// CSV and JSON exports, against providers that only implement the calls each function makes.
+import { ethers } from 'ethers';
+import { describe, expect, it } from 'vitest';
+import {
+  formatHistoryRecord,
+  getLogsInChunks,
+  getMissingRanges,
+  mergeScan,
+  rollBackReorg,
+  toCsv,
+  toJson,
+} from './history';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// Provider whose getLogs returns one log per requested range, recording the ranges, and rejects ranges wider than
+// 'maxRange' blocks like a public RPC does
+const createLogProvider = (maxRange = Infinity) => {
+  const ranges = [];
+  return {
+    ranges,
+    getLogs: async ({ fromBlock, toBlock }) => {
+      if (toBlock - fromBlock + 1 > maxRange) throw new Error('block range too large');
+      ranges.push([fromBlock, toBlock]);
+      return [{ blockNumber: fromBlock }];
+    },
+  };
+};
+
+// Provider serving blocks whose hash is given by 'hashOf' (null for a block the node does not have)
+const createBlockProvider = (hashOf) => ({
+  getBlock: async (number) => {
+    const hash = hashOf(number);
+    return hash ? { number, hash } : null;
+  },
+});
+
+// History record with every CSV column set, as formatHistoryRecord returns it
+const record = (fields = {}) => ({
+  blockNumber: 7,
+  timestamp: '2024-01-01T00:00:00.000Z',
+  transactionHash: '0xabc',
+  from: ADDRESS,
+  action: 'deposit',
+  account: ADDRESS,
+  token: '',
+  symbol: 'ETH',
+  amount: '1.5',
+  amountRaw: '1500000000000000000',
+  gasPaidEth: '0.0001',
+  gasPaidWei: '100000000000000',
+  ...fields,
+});
+
+describe('getLogsInChunks', () => {
+  it('splits a range into chunks and reports the progress of each', async () => {
+    const provider = createLogProvider();
+    const progress = [];
+
+    const logs = await getLogsInChunks(provider, { address: ADDRESS }, 100, 124, {
+      chunkSize: 10,
+      onProgress: (update) => progress.push(update),
+    });
+
+    expect(provider.ranges).toEqual([[100, 109], [110, 119], [120, 124]]);
+    expect(logs.map((log) => log.blockNumber)).toEqual([100, 110, 120]);
+    expect(progress).toEqual([{ scanned: 10, total: 25 }, { scanned: 20, total: 25 }, { scanned: 25, total: 25 }]);
+  });
+
+  it('halves the chunk until the node accepts it, covering the whole range', async () => {
+    const provider = createLogProvider(30);
+
+    await getLogsInChunks(provider, {}, 0, 99, { chunkSize: 100 });
+
+    expect(provider.ranges.every(([from, to]) => to - from + 1 <= 30)).toBe(true);
+    expect(provider.ranges[0][0]).toBe(0);
+    expect(provider.ranges.at(-1)[1]).toBe(99);
+    provider.ranges.slice(1).forEach(([from], index) => expect(from).toBe(provider.ranges[index][1] + 1));
+  });
+
+  it('gives up once the smallest chunk is rejected', async () => {
+    const provider = createLogProvider(0);
+
+    await expect(getLogsInChunks(provider, {}, 0, 99, { chunkSize: 64 })).rejects.toThrow('block range too large');
+  });
+});
+
+describe('getMissingRanges', () => {
+  const scan = { fromBlock: 100, toBlock: 200 };
+
+  it('returns only the blocks on either side of a cached scan', () => {
+    expect(getMissingRanges(scan, 50, 250)).toEqual([[50, 99], [201, 250]]);
+    expect(getMissingRanges(scan, 120, 180)).toEqual([]);
+    expect(getMissingRanges(scan, 201, 210)).toEqual([[201, 210]]);
+  });
+
+  it('returns the whole range when there is no scan, or it cannot be extended', () => {
+    expect(getMissingRanges(null, 1, 10)).toEqual([[1, 10]]);
+    expect(getMissingRanges(scan, 300, 400)).toEqual([[300, 400]]);
+  });
+});
+
+describe('rollBackReorg', () => {
+  const scan = {
+    fromBlock: 1,
+    toBlock: 12,
+    blockHashes: { 10: '0x10', 11: '0x11', 12: '0x12' },
+    entries: [{ blockNumber: 9 }, { blockNumber: 11 }, { blockNumber: 12 }],
+  };
+
+  it('keeps a scan whose last block is still on the chain', async () => {
+    const provider = createBlockProvider((number) => `0x${number}`);
+
+    expect(await rollBackReorg(provider, scan)).toBe(scan);
+  });
+
+  it('cuts the scan back to the newest block still on the chain', async () => {
+    const provider = createBlockProvider((number) => (number >= 11 ? `0x${number}-reorged` : `0x${number}`));
+
+    const rolledBack = await rollBackReorg(provider, scan);
+
+    expect(rolledBack.toBlock).toBe(10);
+    expect(rolledBack.blockHashes).toEqual({ 10: '0x10' });
+    expect(rolledBack.entries).toEqual([{ blockNumber: 9 }]);
+  });
+
+  it('returns null when none of the kept blocks is left', async () => {
+    const provider = createBlockProvider(() => null);
+
+    expect(await rollBackReorg(provider, scan)).toBeNull();
+  });
+});
+
+describe('mergeScan', () => {
+  it('adds new entries in block order and only fetches the hashes it does not know', async () => {
+    const fetched = [];
+    const provider = createBlockProvider((number) => {
+      fetched.push(number);
+      return `0x${number}`;
+    });
+    const scan = { fromBlock: 1, toBlock: 20, blockHashes: { 20: '0x20' }, entries: [{ blockNumber: 5, logIndex: 0 }] };
+
+    const merged = await mergeScan(provider, scan, 21, 22, [{ blockNumber: 22, logIndex: 1 }, { blockNumber: 21, logIndex: 0 }]);
+
+    expect(merged).toMatchObject({ fromBlock: 1, toBlock: 22 });
+    expect(merged.entries.map((entry) => entry.blockNumber)).toEqual([5, 21, 22]);
+    expect(merged.blockHashes[20]).toBe('0x20');
+    expect(fetched).not.toContain(20);
+  });
+});
+
+describe('formatHistoryRecord', () => {
+  const receipt = {
+    blockNumber: 7,
+    transactionHash: '0xabc',
+    from: ADDRESS,
+    gasUsed: ethers.BigNumber.from(21000),
+    effectiveGasPrice: ethers.BigNumber.from(2),
+  };
+  const block = { timestamp: 1704067200 };
+
+  it('gives token amounts in the decimals of the token', () => {
+    const token = { address: ADDRESS, symbol: 'sUSD', decimals: 6 };
+    const event = { name: 'TokenDeposited', args: { token: ADDRESS, from: ADDRESS, amount: ethers.BigNumber.from(12500000) } };
+
+    expect(formatHistoryRecord(event, receipt, block, token)).toMatchObject({
+      action: 'token-deposit',
+      token: ADDRESS,
+      symbol: 'sUSD',
+      amount: '12.5',
+      amountRaw: '12500000',
+      gasPaidWei: '42000',
+      timestamp: '2024-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('leaves the amount empty when the token could not be read', () => {
+    const event = { name: 'TokenWithdrawn', args: { token: ADDRESS, to: ADDRESS, amount: ethers.BigNumber.from(1) } };
+
+    expect(formatHistoryRecord(event, receipt, block, null)).toMatchObject({ symbol: '', amount: '', amountRaw: '1' });
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header row and one row per record', () => {
+    const lines = toCsv([record()]).split('\r\n');
+
+    expect(lines[0]).toBe('blockNumber,timestamp,transactionHash,from,action,account,token,symbol,amount,amountRaw,gasPaidEth,gasPaidWei');
+    expect(lines[1]).toBe(`7,2024-01-01T00:00:00.000Z,0xabc,${ADDRESS},deposit,${ADDRESS},,ETH,1.5,1500000000000000000,0.0001,100000000000000`);
+  });
+
+  it('quotes fields holding a separator, a quote or a line break', () => {
+    const [, row] = toCsv([record({ symbol: 'a,b', action: 'say "hi"', token: 'line\nbreak' })]).split('\r\n');
+
+    expect(row).toContain(',"say ""hi""",');
+    expect(row).toContain(',"line\nbreak","a,b",');
+  });
+
+  it('prefixes fields a spreadsheet would run as a formula', () => {
+    const symbolField = (symbol) => toCsv([record({ symbol })]).split('\r\n')[1].split(`${ADDRESS},,`)[1];
+
+    expect(symbolField('=1+1')).toBe("'=1+1,1.5,1500000000000000000,0.0001,100000000000000");
+    expect(symbolField('+1')).toMatch(/^'\+1,/);
+    expect(symbolField('-1')).toMatch(/^'-1,/);
+    expect(symbolField('@SUM(A1)')).toMatch(/^'@SUM\(A1\),/);
+    expect(symbolField('\tx')).toMatch(/^'\tx,/);
+    expect(symbolField('\rx')).toMatch(/^"'\rx",/);
+    expect(symbolField('=HYPERLINK("http://x")')).toMatch(/^"'=HYPERLINK\(""http:\/\/x""\)",/);
+    expect(symbolField('ETH=')).toMatch(/^ETH=,/);
+  });
+
+  it('writes missing values as empty fields', () => {
+    const [, row] = toCsv([record({ token: null, symbol: undefined })]).split('\r\n');
+
+    expect(row).toContain(`,${ADDRESS},,,1.5,`);
+  });
+});
+
+describe('toJson', () => {
+  it('writes the export as indented JSON that reads back unchanged', () => {
+    const history = { chainId: 31337, fromBlock: 1, toBlock: 7, records: [record()] };
+
+    const json = toJson(history);
+
+    expect(json).toContain('\n  "chainId": 31337');
+    expect(JSON.parse(json)).toEqual(history);
+  });
+});
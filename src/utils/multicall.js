@@ -0,0 +1,75 @@
+// Batched reads (Multicall3)
+// Several view calls are sent as one aggregate3 call to the Multicall3 contract, which is deployed at the same
+// address on most networks. Where it is not deployed (e.g. a fresh local node or the sandbox) the calls are sent
+// in parallel instead, so callers get the same results either way.
+import { ethers } from 'ethers';
+import { decodeError } from './errors';
+
+// Multicall3 address (identical on every network it is deployed to)
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Multicall3 function used for batching
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+// Whether Multicall3 is deployed, checked once per chain
+const availability = new Map();
+
+// Check whether Multicall3 is deployed on the provider's chain
+const isMulticallAvailable = (provider, chainId) => {
+  if (!availability.has(chainId)) {
+    availability.set(chainId, provider.getCode(MULTICALL3_ADDRESS)
+      .then((code) => code !== '0x')
+      .catch(() => {
+        // Check again next time instead of remembering a network failure
+        availability.delete(chainId);
+        return false;
+      }));
+  }
+  return availability.get(chainId);
+};
+
+// Aggregate calls through Multicall3
+const aggregate = async (provider, calls) => {
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+  const results = await multicall.callStatic.aggregate3(calls.map(({ contract, method, args = [] }) => ({
+    target: contract.address,
+    allowFailure: true,
+    callData: contract.interface.encodeFunctionData(method, args),
+  })));
+
+  return results.map(({ success, returnData }, index) => {
+    const { contract, method } = calls[index];
+    if (!success) {
+      // returnData holds the revert payload of the failed call
+      return { success: false, error: decodeError({ message: 'execution reverted', data: returnData }, `Failed to call ${method}`) };
+    }
+    const decoded = contract.interface.decodeFunctionResult(method, returnData);
+    return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+  });
+};
+
+// Batch calls
+// This function runs several view calls, each { contract, method, args }, with as few RPC requests as possible.
+// Returns one { success, value } or { success: false, error } per call, in order, so one failing call
+// does not hide the others. Values are the same as calling contract[method](...args) directly.
+export const batchCalls = async (provider, calls) => {
+  if (calls.length > 1) {
+    const { chainId } = await provider.getNetwork();
+    if (await isMulticallAvailable(provider, chainId)) {
+      try {
+        return await aggregate(provider, calls);
+      } catch (error) {
+        console.warn('Multicall3 batch failed, falling back to parallel calls:', error);
+      }
+    }
+  }
+
+  const settled = await Promise.allSettled(calls.map(({ contract, method, args = [] }) => contract[method](...args)));
+  return settled.map((result, index) => (
+    result.status === 'fulfilled'
+      ? { success: true, value: result.value }
+      : { success: false, error: decodeError(result.reason, `Failed to call ${calls[index].method}`) }
+  ));
+};
@@ -0,0 +1,116 @@
+// Notifications
+// Every status message of the DApp (progress, success, warnings and errors) becomes a notification: a toast that
+// dismisses itself, and an entry in the session's history. The history is kept in sessionStorage, so it survives
+// reloads but not the end of the browser session. Browser notifications are opt-in and only used for
+// transactions that settle while the tab is in the background.
+
+// Notification severities, from least to most severe
+export const NOTIFICATION_TYPES = ['loading', 'info', 'success', 'warning', 'error'];
+
+// How long a toast stays on screen, in milliseconds, by severity ('loading' toasts stay until the next notification)
+export const TOAST_DURATIONS = {
+  info: 5000,
+  success: 5000,
+  warning: 8000,
+  error: 10000,
+};
+
+// Number of notifications kept in the history
+export const HISTORY_LIMIT = 100;
+
+// sessionStorage key holding the notification history
+const HISTORY_KEY = 'eth-dapp:notifications';
+
+// localStorage key remembering whether browser notifications are enabled
+const BROWSER_NOTIFICATIONS_KEY = 'eth-dapp:browser-notifications';
+
+// Identifier of the last notification created in this page
+let lastId = 0;
+
+// Create notification
+// This function turns a status { type, message, hint, retry, txHash, chainId } into a notification with an id and
+// a timestamp. Only 'message' is required; the type defaults to 'info'.
+export const createNotification = ({ type = 'info', message, hint = null, retry = null, txHash = null, chainId = null }) => {
+  lastId += 1;
+  return {
+    id: `${Date.now()}-${lastId}`,
+    type: NOTIFICATION_TYPES.includes(type) ? type : 'info',
+    message,
+    hint,
+    retry,
+    txHash,
+    chainId,
+    createdAt: Date.now(),
+  };
+};
+
+// Load the notification history of this browser session, newest first
+export const loadHistory = () => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+// Save the notification history
+// Retry actions are functions of the page that created them, so they are not saved.
+export const saveHistory = (history) => {
+  try {
+    const saved = history.slice(0, HISTORY_LIMIT).map(({ id, type, message, hint, txHash, chainId, createdAt }) => ({
+      id, type, message, hint, txHash, chainId, createdAt,
+    }));
+    sessionStorage.setItem(HISTORY_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Could not persist notifications:', error);
+  }
+};
+
+// Check whether the browser supports notifications
+export const isBrowserNotificationSupported = () => {
+  return typeof window !== 'undefined' && 'Notification' in window;
+};
+
+// Check whether the user enabled browser notifications and the browser still allows them
+export const areBrowserNotificationsEnabled = () => {
+  if (!isBrowserNotificationSupported() || window.Notification.permission !== 'granted') return false;
+  try {
+    return localStorage.getItem(BROWSER_NOTIFICATIONS_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+// Enable or disable browser notifications
+// Enabling asks for the browser's permission first. Resolves with whether browser notifications are now enabled.
+export const setBrowserNotificationsEnabled = async (enabled) => {
+  if (!isBrowserNotificationSupported()) return false;
+
+  const permission = enabled ? await window.Notification.requestPermission() : window.Notification.permission;
+  const active = enabled && permission === 'granted';
+  try {
+    localStorage.setItem(BROWSER_NOTIFICATIONS_KEY, String(active));
+  } catch (error) {
+    console.warn('Could not persist the notification setting:', error);
+  }
+  return active;
+};
+
+// Show browser notification
+// This function shows a system notification when they are enabled and the page is in the background.
+// 'tag' replaces an earlier notification with the same tag instead of stacking a new one.
+export const showBrowserNotification = (title, { body, tag }) => {
+  if (!areBrowserNotificationsEnabled() || !document.hidden) return;
+
+  try {
+    const notification = new window.Notification(title, { body, tag });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    // Some browsers (e.g. Chrome on Android) only allow notifications from a service worker
+    console.warn('Could not show a browser notification:', error);
+  }
+};
@@ -0,0 +1,59 @@
+// Gasless posting
+// A user without ETH signs the message (EIP-712) and a relayer submits it with storeMessageWithSig, paying the gas.
+// Relaying goes through a pluggable relayer, so a backend service can replace the local implementation
+// without changing the UI.
+import { ethers } from 'ethers';
+import { getReadOnlyProvider, storeMessageWithSig } from './ethereum';
+import { isSandboxEnabled, SANDBOX_RELAYER_PRIVATE_KEY } from '../sandbox';
+import { DEFAULT_CHAIN_ID, getSupportedNetworks, toChainIdNumber } from '../contract/networks';
+
+// Local relayer
+// Relayer interface:
+//   isAvailable(chainId) -> boolean: tells whether messages can be relayed on a network
+//   relay(request) -> Promise<receipt>: submits a signed request { chainId, message, author, nonce, deadline, signature }
+//     and resolves once the transaction is mined, or throws a decoded error
+// A backend relayer implements the same calls over HTTP and keeps its key on the server.
+// This one signs the transaction in the browser with 'privateKey' and sends it through the network's RPC.
+// It only relays on the networks in 'chainIds', where its account is expected to hold ETH.
+// The key ships with the page, so it is only meant for local development, test networks and the sandbox.
+export const createLocalRelayer = ({ privateKey, chainIds }) => {
+  return {
+    isAvailable: (chainId) => Boolean(privateKey) && chainIds.includes(toChainIdNumber(chainId)),
+
+    relay: async (request) => {
+      const signer = new ethers.Wallet(privateKey, getReadOnlyProvider(request.chainId));
+      return await storeMessageWithSig(request, signer);
+    },
+  };
+};
+
+// Relayer used to post without gas
+let relayer = null;
+
+// Set relayer
+// This function replaces the relayer, e.g. with one that calls a backend service.
+export const setRelayer = (customRelayer) => {
+  relayer = customRelayer;
+};
+
+// Get relayer
+// This function returns the configured relayer, creating the local one on first use.
+// In sandbox mode a funded test account relays on every network. Otherwise the key comes from
+// VITE_RELAYER_PRIVATE_KEY and relays on VITE_RELAYER_CHAIN_ID (the default network if unset), in development
+// builds only: production builds leave the variable out of the bundle, so they need a relayer registered with setRelayer.
+export const getRelayer = () => {
+  if (!relayer) {
+    if (isSandboxEnabled()) {
+      relayer = createLocalRelayer({
+        privateKey: SANDBOX_RELAYER_PRIVATE_KEY,
+        chainIds: getSupportedNetworks().map((network) => network.chainId),
+      });
+    } else {
+      relayer = createLocalRelayer({
+        privateKey: import.meta.env.DEV ? import.meta.env.VITE_RELAYER_PRIVATE_KEY : null,
+        chainIds: [Number(import.meta.env.VITE_RELAYER_CHAIN_ID) || DEFAULT_CHAIN_ID],
+      });
+    }
+  }
+  return relayer;
+};
@@ -0,0 +1,92 @@
+// Client-side routing
+// Each view of the DApp has its own path, so it can be bookmarked or shared. Navigation goes through the History API;
+// the Vite dev server and `vite preview` answer unknown paths with index.html, so deep links load the DApp directly.
+// The query string (e.g. ?sandbox) is kept when navigating.
+
+// Routes, matched in order. ':name' segments are captured as parameters.
+export const ROUTES = [
+  { name: 'messages', path: '/messages' },
+  { name: 'treasury', path: '/treasury' },
+  { name: 'admin', path: '/admin' },
+  { name: 'activity', path: '/activity' },
+  { name: 'console', path: '/console' },
+  { name: 'transaction', path: '/tx/:hash' },
+  { name: 'address', path: '/address/:address' },
+];
+
+// Route shown at the root path
+export const DEFAULT_ROUTE = 'messages';
+
+// Callbacks notified whenever the path changes
+const subscribers = new Set();
+
+// Split a path into its segments, ignoring leading, trailing and repeated slashes
+const toSegments = (path) => path.split('/').filter(Boolean);
+
+// Match route
+// This function finds the route of a path and returns { name, params }, or the 'notFound' route.
+export const matchRoute = (pathname) => {
+  const segments = toSegments(pathname);
+  if (segments.length === 0) return { name: DEFAULT_ROUTE, params: {} };
+
+  for (const route of ROUTES) {
+    const pattern = toSegments(route.path);
+    if (pattern.length !== segments.length) continue;
+
+    const params = {};
+    const matches = pattern.every((part, index) => {
+      if (part.startsWith(':')) {
+        try {
+          params[part.slice(1)] = decodeURIComponent(segments[index]);
+          return true;
+        } catch {
+          // Malformed escape sequence
+          return false;
+        }
+      }
+      return part === segments[index];
+    });
+    if (matches) return { name: route.name, params };
+  }
+  return { name: 'notFound', params: {} };
+};
+
+// Build path
+// This function returns the path of a route, filling in its parameters (e.g. buildPath('transaction', { hash })).
+export const buildPath = (name, params = {}) => {
+  const route = ROUTES.find((candidate) => candidate.name === name);
+  if (!route) throw new Error(`Unknown route: ${name}`);
+  return route.path.replace(/:(\w+)/g, (placeholder, key) => encodeURIComponent(params[key]));
+};
+
+// Get the URL of a path, keeping the current query string
+export const toUrl = (path) => `${path}${window.location.search}`;
+
+// Get the current path
+export const getPathname = () => window.location.pathname;
+
+// Navigate
+// This function shows the view of 'path' without reloading the page. With 'replace' the current history entry is
+// replaced instead of adding one, so "Back" skips it.
+export const navigate = (path, { replace = false } = {}) => {
+  if (path === getPathname()) return;
+  if (replace) {
+    window.history.replaceState(null, '', toUrl(path));
+  } else {
+    window.history.pushState(null, '', toUrl(path));
+  }
+  window.scrollTo(0, 0);
+  subscribers.forEach((callback) => callback());
+};
+
+// Subscribe to path changes
+// The callback runs after every navigation, including the browser's back and forward buttons.
+// Returns a function that unsubscribes.
+export const subscribeToRoute = (callback) => {
+  subscribers.add(callback);
+  window.addEventListener('popstate', callback);
+  return () => {
+    subscribers.delete(callback);
+    window.removeEventListener('popstate', callback);
+  };
+};
@@ -0,0 +1,232 @@
+// Sign-In with Ethereum (EIP-4361)
+// Connecting a wallet only proves that it exposed an address. A SIWE session proves that the account holder
+// signed a message for this site, with a one-time nonce and an expiry. Verification goes through a pluggable
+// verifier, so a backend can take over from the local (client-side) implementation without changing the UI.
+import { ethers } from 'ethers';
+import { SessionError } from './errors';
+
+// Lifetime of a session (1 hour)
+export const SESSION_DURATION_MS = 60 * 60 * 1000;
+
+// Statement shown in the wallet when signing in
+const SIGN_IN_STATEMENT = 'Sign in to the SimpleStorage DApp. This request does not send a transaction or cost gas.';
+
+// localStorage key holding the current session
+const STORAGE_KEY = 'eth-dapp:siwe-session';
+
+// Characters allowed in a nonce (EIP-4361 requires at least 8 alphanumeric characters)
+const NONCE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Generate nonce
+// This function returns a random 16-character alphanumeric nonce.
+export const generateNonce = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => NONCE_ALPHABET[byte % NONCE_ALPHABET.length]).join('');
+};
+
+// Create SIWE message
+// This function builds the EIP-4361 message text the wallet asks the user to sign.
+export const createSiweMessage = ({
+  domain,
+  address,
+  statement = SIGN_IN_STATEMENT,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime
+}) => {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.utils.getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join('\n');
+};
+
+// Parse SIWE message
+// This function reads the fields back from an EIP-4361 message. Throws a SessionError if the message is malformed.
+export const parseSiweMessage = (message) => {
+  const lines = String(message).split('\n');
+  const header = lines[0] && lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.utils.isAddress(lines[1] || '')) {
+    throw new SessionError('The sign-in message is not a valid EIP-4361 message.', { messageKey: 'errors.siwe.invalidMessage' });
+  }
+
+  const fields = {};
+  lines.slice(2).forEach((line) => {
+    const match = line.match(/^([A-Za-z ]+): (.+)$/);
+    if (match) fields[match[1]] = match[2];
+  });
+
+  return {
+    domain: header[1],
+    address: ethers.utils.getAddress(lines[1]),
+    uri: fields.URI,
+    version: fields.Version,
+    chainId: Number(fields['Chain ID']),
+    nonce: fields.Nonce,
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'] || null,
+    notBefore: fields['Not Before'] || null,
+  };
+};
+
+// Verify SIWE signature
+// This function checks that the message was signed by the address it names and that it is currently valid.
+// Returns the parsed message, or throws a SessionError.
+export const verifySiweSignature = (message, signature, now = Date.now()) => {
+  const fields = parseSiweMessage(message);
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(message, signature);
+  } catch (error) {
+    throw new SessionError('The sign-in signature is malformed.', { messageKey: 'errors.siwe.malformedSignature', cause: error });
+  }
+  if (signer !== fields.address) {
+    throw new SessionError('The sign-in message was not signed by the account it names.', { messageKey: 'errors.siwe.wrongSigner' });
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new SessionError('The sign-in session has expired.', { messageKey: 'errors.siwe.expired' });
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    throw new SessionError('The sign-in message is not valid yet.', { messageKey: 'errors.siwe.notYetValid' });
+  }
+  return fields;
+};
+
+// Local verifier
+// Verifier interface:
+//   getNonce() -> Promise<string>: issues a one-time nonce for the next sign-in
+//   verify({ message, signature }) -> Promise<{ address, chainId, expirationTime }>: checks the signed message
+//     and returns the session, or throws a SessionError
+// A backend verifier implements the same two calls over HTTP and keeps the nonces server-side.
+// This one runs entirely in the browser: it keeps the issued nonces in memory and checks the domain,
+// nonce, expiry and signature before accepting a session.
+export const createLocalVerifier = ({ domain = window.location.host } = {}) => {
+  const issuedNonces = new Set();
+
+  return {
+    getNonce: async () => {
+      const nonce = generateNonce();
+      issuedNonces.add(nonce);
+      return nonce;
+    },
+
+    verify: async ({ message, signature }) => {
+      const fields = verifySiweSignature(message, signature);
+      if (fields.domain !== domain) {
+        throw new SessionError(`The sign-in message is for ${fields.domain}, not ${domain}.`, {
+          messageKey: 'errors.siwe.wrongDomain',
+          messageParams: { domain: fields.domain, expected: domain },
+        });
+      }
+      // Each nonce can only be used once, so a captured signature cannot be replayed
+      if (!issuedNonces.delete(fields.nonce)) {
+        throw new SessionError('The sign-in nonce is unknown or was already used.', { messageKey: 'errors.siwe.unknownNonce' });
+      }
+      return { address: fields.address, chainId: fields.chainId, expirationTime: fields.expirationTime };
+    },
+  };
+};
+
+// Verifier used to accept sessions
+let verifier = null;
+
+// Set session verifier
+// This function replaces the verifier, e.g. with one that calls a backend.
+export const setSessionVerifier = (customVerifier) => {
+  verifier = customVerifier;
+};
+
+// Get session verifier
+// This function returns the configured verifier, creating the local one on first use.
+export const getSessionVerifier = () => {
+  if (!verifier) {
+    verifier = createLocalVerifier();
+  }
+  return verifier;
+};
+
+// Sign in
+// This function runs the EIP-4361 flow: gets a nonce from the verifier, builds the message for the current site
+// and chain, asks the wallet to sign it with 'sign' and has the verifier check the result.
+// Returns the session { address, chainId, expirationTime, message, signature }, which is also saved.
+export const signIn = async ({ address, chainId, sign }) => {
+  const currentVerifier = getSessionVerifier();
+  const nonce = await currentVerifier.getNonce();
+  const issuedAt = new Date();
+  const message = createSiweMessage({
+    domain: window.location.host,
+    address,
+    uri: window.location.origin,
+    chainId,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: new Date(issuedAt.getTime() + SESSION_DURATION_MS).toISOString(),
+  });
+
+  const signature = await sign(message);
+  const verified = await currentVerifier.verify({ message, signature });
+  const session = { ...verified, message, signature };
+  saveSession(session);
+  return session;
+};
+
+// Save session
+// This function keeps the session between reloads, or clears it when passed null.
+export const saveSession = (session) => {
+  try {
+    if (session) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not persist the sign-in session:', error);
+  }
+};
+
+// Load session
+// This function returns the saved session if it still belongs to 'account' and has not expired, otherwise null.
+// The signature is checked again, so a session edited in storage is not accepted, and a session signed for another
+// site or for a chain other than 'chainId' (the wallet switched networks meanwhile) is dropped.
+export const loadSession = (account, chainId) => {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Missing or unreadable
+  }
+  if (!session || !isSessionValid(session, account)) return null;
+
+  try {
+    const fields = verifySiweSignature(session.message, session.signature);
+    if (fields.domain === window.location.host && fields.chainId === Number(chainId)) {
+      return session;
+    }
+  } catch {
+    // Tampered with or expired
+  }
+  saveSession(null);
+  return null;
+};
+
+// Check session
+// This function tells whether a session belongs to 'account' and has not expired.
+export const isSessionValid = (session, account, now = Date.now()) => {
+  return Boolean(
+    session &&
+    account &&
+    session.address.toLowerCase() === account.toLowerCase() &&
+    (!session.expirationTime || Date.parse(session.expirationTime) > now)
+  );
+};
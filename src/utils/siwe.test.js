@@ -0,0 +1,217 @@
+// Sign-In with Ethereum tests
+// These tests sign EIP-4361 messages with a local wallet and check that the parser, the signature check, the local
+// verifier and the saved session reject the messages they must not accept.
+import { ethers } from 'ethers';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SessionError } from './errors';
+import {
+  createLocalVerifier,
+  createSiweMessage,
+  isSessionValid,
+  loadSession,
+  parseSiweMessage,
+  saveSession,
+  verifySiweSignature,
+} from './siwe';
+
+const DOMAIN = 'dapp.example';
+const CHAIN_ID = 31337;
+const NOW = Date.parse('2024-01-01T12:00:00.000Z');
+
+// First Anvil/Hardhat test account, and another one
+const wallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const otherWallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+// Build a message for 'wallet', with fields overridden by 'fields'
+const buildMessage = (fields = {}) => createSiweMessage({
+  domain: DOMAIN,
+  address: wallet.address,
+  uri: `https://${DOMAIN}`,
+  chainId: CHAIN_ID,
+  nonce: 'abcdef1234567890',
+  issuedAt: new Date(NOW).toISOString(),
+  expirationTime: new Date(NOW + 60 * 60 * 1000).toISOString(),
+  ...fields,
+});
+
+// Return the error 'run' throws, or null
+const thrown = (run) => {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+// Expect 'error' to be a SessionError carrying 'messageKey'
+const expectSessionError = (error, messageKey) => {
+  expect(error).toBeInstanceOf(SessionError);
+  expect(error.messageKey).toBe(messageKey);
+};
+
+// Return the error 'promise' rejects with, or null
+const rejection = (promise) => promise.then(() => null, (error) => error);
+
+describe('parseSiweMessage', () => {
+  it('reads back the fields of a message it built', () => {
+    const fields = parseSiweMessage(buildMessage({ address: wallet.address.toLowerCase() }));
+
+    expect(fields).toMatchObject({
+      domain: DOMAIN,
+      address: wallet.address,
+      uri: `https://${DOMAIN}`,
+      version: '1',
+      chainId: CHAIN_ID,
+      nonce: 'abcdef1234567890',
+      issuedAt: '2024-01-01T12:00:00.000Z',
+      expirationTime: '2024-01-01T13:00:00.000Z',
+      notBefore: null,
+    });
+  });
+
+  it('rejects text that is not an EIP-4361 message', () => {
+    expect(() => parseSiweMessage('Please sign this')).toThrow(SessionError);
+    expect(() => parseSiweMessage(buildMessage().replace(wallet.address, 'not-an-address'))).toThrow(SessionError);
+  });
+});
+
+describe('verifySiweSignature', () => {
+  it('returns the fields of a message signed by the account it names', async () => {
+    const message = buildMessage();
+
+    expect(verifySiweSignature(message, await wallet.signMessage(message), NOW).address).toBe(wallet.address);
+  });
+
+  it('rejects a message signed by another account', async () => {
+    const message = buildMessage();
+    const signature = await otherWallet.signMessage(message);
+
+    expectSessionError(thrown(() => verifySiweSignature(message, signature, NOW)), 'errors.siwe.wrongSigner');
+  });
+
+  it('rejects a message edited after it was signed', async () => {
+    const signature = await wallet.signMessage(buildMessage());
+
+    expectSessionError(thrown(() => verifySiweSignature(buildMessage({ chainId: 1 }), signature, NOW)), 'errors.siwe.wrongSigner');
+  });
+
+  it('rejects a malformed signature', () => {
+    expectSessionError(thrown(() => verifySiweSignature(buildMessage(), '0x1234', NOW)), 'errors.siwe.malformedSignature');
+  });
+
+  it('rejects an expired message', async () => {
+    const message = buildMessage({ expirationTime: new Date(NOW).toISOString() });
+    const signature = await wallet.signMessage(message);
+
+    expectSessionError(thrown(() => verifySiweSignature(message, signature, NOW)), 'errors.siwe.expired');
+  });
+
+  it('rejects a message that is not valid yet', async () => {
+    const message = `${buildMessage()}\nNot Before: ${new Date(NOW + 1000).toISOString()}`;
+    const signature = await wallet.signMessage(message);
+
+    expectSessionError(thrown(() => verifySiweSignature(message, signature, NOW)), 'errors.siwe.notYetValid');
+  });
+});
+
+describe('createLocalVerifier', () => {
+  // Sign a fresh message for the nonce issued by 'verifier'
+  const signIn = async (verifier, fields = {}) => {
+    const nonce = await verifier.getNonce();
+    const message = buildMessage({ nonce, expirationTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(), ...fields });
+    return { message, signature: await wallet.signMessage(message) };
+  };
+
+  it('issues alphanumeric nonces of at least 8 characters', async () => {
+    const nonce = await createLocalVerifier({ domain: DOMAIN }).getNonce();
+
+    expect(nonce).toMatch(/^[A-Za-z0-9]{8,}$/);
+  });
+
+  it('accepts a message for its domain with a nonce it issued', async () => {
+    const verifier = createLocalVerifier({ domain: DOMAIN });
+
+    expect(await verifier.verify(await signIn(verifier))).toMatchObject({ address: wallet.address, chainId: CHAIN_ID });
+  });
+
+  it('rejects a message for another domain', async () => {
+    const verifier = createLocalVerifier({ domain: DOMAIN });
+
+    expectSessionError(await rejection(verifier.verify(await signIn(verifier, { domain: 'evil.example' }))), 'errors.siwe.wrongDomain');
+  });
+
+  it('rejects a nonce it did not issue', async () => {
+    const verifier = createLocalVerifier({ domain: DOMAIN });
+
+    expectSessionError(await rejection(verifier.verify(await signIn(verifier, { nonce: 'forgednonce12345' }))), 'errors.siwe.unknownNonce');
+  });
+
+  it('rejects a signed message replayed with its used nonce', async () => {
+    const verifier = createLocalVerifier({ domain: DOMAIN });
+    const signed = await signIn(verifier);
+    await verifier.verify(signed);
+
+    expectSessionError(await rejection(verifier.verify(signed)), 'errors.siwe.unknownNonce');
+  });
+});
+
+describe('isSessionValid', () => {
+  const session = { address: wallet.address, expirationTime: new Date(NOW + 1000).toISOString() };
+
+  it('accepts an unexpired session of the account, whatever the address case', () => {
+    expect(isSessionValid(session, wallet.address.toLowerCase(), NOW)).toBe(true);
+  });
+
+  it('rejects a session of another account, an expired one or no account', () => {
+    expect(isSessionValid(session, otherWallet.address, NOW)).toBe(false);
+    expect(isSessionValid(session, wallet.address, NOW + 1000)).toBe(false);
+    expect(isSessionValid(session, null, NOW)).toBe(false);
+  });
+});
+
+describe('loadSession', () => {
+  beforeEach(() => {
+    const storage = new Map();
+    vi.stubGlobal('window', { location: { host: DOMAIN } });
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // Save a session signed for 'fields'
+  const saveSigned = async (fields = {}) => {
+    const message = buildMessage({ expirationTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(), ...fields });
+    const session = { address: wallet.address, chainId: CHAIN_ID, expirationTime: parseSiweMessage(message).expirationTime };
+    saveSession({ ...session, message, signature: await wallet.signMessage(message) });
+  };
+
+  it('returns a saved session signed for this site and chain', async () => {
+    await saveSigned();
+
+    expect(loadSession(wallet.address, CHAIN_ID)).toMatchObject({ address: wallet.address });
+  });
+
+  it('drops a session signed for another chain or site', async () => {
+    await saveSigned();
+    expect(loadSession(wallet.address, 1)).toBeNull();
+    expect(localStorage.getItem('eth-dapp:siwe-session')).toBeNull();
+
+    await saveSigned({ domain: 'evil.example' });
+    expect(loadSession(wallet.address, CHAIN_ID)).toBeNull();
+  });
+
+  it('drops a session whose message was edited in storage', async () => {
+    await saveSigned();
+    const saved = JSON.parse(localStorage.getItem('eth-dapp:siwe-session'));
+    localStorage.setItem('eth-dapp:siwe-session', JSON.stringify({ ...saved, message: saved.message.replace('Chain ID: 31337', 'Chain ID: 1') }));
+
+    expect(loadSession(wallet.address, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,300 @@
+// Transaction manager
+// Every write goes through this module, which follows a transaction from submission to its final state
+// and keeps pending transactions in localStorage so they are watched again after a reload.
+import { ethers } from 'ethers';
+import { decodeError, ContractRevertError, NonceError, UserRejectedError } from './errors';
+
+// Transaction lifecycle states
+export const TX_STATUS = {
+  SUBMITTED: 'submitted',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  SPED_UP: 'sped-up',
+  CANCELLED: 'cancelled',
+};
+
+// Number of confirmations after which a mined transaction stops being followed
+export const CONFIRMATION_TARGET = 3;
+
+// localStorage key holding the transactions that were still pending
+const STORAGE_KEY = 'eth-dapp:pending-transactions';
+
+// Transactions tracked in this session, keyed by hash
+const transactions = new Map();
+
+// Callbacks notified whenever a transaction changes
+const subscribers = new Set();
+
+// Notify subscribers with the current transaction list, newest first
+const notify = () => {
+  const list = getTransactions();
+  subscribers.forEach((callback) => callback(list));
+};
+
+// Check whether a status is final (the transaction will not change anymore, apart from confirmations)
+export const isFinalStatus = (status) => {
+  return status !== TX_STATUS.SUBMITTED && status !== TX_STATUS.PENDING;
+};
+
+// Save the pending transactions, so they can be resumed after a reload
+const persistPending = () => {
+  const pending = [...transactions.values()]
+    .filter((record) => !isFinalStatus(record.status))
+    .map(({ hash, chainId, label, from, nonce, to, data, value, startBlock, submittedAt }) => ({
+      hash, chainId, label, from, nonce, to, data, value, startBlock, submittedAt,
+    }));
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pending));
+  } catch (error) {
+    console.warn('Could not persist pending transactions:', error);
+  }
+};
+
+// Load the transactions left pending by a previous session
+const loadPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Update a tracked transaction and notify subscribers
+const updateTransaction = (hash, changes) => {
+  const record = transactions.get(hash);
+  if (!record) return;
+  transactions.set(hash, { ...record, ...changes, updatedAt: Date.now() });
+  persistPending();
+  notify();
+};
+
+// Follow confirmations
+// This function updates the confirmation count on every new block until CONFIRMATION_TARGET is reached.
+const followConfirmations = (hash, provider, minedBlock) => {
+  const handleBlock = (blockNumber) => {
+    const confirmations = blockNumber - minedBlock + 1;
+    updateTransaction(hash, { confirmations });
+    if (confirmations >= CONFIRMATION_TARGET) {
+      provider.off('block', handleBlock);
+    }
+  };
+  provider.on('block', handleBlock);
+};
+
+// Build the error tx.wait() raises when a transaction is replaced by 'replacement', with the same reasons:
+// 'repriced' (same call with a higher fee), 'cancelled' (empty transfer to itself) or 'replaced'
+const replacementError = (record, replacement, receipt) => {
+  let reason = 'replaced';
+  if (replacement.data === record.data && replacement.to === record.to && replacement.value.eq(record.value)) {
+    reason = 'repriced';
+  } else if (replacement.data === '0x' && replacement.from === replacement.to && replacement.value.isZero()) {
+    reason = 'cancelled';
+  }
+
+  const error = new Error('transaction was replaced');
+  return Object.assign(error, {
+    code: ethers.errors.TRANSACTION_REPLACED,
+    reason,
+    cancelled: reason !== 'repriced',
+    replacement,
+    receipt,
+  });
+};
+
+// Wait for a restored transaction
+// A transaction restored from localStorage has no TransactionResponse to call wait() on, so it is followed here with
+// public provider calls on every block. Resolves with its receipt once mined. Once the sender's nonce has moved past
+// it without a receipt, the blocks since it was sent are searched for the transaction that took its nonce, and the
+// same TRANSACTION_REPLACED error as tx.wait() is raised.
+const waitForRestoredTransaction = (provider, record) => new Promise((resolve, reject) => {
+  let checking = false; // Indicates if a check is running, so blocks arriving meanwhile are skipped
+  let nextBlock = record.startBlock; // First block not searched for a replacement yet
+
+  const findReplacement = async (blockNumber) => {
+    for (; nextBlock <= blockNumber; nextBlock += 1) {
+      const block = await provider.getBlockWithTransactions(nextBlock);
+      const replacement = block.transactions.find((tx) => (
+        tx.hash !== record.hash && tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce
+      ));
+      if (replacement) return replacement;
+    }
+    return null;
+  };
+
+  const check = async (blockNumber) => {
+    if (checking) return;
+    checking = true;
+    try {
+      const receipt = await provider.getTransactionReceipt(record.hash);
+      if (receipt && receipt.blockNumber != null) {
+        provider.off('block', check);
+        resolve(receipt);
+        return;
+      }
+      if ((await provider.getTransactionCount(record.from, blockNumber)) <= record.nonce) return;
+
+      // Not found when the transaction itself was mined but its receipt is not served yet: the next block tells
+      const replacement = await findReplacement(blockNumber);
+      if (!replacement) return;
+      provider.off('block', check);
+      reject(replacementError(record, replacement, await provider.getTransactionReceipt(replacement.hash)));
+    } catch (error) {
+      console.warn('Could not check a restored transaction, trying again on the next block:', error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  provider.on('block', check);
+  provider.getBlockNumber().then(check, () => {});
+});
+
+// Watch transaction
+// This function waits for a tracked transaction to be mined, detecting replacements made from the wallet
+// (speed-up and cancel), and resolves with the receipt of the transaction that was finally mined.
+// Freshly sent transactions are followed with tx.wait() on their 'response'; restored ones, which have none,
+// with waitForRestoredTransaction. Both report replacements with the same TRANSACTION_REPLACED error.
+const watchTransaction = async (hash, provider, response = null) => {
+  const record = transactions.get(hash);
+  updateTransaction(hash, { status: TX_STATUS.PENDING });
+
+  let receipt;
+  try {
+    receipt = response ? await response.wait() : await waitForRestoredTransaction(provider, record);
+  } catch (error) {
+    if (error.code === ethers.errors.CALL_EXCEPTION && error.receipt) {
+      // tx.wait() rejects a reverted transaction; its receipt is handled below like any other
+      receipt = error.receipt;
+    } else if (error.code !== ethers.errors.TRANSACTION_REPLACED) {
+      const decoded = decodeError(error, 'Transaction failed');
+      updateTransaction(hash, { status: TX_STATUS.FAILED, error: decoded.message });
+      throw decoded;
+    } else if (error.reason === 'repriced') {
+      // Sped up from the wallet: same call with a higher fee, so the outcome is that of the replacement
+      receipt = error.receipt;
+      updateTransaction(hash, { status: TX_STATUS.SPED_UP, replacementHash: error.replacement.hash });
+    } else {
+      const cancelled = error.reason === 'cancelled';
+      updateTransaction(hash, {
+        status: cancelled ? TX_STATUS.CANCELLED : TX_STATUS.REPLACED,
+        replacementHash: error.replacement.hash,
+      });
+      throw cancelled
+        ? new UserRejectedError({
+          message: 'The transaction was cancelled from your wallet.',
+          messageKey: 'errors.transactionCancelled',
+          cause: error
+        })
+        : new NonceError({
+          message: 'The transaction was replaced by another transaction with the same nonce.',
+          messageKey: 'errors.transactionReplaced',
+          cause: error
+        });
+    }
+  }
+
+  if (receipt.status === 0) {
+    const revertError = new ContractRevertError(null, { action: 'Transaction failed' });
+    updateTransaction(hash, {
+      status: TX_STATUS.FAILED,
+      blockNumber: receipt.blockNumber,
+      error: revertError.message,
+    });
+    throw revertError;
+  }
+
+  const sped = transactions.get(hash).status === TX_STATUS.SPED_UP;
+  updateTransaction(hash, {
+    status: sped ? TX_STATUS.SPED_UP : TX_STATUS.CONFIRMED,
+    blockNumber: receipt.blockNumber,
+    confirmations: 1,
+  });
+  followConfirmations(hash, provider, receipt.blockNumber);
+  return receipt;
+};
+
+// Send transaction
+// This function submits a write through 'send' (which must return an ethers TransactionResponse),
+// tracks it and resolves with the receipt once it is mined. 'label' describes the action in the pending-transactions panel:
+// plain text, or a { key, params } catalogue entry the panel shows in the user's language.
+export const sendTransaction = async (label, provider, send) => {
+  const { chainId } = await provider.getNetwork();
+  const startBlock = await provider.getBlockNumber();
+  const tx = await send();
+
+  transactions.set(tx.hash, {
+    hash: tx.hash,
+    chainId,
+    label,
+    from: tx.from,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value.toString(),
+    startBlock,
+    status: TX_STATUS.SUBMITTED,
+    confirmations: 0,
+    submittedAt: Date.now(),
+    updatedAt: Date.now(),
+  });
+  persistPending();
+  notify();
+
+  return await watchTransaction(tx.hash, provider, tx);
+};
+
+// Resume pending transactions
+// This function watches again the transactions left pending before a reload.
+// 'getProvider' returns the provider to use for a chain ID. A transaction on a chain it throws for (e.g. a network
+// removed from the registry) cannot be followed anymore and is dropped, without stopping the others.
+export const resumeTransactions = (getProvider) => {
+  loadPending().forEach((saved) => {
+    if (transactions.has(saved.hash)) return;
+
+    let provider;
+    try {
+      provider = getProvider(saved.chainId);
+    } catch (error) {
+      console.warn(`Dropping pending transaction ${saved.hash} on chain ${saved.chainId}:`, error);
+      return;
+    }
+
+    transactions.set(saved.hash, {
+      ...saved,
+      status: TX_STATUS.PENDING,
+      confirmations: 0,
+      updatedAt: Date.now(),
+    });
+    watchTransaction(saved.hash, provider).catch((error) => {
+      console.error('Resumed transaction error:', error);
+    });
+  });
+  persistPending();
+  notify();
+};
+
+// Get tracked transactions, newest first
+export const getTransactions = () => {
+  return [...transactions.values()].sort((a, b) => b.submittedAt - a.submittedAt);
+};
+
+// Remove a finished transaction from the panel
+export const clearTransaction = (hash) => {
+  const record = transactions.get(hash);
+  if (!record || !isFinalStatus(record.status)) return;
+  transactions.delete(hash);
+  notify();
+};
+
+// Subscribe to transaction changes
+// The callback receives the full transaction list every time a transaction changes. Returns a function that unsubscribes.
+export const subscribeToTransactions = (callback) => {
+  subscribers.add(callback);
+  callback(getTransactions());
+  return () => {
+    subscribers.delete(callback);
+  };
+};
@@ -0,0 +1,96 @@
+// Wallet discovery and selection (EIP-6963)
+// Wallets announce themselves through 'eip6963:announceProvider' events instead of racing for window.ethereum.
+// The selected wallet's EIP-1193 provider is what every helper in ethereum.js talks to.
+
+// localStorage key holding the reverse-DNS id (rdns) of the last selected wallet
+const STORAGE_KEY = 'eth-dapp:wallet';
+
+// Wallets announced so far, keyed by their EIP-6963 uuid
+const announcedWallets = new Map();
+
+// Wallet currently selected by the user
+let activeWallet = null;
+
+// Legacy injected wallet
+// Wallets that predate EIP-6963 only expose window.ethereum, so it is offered when nothing announces itself.
+const getLegacyWallet = () => {
+  if (typeof window === 'undefined' || !window.ethereum) return null;
+
+  return {
+    info: {
+      uuid: 'legacy-injected',
+      name: window.ethereum.isMetaMask ? 'MetaMask' : 'Injected Wallet',
+      icon: null,
+      rdns: 'legacy.injected',
+    },
+    provider: window.ethereum,
+  };
+};
+
+// Get discovered wallets
+// This function returns the announced wallets, or the legacy injected wallet if none announced.
+export const getWallets = () => {
+  const wallets = [...announcedWallets.values()];
+  if (wallets.length === 0) {
+    const legacyWallet = getLegacyWallet();
+    if (legacyWallet) wallets.push(legacyWallet);
+  }
+  return wallets;
+};
+
+// Discover wallets
+// This function listens for EIP-6963 announcements and asks installed wallets to announce themselves.
+// The callback receives the full wallet list every time it changes. Returns a function that stops listening.
+export const discoverWallets = (callback) => {
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    announcedWallets.set(info.uuid, { info, provider });
+    callback(getWallets());
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  callback(getWallets());
+
+  return () => {
+    window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+  };
+};
+
+// Select wallet
+// This function makes a wallet the active provider and remembers the choice between reloads.
+// Passing null clears the selection.
+export const selectWallet = (wallet) => {
+  activeWallet = wallet;
+  try {
+    if (wallet) {
+      localStorage.setItem(STORAGE_KEY, wallet.info.rdns);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not persist wallet selection:', error);
+  }
+};
+
+// Find the remembered wallet
+// This function returns the wallet selected in a previous session, if it has been discovered again.
+export const findStoredWallet = (wallets) => {
+  let rdns = null;
+  try {
+    rdns = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  return wallets.find((wallet) => wallet.info.rdns === rdns) || null;
+};
+
+// Get the selected wallet
+export const getActiveWallet = () => {
+  return activeWallet;
+};
+
+// Get the selected EIP-1193 provider, or null if no wallet is selected
+export const getActiveProvider = () => {
+  return activeWallet ? activeWallet.provider : null;
+};